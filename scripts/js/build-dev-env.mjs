@@ -14,11 +14,16 @@
 
 // Import Internal Classes & Functions
 import { alternativeBrowser, deploymentStatusPage, devOrgAlias, devOrgConfigFile, 
-         packageDependencies }  from './toolbelt.mjs';
+         installationKeysFile, packageDependencies, 
+         pipelineDefinitions }  from './toolbelt.mjs';
 import { TaskRunner }           from './sfdx-falcon/task-runner/index.mjs';
+import { addPipelineTasks }     from './sfdx-falcon/task-runner/pipeline-loader.mjs';
 import { SfdxTask }             from './sfdx-falcon/task-runner/sfdx-task.mjs';
-import { SfdxFalconError }      from './sfdx-falcon/error/index.mjs';
+import { TaskGroup }            from './sfdx-falcon/task-runner/task-group.mjs';
 import { SfdxFalconDebug }      from './sfdx-falcon/debug/index.mjs';
+import { getInstallationKey }   from './sfdx-falcon/utilities/sfdx.mjs';
+import { isCiEnvironment,
+         quoteForBash }         from './sfdx-falcon/utilities/general.mjs';
 
 // Set the File Local Debug Namespace
 const dbgNs = 'BuildDevEnv';
@@ -44,9 +49,21 @@ SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
 export async function buildDevEnv() {
 
-  const ctx = {};
-  const tr  = TaskRunner.getInstance();
-  tr.ctx    = ctx;
+  const tr = TaskRunner.getInstance();
+
+  // Don't leave a half-created scratch org behind if the build is cancelled while creating it.
+  tr.addCleanupHandler(
+    `Delete the partially created scratch org`,
+    async () => tr.executor.execute(`sf org delete scratch -p -o ${devOrgAlias} --json`),
+    {whenCancelling: [`Create new scratch org`]}
+  );
+
+  // Use the project's own `build-dev` pipeline instead of the tasks below, if one is defined.
+  if (pipelineDefinitions['build-dev']) {
+    SfdxFalconDebug.msg(`${dbgNs}`, `Using the build-dev pipeline defined in the pipeline definition file.`);
+    addPipelineTasks(tr, pipelineDefinitions['build-dev']);
+    return tr.runTasks();
+  }
 
   //───────────────────────────────────────────────────────────────────────────────────────────────┐
   //*
@@ -64,7 +81,7 @@ export async function buildDevEnv() {
   tr.addTask(new SfdxTask(
     `Create new scratch org`,
     `sf org create scratch -d -a ${devOrgAlias} -f config/${devOrgConfigFile}`,
-    {suppressErrors: false, renderStdioOnError: true}
+    {suppressErrors: false, renderStdioOnError: true, retry: {maxAttempts: 3, delay: 30000}}
   ));
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
@@ -74,18 +91,18 @@ export async function buildDevEnv() {
   tr.addTask(new SfdxTask(
     `Open the Deployment Status page`,
     `sf org open -b ${alternativeBrowser} -p ${deploymentStatusPage}`,
-    {suppressErrors: false}
+    {suppressErrors: false, skip: skipBrowser(deploymentStatusPage ? false : `No deploymentStatusPage is configured`)}
   ));
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
   //───────────────────────────────────────────────────────────────────────────────────────────────┐
-  /*
-  // Install package dependendencies in the new scratch org.
-  //
-  //
-  // TODO: Add implementation
-  //
-  //
+  //*
+  // Install package dependendencies in the new scratch org, one subtask per package.
+  tr.addTask(new TaskGroup(
+    `Install package dependencies`,
+    packageDependencies.map(packageDependency => buildPackageInstallTask(packageDependency)),
+    {concurrent: false, exitOnError: true, skip: packageDependencies.length === 0 ? `No package dependencies defined in sfdx-project.json` : false}
+  ));
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
   //───────────────────────────────────────────────────────────────────────────────────────────────┐
@@ -94,7 +111,7 @@ export async function buildDevEnv() {
   tr.addTask(new SfdxTask(
     `Deploy project source`,
     `sf project deploy start`,
-    {suppressErrors: false, renderStdioOnError: false}
+    {suppressErrors: false, renderStdioOnError: false, timeout: 60 * 60 * 1000}
   ));
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
@@ -119,20 +136,56 @@ export async function buildDevEnv() {
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
   //───────────────────────────────────────────────────────────────────────────────────────────────┐
-  /* // Uncomment this if you disabled the "Open the Deployment Status page" task above.
-  // Open the new scratch org in the developer's non-default browser.
+  //*
+  // Open the new scratch org in the developer's non-default browser, unless the "Deployment Status"
+  // page was already opened in it.
   tr.addTask(new SfdxTask(
     `Open the new scratch org`,
     `sf org open -b ${alternativeBrowser}`,
-    {suppressErrors: true}
+    {suppressErrors: true, skip: skipBrowser(deploymentStatusPage ? `The Deployment Status page was opened instead` : false)}
   ));
   //*/
   //───────────────────────────────────────────────────────────────────────────────────────────────┘
 
   // Run the tasks.
-  try {
-    return tr.runTasks();
-  } catch (ListrRuntimeError) {
-    console.error(SfdxFalconError.renderError(ListrRuntimeError));
-  }
+  return tr.runTasks();
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    skipBrowser
+ * @param       {String|Boolean}  skipReason  Required. Why the browser task should be skipped even
+ *                                            when a browser is available, or `false`.
+ * @returns     {function}  A `skip` condition for a task that opens a browser.
+ * @description Browsers can't be opened on a CI server, so that's checked first.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function skipBrowser(skipReason) {
+  return () => isCiEnvironment() ? `Can't open a browser while running in CI` : skipReason;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildPackageInstallTask
+ * @param       {PackageDependency} packageDependency Required. The package to install.
+ * @returns     {SfdxTask}  An `SfdxTask` that installs the package in the default scratch org.
+ * @summary     Builds the `sf package install` task for a single package dependency.
+ * @description Waits for the package version to become available and for the installation to
+ *              finish. Adds the installation key, if one was found in the environment or the
+ *              local installation keys file.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildPackageInstallTask(packageDependency) {
+  const {installationKey, envVarName} = getInstallationKey(packageDependency, `config/${installationKeysFile}`) ?? {};
+  const installationKeyArg  = installationKey ? ` -k ${quoteForBash(installationKey)}` : ``;
+  return new SfdxTask(
+    `Install ${packageDependency.name}`,
+    `sf package install -p ${packageDependency.packageVersionId}${installationKeyArg} -w 30 -b 10 -r`,
+    {
+      suppressErrors:     false,
+      renderStdioOnError: true,
+      retry:              {maxAttempts: 3, delay: 30000},
+      secrets:            installationKey ? {[envVarName]: installationKey} : {}
+    }
+  );
 }
@@ -0,0 +1,173 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/build-qa-env.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Implements a series of CLI commands that build the QA environment for this project.
+ * @description   When an SFDX Toolbelt user selects the option to build a QA environment, the
+ *                `buildQaEnv()` function is called to perform the teardown/setup actions.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { alternativeBrowser, qaOrgAlias, qaOrgConfigFile,
+         pipelineDefinitions, sfdxProjectJson }  from './toolbelt.mjs';
+import { TaskRunner }           from './sfdx-falcon/task-runner/index.mjs';
+import { addPipelineTasks }     from './sfdx-falcon/task-runner/pipeline-loader.mjs';
+import { SfdxTask }             from './sfdx-falcon/task-runner/sfdx-task.mjs';
+import { SfdxFalconError }      from './sfdx-falcon/error/index.mjs';
+import { SfdxFalconDebug }      from './sfdx-falcon/debug/index.mjs';
+import * as SfdxUtils           from './sfdx-falcon/utilities/sfdx.mjs';
+import { isCiEnvironment }      from './sfdx-falcon/utilities/general.mjs';
+
+// Set the File Local Debug Namespace
+const dbgNs = 'BuildQaEnv';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildQaEnv
+ * @param       {String}  [packageVersion]  Optional. Alias or `04t` ID of the package version to
+ *                                          install. Defaults to the latest version of this
+ *                                          project's package found in `packageAliases`.
+ * @returns     {Promise<void>}
+ * @summary     Builds a scratch org-based QA environment.
+ * @description Executes multiple Salesforce CLI commands which delete the previous QA scratch
+ *              org, create a new Enterprise edition scratch org, install the latest package
+ *              version, and load QA data. Unlike `buildDevEnv()`, packaged source is never
+ *              deployed, so testers get an org that looks like a subscriber's.
+ * @public
+ * @example
+ * ```
+ * await buildQaEnv();
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function buildQaEnv(packageVersion) {
+  const localDbgNs = `${dbgNs}:buildQaEnv`;
+
+  const tr = TaskRunner.getInstance();
+
+  // Don't leave a half-created scratch org behind if the build is cancelled while creating it.
+  tr.addCleanupHandler(
+    `Delete the partially created QA scratch org`,
+    async () => tr.executor.execute(`sf org delete scratch -p -o ${qaOrgAlias} --json`),
+    {whenCancelling: [`Create new QA scratch org`]}
+  );
+
+  // Use the project's own `build-qa` pipeline instead of the tasks below, if one is defined.
+  if (pipelineDefinitions['build-qa']) {
+    SfdxFalconDebug.msg(`${localDbgNs}`, `Using the build-qa pipeline defined in the pipeline definition file.`);
+    addPipelineTasks(tr, pipelineDefinitions['build-qa']);
+    return tr.runTasks();
+  }
+
+  // Figure out which package version to install.
+  const packageVersionToInstall = packageVersion ?? getLatestPackageVersion();
+  SfdxFalconDebug.str(`${localDbgNs}:packageVersionToInstall`, packageVersionToInstall);
+
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Delete the existing QA scratch org (if present).
+  tr.addTask(new SfdxTask(
+    `Delete existing QA scratch org`,
+    `sf org delete scratch -p -o ${qaOrgAlias}`,
+    {suppressErrors: true}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Create a new QA scratch org. Don't make it the default org so the DEV org stays the default.
+  tr.addTask(new SfdxTask(
+    `Create new QA scratch org`,
+    `sf org create scratch -a ${qaOrgAlias} -f config/${qaOrgConfigFile}`,
+    {suppressErrors: false, renderStdioOnError: true, retry: {maxAttempts: 3, delay: 30000}}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Install the package version in the new QA scratch org.
+  tr.addTask(new SfdxTask(
+    `Install package version (${packageVersionToInstall})`,
+    `sf package install -p "${packageVersionToInstall}" -o ${qaOrgAlias} -w 30 -r`,
+    {suppressErrors: false, renderStdioOnError: true, retry: {maxAttempts: 3, delay: 30000}}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Deploy the unpackaged source that QA data setup depends on.
+  tr.addTask(new SfdxTask(
+    `Deploy unpackaged QA setup source`,
+    `sf project deploy start -d sfdx-source/unpackaged -o ${qaOrgAlias}`,
+    {suppressErrors: false, renderStdioOnError: true}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Assign "All Access" permission sets to the QA admin user.
+  tr.addTask(new SfdxTask(
+    `Assign "All Access" perm set`,
+    `sf org assign permset -n All_Access_DEV_TEST -o ${qaOrgAlias}`,
+    {suppressErrors: false, renderStdioOnError: true}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Run QA data setup scripts in the new scratch org.
+  tr.addTask(new SfdxTask(
+    `Generate QA data`,
+    `sf apex run -f scripts/apex/create-qa-data.apex -o ${qaOrgAlias}`,
+    {suppressErrors: true}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  //*
+  // Open the new QA scratch org in the developer's non-default browser.
+  tr.addTask(new SfdxTask(
+    `Open the new QA scratch org`,
+    `sf org open -b ${alternativeBrowser} -o ${qaOrgAlias}`,
+    {suppressErrors: true, skip: () => isCiEnvironment() ? `Can't open a browser while running in CI` : false}
+  ));
+  //*/
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+
+  // Run the tasks.
+  return tr.runTasks();
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getLatestPackageVersion
+ * @returns     {String}  The `packageAliases` key for the latest version of this project's package.
+ * @summary     Finds the latest package version alias for the package this project builds.
+ * @description Throws if `sfdx-project.json` doesn't define a package, or if `packageAliases`
+ *              doesn't contain any versions of it yet.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function getLatestPackageVersion() {
+  const localDbgNs = `${dbgNs}:getLatestPackageVersion`;
+  const packageName = SfdxUtils.getDefaultPackageName(sfdxProjectJson);
+  if (packageName === null) {
+    throw new SfdxFalconError(`No package directory in sfdx-project.json has a 'package' key, so there is no package to install in the QA org.`,
+                              `Missing Package Name`,
+                              `${localDbgNs}`);
+  }
+  const latestAlias = SfdxUtils.getLatestPackageVersionAlias(sfdxProjectJson, packageName);
+  if (latestAlias === null) {
+    throw new SfdxFalconError(`No package versions of '${packageName}' were found in the packageAliases of sfdx-project.json. Create a package version first (eg. 'toolbelt package-version').`,
+                              `Missing Package Version`,
+                              `${localDbgNs}`);
+  }
+  return latestAlias;
+}
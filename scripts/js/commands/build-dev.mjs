@@ -0,0 +1,46 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/build-dev.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Registers the `build-dev` toolbelt command.
+ * @description   Runs the process defined in `build-dev-env.mjs` when a user runs
+ *                `toolbelt build-dev`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import Internal Classes & Functions
+import { devOrgAlias }          from '../toolbelt.mjs';
+import { buildDevEnv }          from '../build-dev-env.mjs';
+import { applyPipelineFlags,
+         pipelineFlags }        from './pipeline-flags.mjs';
+import { ToolbeltCommand }      from '../sfdx-falcon/command-router/toolbelt-command.mjs';
+
+/**
+ * Deletes the existing DEV scratch org, then builds a new one from project source.
+ */
+export const buildDevCommand = new ToolbeltCommand(
+  `build-dev`,
+  `Build a scratch org-based DEV environment.`,
+  {
+    description:  `Deletes the existing DEV scratch org (if present), creates a new one, deploys\n` +
+                  `project source, assigns permission sets, and generates dev/test data.`,
+    flags:        {
+                    ...pipelineFlags
+                  },
+    examples:     [
+                    `build-dev`,
+                    `build-dev --dry-run --script build-dev.sh`,
+                    `build-dev --sfdx-falcon-debug "TaskRunner,BuildDevEnv"`
+                  ],
+    confirmation: (flags) => {
+                    if (flags['dry-run']) return null;
+                    return `This will delete the existing DEV scratch org (${devOrgAlias}) and build a new one. Continue?`;
+                  },
+    run:          async (flags) => {
+                    applyPipelineFlags(`build-dev`, flags);
+                    return buildDevEnv();
+                  }
+  }
+);
@@ -0,0 +1,52 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/build-qa.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Registers the `build-qa` toolbelt command.
+ * @description   Runs the process defined in `build-qa-env.mjs` when a user runs
+ *                `toolbelt build-qa`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import Internal Classes & Functions
+import { qaOrgAlias }           from '../toolbelt.mjs';
+import { buildQaEnv }           from '../build-qa-env.mjs';
+import { applyPipelineFlags,
+         pipelineFlags }        from './pipeline-flags.mjs';
+import { ToolbeltCommand }      from '../sfdx-falcon/command-router/toolbelt-command.mjs';
+
+/**
+ * Deletes the existing QA scratch org, then builds a new one from the latest package version.
+ */
+export const buildQaCommand = new ToolbeltCommand(
+  `build-qa`,
+  `Build a scratch org-based QA environment.`,
+  {
+    description:  `Deletes the existing QA scratch org (if present), creates a new Enterprise\n` +
+                  `edition scratch org, installs the latest package version from packageAliases,\n` +
+                  `and runs the QA data setup.`,
+    flags:        {
+                    'package-version': {
+                      type:     'string',
+                      char:     'v',
+                      summary:  'Alias or 04t ID of the package version to install. Defaults to the latest version.'
+                    },
+                    ...pipelineFlags
+                  },
+    examples:     [
+                    `build-qa`,
+                    `build-qa --package-version "My Package@1.2.0-3"`,
+                    `build-qa --dry-run`
+                  ],
+    confirmation: (flags) => {
+                    if (flags['dry-run']) return null;
+                    return `This will delete the existing QA scratch org (${qaOrgAlias}) and build a new one. Continue?`;
+                  },
+    run:          async (flags) => {
+                    applyPipelineFlags(`build-qa`, flags);
+                    return buildQaEnv(flags['package-version']);
+                  }
+  }
+);
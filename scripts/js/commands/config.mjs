@@ -0,0 +1,144 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/config.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Registers the `config` toolbelt command.
+ * @description   Lists, gets, sets, and unsets toolbelt config values when a user runs
+ *                `toolbelt config <action>`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { chalk }                from 'zx';
+
+// Import Internal Classes & Functions
+import { toolbeltConfig }       from '../toolbelt.mjs';
+import { ToolbeltCommand }      from '../sfdx-falcon/command-router/toolbelt-command.mjs';
+import { UsageError }           from '../sfdx-falcon/error/index.mjs';
+
+/**
+ * Shows and changes the layered toolbelt configuration.
+ */
+export const configCommand = new ToolbeltCommand(
+  `config`,
+  `View or change toolbelt config values.`,
+  {
+    description:  `Each config value comes from the first of these layers that sets it.\n` +
+                  `  1. The --config flag, eg. --config alternativeBrowser=chrome\n` +
+                  `  2. Environment variables, eg. SFDX_FALCON_ALTERNATIVE_BROWSER=chrome\n` +
+                  `  3. config/toolbelt-config.local.json (git-ignored, just for you)\n` +
+                  `  4. config/toolbelt-config.json (committed, shared by your team)\n` +
+                  `  5. The toolbelt's built-in defaults\n` +
+                  `'set' and 'unset' change your personal file unless --project is given.`,
+    args:         [
+                    {
+                      name:     'action',
+                      summary:  'What to do.',
+                      required: true,
+                      options:  ['list', 'get', 'set', 'unset']
+                    },
+                    {
+                      name:     'name',
+                      summary:  'Name of the config value. Required by get, set, and unset.'
+                    },
+                    {
+                      name:     'value',
+                      summary:  'New value. Required by set.'
+                    }
+                  ],
+    flags:        {
+                    'project': {
+                      type:     'boolean',
+                      char:     'p',
+                      summary:  'Change the committed project config file instead of your personal one.'
+                    }
+                  },
+    examples:     [
+                    `config list`,
+                    `config get alternativeBrowser`,
+                    `config set alternativeBrowser chrome`,
+                    `config set devOrgAliasPrefix TEAM-DEV --project`,
+                    `config unset alternativeBrowser`
+                  ],
+    run:          async (flags, args) => {
+                    const scope = flags.project === true ? 'project' : 'user';
+                    switch (args.action) {
+                      case 'list':
+                        console.log(renderConfigList());
+                        return;
+                      case 'get':
+                        requireArgs(args, ['name']);
+                        console.log(`${toolbeltConfig.get(args.name)} ${chalk.dim(`(${toolbeltConfig.getSource(args.name)})`)}`);
+                        return;
+                      case 'set': {
+                        requireArgs(args, ['name', 'value']);
+                        const filePath = toolbeltConfig.set(args.name, args.value, scope);
+                        console.log(`Set ${args.name} to '${args.value}' in ${filePath}.`);
+                        reportOverride(args.name, filePath);
+                        return;
+                      }
+                      case 'unset': {
+                        requireArgs(args, ['name']);
+                        const filePath = toolbeltConfig.unset(args.name, scope);
+                        console.log(`Removed ${args.name} from ${filePath}. Its value is now '${toolbeltConfig.get(args.name)}' (${toolbeltConfig.getSource(args.name)}).`);
+                        return;
+                      }
+                    }
+                  }
+  }
+);
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderConfigList
+ * @returns     {String}  Aligned table of every config value and its source.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderConfigList() {
+  const entries     = toolbeltConfig.list();
+  const nameWidth   = Math.max('NAME'.length,  ...entries.map(entry => entry.name.length));
+  const valueWidth  = Math.max('VALUE'.length, ...entries.map(entry => entry.value.length));
+  let configList = `${chalk.bold(`${'NAME'.padEnd(nameWidth)}  ${'VALUE'.padEnd(valueWidth)}  SOURCE`)}\n`;
+  for (const entry of entries) {
+    const source = entry.source === 'default' ? chalk.dim(entry.source) : entry.source;
+    configList += `${entry.name.padEnd(nameWidth)}  ${entry.value.padEnd(valueWidth)}  ${source}\n`;
+  }
+  return configList;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    requireArgs
+ * @param       {Object}        args      Required. Positional arguments passed to the command.
+ * @param       {Array<String>} argNames  Required. Names of the arguments the action needs.
+ * @returns     {void}
+ * @description Throws if any of the named arguments weren't provided.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function requireArgs(args, argNames) {
+  for (const argName of argNames) {
+    if (typeof args[argName] === 'undefined') {
+      throw new UsageError(`'toolbelt config ${args.action}' requires a ${argName}. Run 'toolbelt config --help' for examples.`,
+                           `Invalid Command Arguments`,
+                           `ConfigCommand:requireArgs`);
+    }
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    reportOverride
+ * @param       {String}  name      Required. Name of the config value that was just saved.
+ * @param       {String}  filePath  Required. Path to the file it was saved to.
+ * @returns     {void}
+ * @description Warns the user when a higher-precedence layer hides the value they just saved.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function reportOverride(name, filePath) {
+  const source = toolbeltConfig.getSource(name);
+  if (source.includes(filePath) !== true) {
+    console.log(chalk.yellow(`Note: ${name} is currently '${toolbeltConfig.get(name)}' because ${source} takes precedence.`));
+  }
+}
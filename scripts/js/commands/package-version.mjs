@@ -0,0 +1,66 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/package-version.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Registers the `package-version` toolbelt command.
+ * @description   Runs the process defined in `create-package-version.mjs` when a user runs
+ *                `toolbelt package-version`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import Internal Classes & Functions
+import { createPackageVersion } from '../create-package-version.mjs';
+import { applyPipelineFlags,
+         pipelineFlags }        from './pipeline-flags.mjs';
+import { ToolbeltCommand }      from '../sfdx-falcon/command-router/toolbelt-command.mjs';
+
+/**
+ * Creates a new version of a package defined in `sfdx-project.json`.
+ */
+export const packageVersionCommand = new ToolbeltCommand(
+  `package-version`,
+  `Create a new package version.`,
+  {
+    description:  `Runs 'sf package version create' for the package defined in sfdx-project.json.\n` +
+                  `Uses the first package directory with a 'package' key unless --package is set.`,
+    flags:        {
+                    'package': {
+                      type:     'string',
+                      char:     'p',
+                      summary:  'Name or alias of the package to create a version of.'
+                    },
+                    'installation-key': {
+                      type:     'string',
+                      char:     'k',
+                      summary:  'Installation key for the new version. Bypassed if not provided.'
+                    },
+                    'code-coverage': {
+                      type:     'boolean',
+                      char:     'c',
+                      summary:  'Calculate code coverage for the new version.'
+                    },
+                    'wait': {
+                      type:     'string',
+                      char:     'w',
+                      summary:  'Minutes to wait for the package version to be created.',
+                      default:  '60'
+                    },
+                    ...pipelineFlags
+                  },
+    examples:     [
+                    `package-version`,
+                    `package-version --package "My Package" --code-coverage`
+                  ],
+    run:          async (flags) => {
+                    applyPipelineFlags(`package-version`, flags);
+                    return createPackageVersion({
+                      package:          flags['package'],
+                      installationKey:  flags['installation-key'],
+                      codeCoverage:     flags['code-coverage'],
+                      wait:             flags['wait']
+                    });
+                  }
+  }
+);
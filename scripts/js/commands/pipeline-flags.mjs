@@ -0,0 +1,146 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/pipeline-flags.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Flags shared by every toolbelt command that runs a `TaskRunner` pipeline.
+ * @description   Commands like `build-dev` and `teardown` add `pipelineFlags` to their own flags,
+ *                then call `applyPipelineFlags()` before building their pipeline so the
+ *                `TaskRunner` behaves the way the user asked.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { chalk, path }          from 'zx';
+
+// Import Internal Classes & Functions
+import { toolbeltWorkDir,
+         logRetentionRuns }     from '../toolbelt.mjs';
+import { TaskRunner,
+         taskRenderers }        from '../sfdx-falcon/task-runner/index.mjs';
+import { getExecutor,
+         RecordingExecutor,
+         ReplayExecutor }       from '../sfdx-falcon/task-runner/command-executor.mjs';
+import { UsageError }           from '../sfdx-falcon/error/index.mjs';
+import { SfdxFalconDebug }      from '../sfdx-falcon/debug/index.mjs';
+
+// Set the File Local Debug Namespace
+const dbgNs = 'PipelineFlags';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Flag definitions shared by every command that runs a pipeline.
+ */
+export const pipelineFlags = {
+  'dry-run': {
+    type:     'boolean',
+    summary:  'Print the planned commands without running them.'
+  },
+  'script': {
+    type:     'string',
+    summary:  'With --dry-run, also write the planned commands to this file as a bash script.'
+  },
+  'resume': {
+    type:     'boolean',
+    summary:  'Continue the last failed run, skipping the tasks that already finished.'
+  },
+  'from': {
+    type:     'string',
+    summary:  'Skip every task before the one with this title.'
+  },
+  'report': {
+    type:     'string',
+    summary:  'Save a JSON report of the run, with the outcome of every task, to this file.'
+  },
+  'junit': {
+    type:     'string',
+    summary:  'Save a JUnit XML report of the run to this file, so CI can show each task as a test.'
+  },
+  'renderer': {
+    type:     'string',
+    summary:  'How task progress is shown. Defaults to simple in CI or when output isn\'t a terminal.',
+    options:  taskRenderers
+  },
+  'strict': {
+    type:     'boolean',
+    summary:  'Fail the run when any task fails, even if its errors are normally suppressed.'
+  },
+  'record': {
+    type:     'string',
+    summary:  'Save every command and its output to this cassette file, or to .sfdx-falcon/cassettes if no file is given.'
+  },
+  'replay': {
+    type:     'string',
+    summary:  'Answer every command with the output recorded in this cassette file instead of running it.'
+  }
+};
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    applyPipelineFlags
+ * @param       {String}  pipelineName  Required. Name of the pipeline, eg. `build-dev`. Each
+ *                                      pipeline keeps its own checkpoint file.
+ * @param       {Object}  flags         Required. Flags parsed by the command that's about to run.
+ * @returns     {TaskRunner}  The `TaskRunner` singleton, configured according to the flags.
+ * @summary     Configures the `TaskRunner` singleton using the shared pipeline flags.
+ * @description Throws if the combination of flags doesn't make sense, eg. `--script` without
+ *              `--dry-run`, or if the cassette given to `--replay` can't be read.
+ * @public
+ * @example
+ * ```
+ * run: async (flags) => {
+ *   applyPipelineFlags('build-dev', flags);
+ *   return buildDevEnv();
+ * }
+ * ```
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function applyPipelineFlags(pipelineName, flags) {
+  const localDbgNs = `${dbgNs}:applyPipelineFlags`;
+  SfdxFalconDebug.str(`${localDbgNs}:pipelineName`, pipelineName);
+  SfdxFalconDebug.obj(`${localDbgNs}:flags`, flags);
+
+  if (flags['script'] && flags['dry-run'] !== true) {
+    throw new UsageError(`The --script flag can only be used together with --dry-run. Run 'toolbelt ${pipelineName} --help' to see the flags this command accepts.`,
+                         `Invalid Command Arguments`,
+                         `${localDbgNs}`);
+  }
+  if (typeof flags['record'] === 'string' && typeof flags['replay'] === 'string') {
+    throw new UsageError(`Choose either --record or --replay, not both. Run 'toolbelt ${pipelineName} --help' to see the flags this command accepts.`,
+                         `Invalid Command Arguments`,
+                         `${localDbgNs}`);
+  }
+  if (flags['replay'] === '') {
+    throw new UsageError(`The --replay flag needs the path to a cassette file. Run 'toolbelt ${pipelineName} --help' to see the flags this command accepts.`,
+                         `Invalid Command Arguments`,
+                         `${localDbgNs}`);
+  }
+  const tr = TaskRunner.getInstance();
+  if (flags['renderer']) {
+    tr.setRenderer(flags['renderer']);
+  }
+  if (flags['replay']) {
+    tr.setExecutor(ReplayExecutor.fromFile(flags['replay']));
+    console.log(chalk.yellow(`Replaying the commands recorded in ${flags['replay']}. No commands will be run.`));
+  }
+  if (typeof flags['record'] === 'string') {
+    const timestamp     = new Date().toISOString().replace(/[:.]/g, '-');
+    const cassetteFile  = flags['record'] || path.join(toolbeltWorkDir, 'cassettes', `${pipelineName}-${timestamp}.json`);
+    tr.setExecutor(new RecordingExecutor(getExecutor(), cassetteFile, pipelineName));
+    console.log(chalk.yellow(`Recording every command and its output to ${cassetteFile}`));
+  }
+  tr.pipelineName         = pipelineName;
+  tr.dryRun               = flags['dry-run'] === true;
+  tr.dryRunScriptFile     = flags['script'] ?? null;
+  tr.checkpointFile       = path.join(toolbeltWorkDir, 'checkpoints', `${pipelineName}.json`);
+  tr.resumeFromCheckpoint = flags['resume'] === true;
+  tr.startFromTitle       = flags['from'] ?? null;
+  tr.reportFile           = flags['report'] ?? null;
+  tr.junitReportFile      = flags['junit'] ?? null;
+  tr.logDir               = path.join(toolbeltWorkDir, 'logs');
+  tr.logRetentionRuns     = logRetentionRuns;
+  tr.strict               = flags['strict'] === true;
+  return tr;
+}
@@ -0,0 +1,54 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/commands/teardown.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Registers the `teardown` toolbelt command.
+ * @description   Runs the process defined in `teardown-env.mjs` when a user runs
+ *                `toolbelt teardown`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import Internal Classes & Functions
+import { devOrgAlias,
+         qaOrgAlias }           from '../toolbelt.mjs';
+import { teardownEnv }          from '../teardown-env.mjs';
+import { applyPipelineFlags,
+         pipelineFlags }        from './pipeline-flags.mjs';
+import { ToolbeltCommand }      from '../sfdx-falcon/command-router/toolbelt-command.mjs';
+
+/**
+ * Deletes the DEV and/or QA scratch orgs used by this project.
+ */
+export const teardownCommand = new ToolbeltCommand(
+  `teardown`,
+  `Delete the scratch orgs used by this project.`,
+  {
+    description:  `Deletes the DEV scratch org, the QA scratch org, or both. Scratch orgs that\n` +
+                  `don't exist are skipped without failing the command.`,
+    flags:        {
+                    'org': {
+                      type:     'string',
+                      char:     'o',
+                      summary:  'Which scratch org to delete.',
+                      options:  ['dev', 'qa', 'all'],
+                      default:  'dev'
+                    },
+                    ...pipelineFlags
+                  },
+    examples:     [
+                    `teardown`,
+                    `teardown --org all`
+                  ],
+    confirmation: (flags) => {
+                    if (flags['dry-run']) return null;
+                    const orgAliases = {dev: devOrgAlias, qa: qaOrgAlias, all: `${devOrgAlias} and ${qaOrgAlias}`};
+                    return `This will permanently delete ${orgAliases[flags.org]}. Continue?`;
+                  },
+    run:          async (flags) => {
+                    applyPipelineFlags(`teardown`, flags);
+                    return teardownEnv(flags.org);
+                  }
+  }
+);
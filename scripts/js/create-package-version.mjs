@@ -0,0 +1,81 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/create-package-version.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Implements a series of CLI commands that create a new package version.
+ * @description   When an SFDX Toolbelt user selects the option to create a package version, the
+ *                `createPackageVersion()` function is called to build a new version of the
+ *                package defined in `sfdx-project.json`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { sfdxProjectJson }                from './toolbelt.mjs';
+import { TaskRunner }                     from './sfdx-falcon/task-runner/index.mjs';
+import { SfdxTask }                       from './sfdx-falcon/task-runner/sfdx-task.mjs';
+import { SfdxFalconError }                from './sfdx-falcon/error/index.mjs';
+import { SfdxFalconDebug }                from './sfdx-falcon/debug/index.mjs';
+import { getDefaultPackageName,
+         getInstallationKeyEnvVarName }   from './sfdx-falcon/utilities/sfdx.mjs';
+import { quoteForBash }                   from './sfdx-falcon/utilities/general.mjs';
+
+// Set the File Local Debug Namespace
+const dbgNs = 'CreatePackageVersion';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    createPackageVersion
+ * @param       {Object}  [options] Optional. May contain `package` (name or alias of the package),
+ *                                  `installationKey`, `codeCoverage`, and `wait` (minutes).
+ * @returns     {Promise<void>}
+ * @summary     Creates a new version of a package defined in `sfdx-project.json`.
+ * @description If no package is specified, uses the first package directory in
+ *              `sfdx-project.json` that has a `package` key. Bypasses the installation key
+ *              requirement unless an installation key is provided.
+ * @public
+ * @example
+ * ```
+ * await createPackageVersion({codeCoverage: true});
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function createPackageVersion(options={}) {
+  const localDbgNs = `${dbgNs}:createPackageVersion`;
+  SfdxFalconDebug.obj(`${localDbgNs}:options`, options);
+
+  // Figure out which package to build a version of.
+  const packageName = options.package ?? getDefaultPackageName(sfdxProjectJson);
+  if (typeof packageName !== 'string' || packageName === '') {
+    throw new SfdxFalconError(`No package was specified and no package directory in sfdx-project.json has a 'package' key.`,
+                              `Missing Package Name`,
+                              `${localDbgNs}`);
+  }
+  const installationKeyArg  = options.installationKey ? `-k ${quoteForBash(options.installationKey)}` : `-x`;
+  const codeCoverageArg     = options.codeCoverage ? ` -c` : ``;
+  const wait                = options.wait ?? 60;
+
+  const tr  = TaskRunner.getInstance();
+
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  // Create a new version of the package.
+  tr.addTask(new SfdxTask(
+    `Create package version (${packageName})`,
+    `sf package version create -p "${packageName}" ${installationKeyArg}${codeCoverageArg} -w ${wait}`,
+    {
+      suppressErrors:     false,
+      renderStdioOnError: true,
+      secrets:            options.installationKey ? {[getInstallationKeyEnvVarName(packageName)]: options.installationKey} : {}
+    }
+  ));
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+
+  // Run the tasks.
+  return tr.runTasks();
+}
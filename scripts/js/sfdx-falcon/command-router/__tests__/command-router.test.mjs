@@ -0,0 +1,83 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/command-router/__tests__/command-router.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for CommandRouter usage errors.
+ * @description   Routes mistyped command lines through a `CommandRouter` and checks that they
+ *                throw a `UsageError`, which `renderError()` shows as just its message and help
+ *                hint.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { jest, beforeEach,
+         describe, test, expect }         from "@jest/globals";
+
+// Import Internal Classes & Functions
+import { CommandRouter }                  from "../index.mjs";
+import { ToolbeltCommand }                from "../toolbelt-command.mjs";
+import { SfdxFalconError,
+         UsageError }                     from "../../error/index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+let router;
+let run;
+
+beforeEach(() => {
+  run     = jest.fn();
+  router  = new CommandRouter({binName: 'toolbelt'});
+  router.addCommand(new ToolbeltCommand(`deploy`, `Deploys things.`, {
+    args:   [{name: 'target', summary: 'Where to deploy.', required: true, options: ['dev', 'qa']}],
+    flags:  {'force': {type: 'boolean', summary: 'Deploy even if nothing changed.'}},
+    run
+  }));
+});
+
+/**
+ * Routes the given arguments and returns the error that was thrown.
+ */
+async function routeError(rawArgs) {
+  try {
+    await router.route(rawArgs);
+  } catch (routeError) {
+    return routeError;
+  }
+  throw new Error(`Expected '${rawArgs.join(' ')}' to throw.`);
+}
+
+// user-001: usage mistakes print only the message and how to get help.
+describe('usage errors', () => {
+  test.each([
+    [['nosuch'],                      `'nosuch' is not a toolbelt command. Run 'toolbelt --help'`],
+    [[],                              `No command specified.`],
+    [['deploy'],                      `Missing required argument 'target' for command 'deploy'. Run 'toolbelt deploy --help'`],
+    [['deploy', 'prod'],              `Invalid value 'prod' for argument 'target'. Expected one of: dev, qa. Run 'toolbelt deploy --help'`],
+    [['deploy', 'dev', 'extra'],      `Unexpected argument 'extra' for command 'deploy'. Run 'toolbelt deploy --help'`],
+    [['deploy', 'dev', '--nope'],     `Unknown flag '--nope' for command 'deploy'. Run 'toolbelt deploy --help'`]
+  ])('%j throws a UsageError', async (rawArgs, expectedMessage) => {
+    const usageError = await routeError(rawArgs);
+    expect(usageError).toBeInstanceOf(UsageError);
+    expect(usageError.message).toContain(expectedMessage);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('renders only the message, without a stack', async () => {
+    const usageError  = await routeError(['nosuch']);
+    const rendered    = SfdxFalconError.renderError(usageError);
+    expect(rendered).toContain(`Error:`);
+    expect(rendered).toContain(usageError.message);
+    expect(rendered).not.toContain(`Error Stack:`);
+  });
+
+  test('other errors still render their stack', () => {
+    expect(SfdxFalconError.renderError(new SfdxFalconError(`Boom`, `Build Error`))).toContain(`Error Stack:`);
+  });
+
+  test('valid arguments run the command', async () => {
+    await router.route(['deploy', 'dev', '--force']);
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({force: true}), expect.objectContaining({target: 'dev'}));
+  });
+});
@@ -0,0 +1,228 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/command-router/index.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Routes toolbelt arguments to registered `ToolbeltCommand` objects.
+ * @description   Lets the SFDX-Falcon Toolbelt expose multiple subcommands, eg. `toolbelt build-dev`
+ *                or `toolbelt teardown`, each with its own flags and auto-generated `--help`.
+ *                Part of the SFDX-Falcon Toolkit.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { chalk }                          from "zx";
+
+// Import Internal Classes & Functions
+import { ToolbeltCommand, globalFlags,
+         renderFlagList }                 from "./toolbelt-command.mjs";
+import { isInteractiveSession,
+         selectCommand }                  from "./interactive-menu.mjs";
+import { SfdxFalconError,
+         UsageError }                     from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnInvalidInstance,
+         throwOnNullInvalidArray }        from "../validators/type-validator.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'CommandRouter';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       CommandRouter
+ * @description Routes command-line arguments to the matching `ToolbeltCommand`.
+ * @public
+ * @example
+ * ```
+ * const router = new CommandRouter({binName: 'toolbelt'});
+ * router.addCommand(buildDevCommand);
+ * await router.route(process.argv.slice(2));
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class CommandRouter {
+  /**
+   * @type      {String}
+   * @summary   Name of the executable shown in usage lines, eg. `toolbelt`.
+   */
+  binName = null;
+  /**
+   * @type      {Map<String, ToolbeltCommand>}
+   * @summary   Registered commands, keyed by command name, in the order they were added.
+   */
+  commands = null;
+  /**
+   * @type      {Boolean}
+   * @summary   Shows the interactive menu when no command name is given in a TTY.
+   */
+  interactive = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {Object} [options] Optional. May contain `binName` and
+   *                                 `interactive`.
+   * @returns     {CommandRouter}
+   * @description Instantiates an empty `CommandRouter`.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(options={}) {
+    this.binName        = options.binName ?? 'toolbelt';
+    this.interactive    = options.interactive ?? false;
+    this.commands       = new Map();
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      addCommand
+   * @param       {ToolbeltCommand} commandToAdd  Required. The command to
+   *              register with this router.
+   * @returns     {CommandRouter} Returns `this` to allow for chaining.
+   * @description Registers a `ToolbeltCommand`. Throws if a command with the
+   *              same name was already registered.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  addCommand(commandToAdd) {
+    const localDbgNs = `${dbgNs}:addCommand`;
+    throwOnInvalidInstance(commandToAdd, ToolbeltCommand, `${localDbgNs}`, 'commandToAdd');
+    if (this.commands.has(commandToAdd.name)) {
+      throw new SfdxFalconError(`A command named '${commandToAdd.name}' has already been registered.`,
+                                `CommandRouter Error`,
+                                `${localDbgNs}`);
+    }
+    SfdxFalconDebug.str(`${localDbgNs}:commandName`, commandToAdd.name);
+    this.commands.set(commandToAdd.name, commandToAdd);
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getCommand
+   * @param       {String} commandName  Required. Name of a registered command.
+   * @returns     {ToolbeltCommand}
+   * @description Returns the registered command with the given name. Throws
+   *              if no such command has been registered.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getCommand(commandName) {
+    const localDbgNs = `${dbgNs}:getCommand`;
+    if (this.commands.has(commandName) !== true) {
+      throw new UsageError(`'${commandName}' is not a ${this.binName} command. Run '${this.binName} --help' to see the list of available commands.`,
+                           `Unknown Command`,
+                           `${localDbgNs}`);
+    }
+    return this.commands.get(commandName);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      route
+   * @param       {Array<String>} rawArgs Required. Every argument passed to
+   *              the toolbelt, typically `process.argv.slice(2)`.
+   * @returns     {Promise<unknown>}  Whatever the routed command's `run`
+   *              handler resolves to.
+   * @description Finds the command named by the first argument, parses the
+   *              remaining arguments as that command's arguments and flags,
+   *              then runs it.
+   *              Renders help instead when `--help` or `help` is given. When
+   *              no command is given, shows the interactive menu if this is
+   *              an interactive TTY session, and throws otherwise.
+   * @public @async
+   * @example
+   * ```
+   * await router.route(['build-dev', '--sfdx-falcon-debug', 'TaskRunner']);
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  async route(rawArgs) {
+    const localDbgNs = `${dbgNs}:route`;
+    throwOnNullInvalidArray(rawArgs, `${localDbgNs}`, 'rawArgs');
+    SfdxFalconDebug.obj(`${localDbgNs}:rawArgs`, rawArgs);
+
+    // Split the command name from its flags. Anything that starts with a dash
+    // in the first position means no command name was given.
+    const commandName = rawArgs[0];
+    const commandArgs = rawArgs.slice(1);
+    if (typeof commandName === 'undefined' || commandName.startsWith('-')) {
+      if (rawArgs.includes('--help') || rawArgs.includes('-h')) {
+        console.log(this.renderHelp());
+        return;
+      }
+      if (this.interactive === true && isInteractiveSession()) {
+        return await this.routeInteractive();
+      }
+      throw new UsageError(`No command specified. Non-interactive sessions must specify a command, eg. '${this.binName} build-dev'. Run '${this.binName} --help' to see the list of available commands.`,
+                           `Missing Command`,
+                           `${localDbgNs}`);
+    }
+
+    // Support `toolbelt help` and `toolbelt help <command>`.
+    if (commandName === 'help') {
+      if (commandArgs.length === 0) {
+        console.log(this.renderHelp());
+      } else {
+        console.log(this.getCommand(commandArgs[0]).renderHelp(this.binName));
+      }
+      return;
+    }
+
+    // Parse flags and arguments, then either show help or run the command.
+    const command       = this.getCommand(commandName);
+    const {flags, args} = command.parse(commandArgs);
+    if (flags.help === true) {
+      console.log(command.renderHelp(this.binName));
+      return;
+    }
+    SfdxFalconDebug.str(`${localDbgNs}:commandName`, commandName, `Running command: `);
+    return await command.run(flags, args);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      routeInteractive
+   * @returns     {Promise<unknown>}  Whatever the chosen command's `run`
+   *              handler resolves to.
+   * @description Shows the interactive menu, then runs the command the user
+   *              picked with the argument and flag values they provided. Does nothing if
+   *              the user exits the menu or declines a confirmation.
+   * @public @async
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  async routeInteractive() {
+    const localDbgNs = `${dbgNs}:routeInteractive`;
+    const selection  = await selectCommand(this);
+    if (selection === null) {
+      SfdxFalconDebug.msg(`${localDbgNs}`, `User exited the interactive menu without running a command.`);
+      return;
+    }
+    SfdxFalconDebug.str(`${localDbgNs}:commandName`, selection.command.name, `Running command: `);
+    return await selection.command.run(selection.flags, selection.args);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderHelp
+   * @returns     {String}  Formatted top-level help text.
+   * @description Generates the top-level `--help` output listing every
+   *              registered command and the global flags.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderHelp() {
+    const commandNames = [...this.commands.keys()];
+    const nameWidth    = Math.max(0, ...commandNames.map(commandName => commandName.length));
+    let helpOutput = `\n${chalk.bold('USAGE')}\n  $ ${this.binName} <command> [ARGUMENTS] [FLAGS]\n`;
+    helpOutput += `\n${chalk.bold('COMMANDS')}\n`;
+    for (const command of this.commands.values()) {
+      helpOutput += `  ${command.name.padEnd(nameWidth)}  ${command.summary}\n`;
+    }
+    helpOutput += `\n${chalk.bold('GLOBAL FLAGS')}\n${renderFlagList(globalFlags)}`;
+    helpOutput += `\nRun '${this.binName} <command> --help' for details about a specific command.\n`;
+    if (this.interactive === true) {
+      helpOutput += `Run '${this.binName}' with no command in an interactive terminal to choose from a menu.\n`;
+    }
+    return helpOutput;
+  }
+}
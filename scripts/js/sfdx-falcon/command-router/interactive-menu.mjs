@@ -0,0 +1,132 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/command-router/interactive-menu.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Interactive menu that lets users pick a toolbelt command instead of typing it.
+ * @description   Uses `inquirer` to list every command registered with a `CommandRouter`, collect
+ *                values for the chosen command's arguments and flags, and confirm destructive
+ *                commands before they run.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import   inquirer                         from "inquirer";
+
+// Import Internal Classes & Functions
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'CommandRouter:InteractiveMenu';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isInteractiveSession
+ * @returns     {Boolean} True if both `stdin` and `stdout` are attached to a TTY.
+ * @summary     Checks whether the toolbelt can prompt the user for input.
+ * @description The interactive menu is only shown when a user can actually see and answer it.
+ *              Piped input/output and CI runners are never treated as interactive.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isInteractiveSession() {
+  return process.stdin.isTTY === true && process.stdout.isTTY === true;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    selectCommand
+ * @param       {CommandRouter} router  Required. The router whose commands will be listed.
+ * @returns     {Promise<Object>} Resolves to `{command, flags, args}` for the chosen command, or
+ *              to `null` if the user chose to exit or declined the confirmation.
+ * @summary     Prompts the user to choose a command and provide values for its arguments and flags.
+ * @description Lists every registered command, then prompts for each of the chosen command's
+ *              arguments and flags using their `options` or `default` values. If the command
+ *              defines a `confirmation`, the user must agree before the command is returned.
+ * @public @async
+ * @example
+ * ```
+ * const selection = await selectCommand(router);
+ * if (selection) await selection.command.run(selection.flags, selection.args);
+ * ```
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function selectCommand(router) {
+  const localDbgNs = `${dbgNs}:selectCommand`;
+
+  // Ask which command to run.
+  const exitChoice = {name: 'Exit', value: null};
+  const {command}  = await inquirer.prompt([{
+    type:     'list',
+    name:     'command',
+    message:  'What would you like to do?',
+    choices:  [
+                ...[...router.commands.values()].map(command => ({name: command.summary, value: command})),
+                new inquirer.Separator(),
+                exitChoice
+              ],
+    loop:     false
+  }]);
+  if (command === null) {
+    return null;
+  }
+  SfdxFalconDebug.str(`${localDbgNs}:command.name`, command.name);
+
+  // Ask for a value for each of the command's positional arguments.
+  const argQuestions = command.args.map(argDef => {
+    const question = {name: argDef.name, message: argDef.summary ?? argDef.name};
+    if (Array.isArray(argDef.options)) {
+      question.type     = 'list';
+      question.choices  = argDef.options;
+    } else {
+      question.type     = 'input';
+      question.validate = (answer) => argDef.required !== true || answer !== '' || `${argDef.name} is required.`;
+    }
+    return question;
+  });
+  const args = await inquirer.prompt(argQuestions);
+  // Empty answers to optional arguments mean "not provided".
+  for (const argName of Object.keys(args)) {
+    if (args[argName] === '') delete args[argName];
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:args`, args);
+
+  // Ask for a value for each of the command's flags.
+  const flagQuestions = Object.entries(command.flags).map(([flagName, flagDef]) => {
+    const question = {name: flagName, message: flagDef.summary ?? flagName, default: flagDef.default};
+    if (Array.isArray(flagDef.options)) {
+      question.type     = 'list';
+      question.choices  = flagDef.options;
+    } else if (flagDef.type === 'string') {
+      question.type     = 'input';
+    } else {
+      question.type     = 'confirm';
+      question.default  = flagDef.default ?? false;
+    }
+    return question;
+  });
+  const flags = await inquirer.prompt(flagQuestions);
+  // Empty answers to optional string flags mean "not provided".
+  for (const flagName of Object.keys(flags)) {
+    if (flags[flagName] === '') delete flags[flagName];
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:flags`, flags);
+
+  // Confirm destructive commands before returning them.
+  const confirmationMessage = command.getConfirmation(flags, args);
+  if (confirmationMessage) {
+    const {confirmed} = await inquirer.prompt([{
+      type:     'confirm',
+      name:     'confirmed',
+      message:  confirmationMessage,
+      default:  false
+    }]);
+    if (confirmed !== true) {
+      return null;
+    }
+  }
+  return {command, flags, args};
+}
@@ -0,0 +1,404 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/command-router/toolbelt-command.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Defines a single command that can be registered with the `CommandRouter`.
+ * @description   Each `ToolbeltCommand` knows its name, its flags, how to parse the arguments
+ *                passed to it, how to render its own `--help` output, and what to run.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { chalk, minimist }                from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError,
+         UsageError }                     from "../error/index.mjs";
+import { errorFormats }                   from "../error/error-formats.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnEmptyNullInvalidString,
+         throwOnNullInvalidArray,
+         throwOnNullInvalidObject,
+         throwOnInvalidFunction }         from "../validators/type-validator.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'CommandRouter:ToolbeltCommand';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Flags that every `ToolbeltCommand` accepts, regardless of the flags it defines for itself.
+ */
+export const globalFlags = {
+  'help': {
+    type:     'boolean',
+    char:     'h',
+    summary:  'Show help for this command.'
+  },
+  'config': {
+    type:     'string',
+    summary:  'Override a toolbelt config value for this run, eg. alternativeBrowser=chrome. Can be repeated.'
+  },
+  'sfdx-falcon-debug': {
+    type:     'string',
+    summary:  'Comma-separated list of debug namespaces to enable. Enables all namespaces if no list is given.'
+  },
+  'error-format': {
+    type:     'string',
+    summary:  'How errors are printed. Use json, markdown, or github (workflow command annotations) in CI.',
+    default:  'text',
+    options:  errorFormats
+  }
+};
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       ToolbeltCommand
+ * @description Defines a single command that can be registered with the `CommandRouter`.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class ToolbeltCommand {
+  /**
+   * @type      {String}
+   * @summary   Name of the command. This is what users type after `toolbelt`, eg. `build-dev`.
+   */
+  name = null;
+  /**
+   * @type      {String}
+   * @summary   One-line summary of what the command does. Shown in the command list.
+   */
+  summary = null;
+  /**
+   * @type      {String}
+   * @summary   Longer description of the command. Shown by `toolbelt <command> --help`.
+   */
+  description = null;
+  /**
+   * @type        {Object}
+   * @summary     Flag definitions for this command, keyed by flag name.
+   * @description Each flag definition is an object with the following keys.
+   *              - `type`    Either `boolean` or `string`. Defaults to `boolean`.
+   *              - `char`    Optional. Single character alias, eg. `o` for `-o`.
+   *              - `summary` Optional. Text shown in the `--help` output.
+   *              - `default` Optional. Value used when the flag is not provided.
+   *              - `options` Optional. Array of allowed values for `string` flags.
+   */
+  flags = null;
+  /**
+   * @type        {Array<Object>}
+   * @summary     Positional argument definitions for this command, in the order they're given.
+   * @description Each argument definition is an object with the following keys.
+   *              - `name`      Name of the argument, eg. `key`.
+   *              - `summary`   Optional. Text shown in the `--help` output.
+   *              - `required`  Optional. Set to `true` if the argument must be provided.
+   *              - `options`   Optional. Array of allowed values.
+   */
+  args = null;
+  /**
+   * @type      {Array<String>}
+   * @summary   Example invocations shown by `toolbelt <command> --help`.
+   */
+  examples = null;
+  /**
+   * @type        {function}
+   * @summary     Async handler function that's executed when this command is routed to.
+   * @description The specified handler function should take two arguments.
+   *              1. `flags` for the parsed flags passed to the command.
+   *              2. `args` for the parsed positional arguments, keyed by argument name.
+   * @example
+   * ```
+   * this.run = async (flags, args) => {
+   *   // Implementation
+   * }
+   * ```
+   */
+  run = null;
+  /**
+   * @type        {function}
+   * @summary     Optional function that returns a confirmation prompt for destructive commands.
+   * @description The specified function should take two arguments and return a `String` (the
+   *              question to ask) or `null` (no confirmation needed).
+   *              1. `flags` for the flags the command is about to be run with.
+   *              2. `args` for the positional arguments the command is about to be run with.
+   * @example
+   * ```
+   * this.confirmation = (flags) => `Delete the ${flags.org} scratch org?`;
+   * ```
+   */
+  confirmation = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {String} name     Required. The name users type to run
+   *                                this command, eg. `build-dev`.
+   * @param       {String} summary  Required. One-line summary of the command.
+   * @param       {Object} options  Required. Object containing the `run`
+   *                                handler and optionally `description`,
+   *                                `flags`, `args`, `examples`, and
+   *                                `confirmation`.
+   * @returns     {ToolbeltCommand}
+   * @description Instantiates a `ToolbeltCommand` object that can be added
+   *              to a `CommandRouter`.
+   * @public
+   * @example
+   * ```
+   * const buildDev = new ToolbeltCommand(
+   *   `build-dev`,
+   *   `Build a scratch org-based DEV environment.`,
+   *   {run: async (flags) => await buildDevEnv()}
+   * );
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(name, summary, options={}) {
+    // Set local debug namespace.
+    const localDbgNs = `${dbgNs}:constructor`;
+
+    // Debug arguments.
+    SfdxFalconDebug.str(`${localDbgNs}:name`, name);
+    SfdxFalconDebug.str(`${localDbgNs}:summary`, summary);
+    SfdxFalconDebug.obj(`${localDbgNs}:options`, options);
+
+    // Validate arguments.
+    throwOnEmptyNullInvalidString(name,           `${localDbgNs}`, 'name');
+    throwOnEmptyNullInvalidString(summary,        `${localDbgNs}`, 'summary');
+    throwOnNullInvalidObject     (options,        `${localDbgNs}`, 'options', true);
+    throwOnInvalidFunction       (options.run,    `${localDbgNs}`, 'options.run');
+    if (options.flags)        throwOnNullInvalidObject(options.flags,       `${localDbgNs}`, 'options.flags', true);
+    if (options.args)         throwOnNullInvalidArray (options.args,        `${localDbgNs}`, 'options.args');
+    if (options.confirmation) throwOnInvalidFunction  (options.confirmation,  `${localDbgNs}`, 'options.confirmation');
+    for (const flagName in (options.flags ?? {})) {
+      if (flagName in globalFlags) {
+        throw new SfdxFalconError(`Command '${name}' defines the flag '--${flagName}', which is reserved as a global flag.`,
+                                  `Invalid Command Definition`,
+                                  `${localDbgNs}`);
+      }
+    }
+    let optionalArgFound = false;
+    for (const argDef of (options.args ?? [])) {
+      throwOnEmptyNullInvalidString(argDef.name, `${localDbgNs}`, 'options.args[].name');
+      if (argDef.required === true && optionalArgFound) {
+        throw new SfdxFalconError(`Command '${name}' defines the required argument '${argDef.name}' after an optional argument.`,
+                                  `Invalid Command Definition`,
+                                  `${localDbgNs}`);
+      }
+      optionalArgFound = optionalArgFound || argDef.required !== true;
+    }
+
+    // Initialize member variables.
+    this.name         = name;
+    this.summary      = summary;
+    this.description  = options.description ?? '';
+    this.flags        = options.flags ?? {};
+    this.args         = options.args ?? [];
+    this.examples     = options.examples ?? [];
+    this.run          = options.run;
+    this.confirmation = options.confirmation ?? null;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getConfirmation
+   * @param       {Object}  flags Required. The flags the command is about to
+   *              be run with.
+   * @param       {Object}  [args]  Optional. The positional arguments the
+   *              command is about to be run with.
+   * @returns     {String}  The confirmation prompt for this command, or `null`
+   *              if the command doesn't need to be confirmed.
+   * @description Evaluates the `confirmation` function (if defined) against
+   *              the flags and arguments the command will be run with.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getConfirmation(flags, args={}) {
+    if (typeof this.confirmation !== 'function') {
+      return null;
+    }
+    return this.confirmation(flags, args) || null;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      parse
+   * @param       {Array<String>} rawArgs Required. Arguments that followed
+   *              the command name on the command line.
+   * @returns     {Object}  Object with `flags` (parsed flags, keyed by flag
+   *              name) and `args` (positional arguments, keyed by argument
+   *              name).
+   * @description Parses the raw arguments against this command's flag and
+   *              argument definitions and the global flags. Throws if an
+   *              unknown flag, an unexpected or missing argument, or a
+   *              disallowed option is provided.
+   * @public
+   * @example
+   * ```
+   * const {flags, args} = command.parse(['--org', 'qa']);
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  parse(rawArgs) {
+    const localDbgNs = `${dbgNs}:parse`;
+    SfdxFalconDebug.obj(`${localDbgNs}:rawArgs`, rawArgs);
+
+    // Translate flag definitions into minimist options. The debug flag is left
+    // undeclared so it can be passed with or without a list of namespaces.
+    const allFlags        = {...this.flags, ...globalFlags};
+    // Positional arguments are always kept as strings.
+    const minimistOptions = {boolean: [], string: ['_'], alias: {}, default: {}};
+    for (const [flagName, flagDef] of Object.entries(allFlags)) {
+      if (flagName === 'sfdx-falcon-debug') continue;
+      if (flagDef.type === 'string') {
+        minimistOptions.string.push(flagName);
+      } else {
+        minimistOptions.boolean.push(flagName);
+      }
+      if (flagDef.char) {
+        minimistOptions.alias[flagName] = flagDef.char;
+      }
+      if (typeof flagDef.default !== 'undefined') {
+        minimistOptions.default[flagName] = flagDef.default;
+      }
+    }
+    const parsedArgs = minimist(rawArgs, minimistOptions);
+    SfdxFalconDebug.obj(`${localDbgNs}:parsedArgs`, parsedArgs);
+
+    // Reject anything this command doesn't know about.
+    if (parsedArgs._.length > this.args.length) {
+      throw new UsageError(`Unexpected argument '${parsedArgs._[this.args.length]}' for command '${this.name}'. Run 'toolbelt ${this.name} --help' to see the arguments and flags this command accepts.`,
+                           `Invalid Command Arguments`,
+                           `${localDbgNs}`);
+    }
+    const knownKeys = new Set(['_', ...Object.keys(allFlags), ...Object.values(minimistOptions.alias)]);
+    for (const key of Object.keys(parsedArgs)) {
+      if (knownKeys.has(key) !== true) {
+        throw new UsageError(`Unknown flag '${key.length === 1 ? '-' : '--'}${key}' for command '${this.name}'. Run 'toolbelt ${this.name} --help' to see the flags this command accepts.`,
+                             `Invalid Command Arguments`,
+                             `${localDbgNs}`);
+      }
+    }
+
+    // Build the final flags object, keyed only by full flag names.
+    const flags = {};
+    for (const [flagName, flagDef] of Object.entries(allFlags)) {
+      const value = parsedArgs[flagName];
+      if (typeof value === 'undefined') continue;
+      if (Array.isArray(flagDef.options) && flagDef.options.includes(value) !== true) {
+        throw new UsageError(`Invalid value '${value}' for flag '--${flagName}'. Expected one of: ${flagDef.options.join(', ')}. Run 'toolbelt ${this.name} --help' to see the flags this command accepts.`,
+                             `Invalid Command Arguments`,
+                             `${localDbgNs}`);
+      }
+      flags[flagName] = value;
+    }
+    SfdxFalconDebug.obj(`${localDbgNs}:flags`, flags);
+
+    // Build the args object, keyed by argument name. Skip validation when only
+    // help was asked for so `toolbelt <command> --help` always works.
+    const args = {};
+    this.args.forEach((argDef, index) => {
+      const value = parsedArgs._[index];
+      if (typeof value === 'undefined') {
+        if (argDef.required === true && flags.help !== true) {
+          throw new UsageError(`Missing required argument '${argDef.name}' for command '${this.name}'. Run 'toolbelt ${this.name} --help' to see the arguments this command accepts.`,
+                               `Invalid Command Arguments`,
+                               `${localDbgNs}`);
+        }
+        return;
+      }
+      if (Array.isArray(argDef.options) && argDef.options.includes(value) !== true) {
+        throw new UsageError(`Invalid value '${value}' for argument '${argDef.name}'. Expected one of: ${argDef.options.join(', ')}. Run 'toolbelt ${this.name} --help' to see the arguments this command accepts.`,
+                             `Invalid Command Arguments`,
+                             `${localDbgNs}`);
+      }
+      args[argDef.name] = value;
+    });
+    SfdxFalconDebug.obj(`${localDbgNs}:args`, args);
+    return {flags, args};
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderHelp
+   * @param       {String}  [binName] Optional. Name of the executable shown
+   *                        in the usage line. Defaults to `toolbelt`.
+   * @returns     {String}  Formatted help text for this command.
+   * @description Generates `--help` output from the command's summary,
+   *              description, flag definitions, and examples.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderHelp(binName='toolbelt') {
+    let helpOutput = `${this.summary}\n`;
+    const argLabels = this.args.map(argDef => argDef.required === true ? `<${argDef.name}>` : `[<${argDef.name}>]`);
+    helpOutput += `\n${chalk.bold('USAGE')}\n  $ ${[binName, this.name, ...argLabels].join(' ')} [FLAGS]\n`;
+    if (this.args.length > 0) {
+      helpOutput += `\n${chalk.bold('ARGUMENTS')}\n${renderArgList(this.args)}`;
+    }
+    helpOutput += `\n${chalk.bold('FLAGS')}\n${renderFlagList(this.flags)}`;
+    helpOutput += `\n${chalk.bold('GLOBAL FLAGS')}\n${renderFlagList(globalFlags)}`;
+    if (this.description) {
+      helpOutput += `\n${chalk.bold('DESCRIPTION')}\n  ${this.description.split('\n').join('\n  ')}\n`;
+    }
+    if (this.examples.length > 0) {
+      helpOutput += `\n${chalk.bold('EXAMPLES')}\n`;
+      for (const example of this.examples) {
+        helpOutput += `  $ ${binName} ${example}\n`;
+      }
+    }
+    return helpOutput;
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderFlagList
+ * @param       {Object}  flagDefs  Required. Flag definitions keyed by flag name.
+ * @returns     {String}  Aligned, one-flag-per-line list for use in `--help` output.
+ * @description Renders each flag's chars, name, value placeholder, summary, default, and options.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function renderFlagList(flagDefs) {
+  const entries = Object.entries(flagDefs);
+  if (entries.length === 0) {
+    return `  (none)\n`;
+  }
+  const labels = entries.map(([flagName, flagDef]) => {
+    const charLabel  = flagDef.char ? `-${flagDef.char}, ` : '    ';
+    const valueLabel = flagDef.type === 'string' ? ` <value>` : '';
+    return `${charLabel}--${flagName}${valueLabel}`;
+  });
+  const labelWidth = Math.max(...labels.map(label => label.length));
+  let flagList = '';
+  entries.forEach(([, flagDef], index) => {
+    let summary = flagDef.summary ?? '';
+    if (Array.isArray(flagDef.options)) {
+      summary += ` <options: ${flagDef.options.join('|')}>`;
+    }
+    if (typeof flagDef.default !== 'undefined' && flagDef.type === 'string') {
+      summary += ` [default: ${flagDef.default}]`;
+    }
+    flagList += `  ${labels[index].padEnd(labelWidth)}  ${summary}\n`;
+  });
+  return flagList;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderArgList
+ * @param       {Array<Object>} argDefs Required. Positional argument definitions.
+ * @returns     {String}  Aligned, one-argument-per-line list for use in `--help` output.
+ * @description Renders each argument's name, summary, and options.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderArgList(argDefs) {
+  const nameWidth = Math.max(...argDefs.map(argDef => argDef.name.length));
+  let argList = '';
+  for (const argDef of argDefs) {
+    let summary = argDef.summary ?? '';
+    if (Array.isArray(argDef.options)) {
+      summary += ` <options: ${argDef.options.join('|')}>`;
+    }
+    argList += `  ${argDef.name.padEnd(nameWidth)}  ${summary}\n`;
+  }
+  return argList;
+}
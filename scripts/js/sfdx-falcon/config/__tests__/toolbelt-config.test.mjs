@@ -0,0 +1,128 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/config/__tests__/toolbelt-config.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for the layered toolbelt configuration.
+ * @description   Loads a `ToolbeltConfig` from config files in a temporary directory,
+ *                environment variables, and `--config` overrides, then checks which layer each
+ *                value comes from and the errors reported for invalid values.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { afterEach, beforeEach,
+         describe, test, expect }         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { ToolbeltConfig,
+         parseConfigOverrides }           from "../index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+/**
+ * Settings used by every test.
+ */
+const definitions = {
+  orgAliasPrefix:     {default: 'PKG-DEV'},
+  alternativeBrowser: {default: 'firefox', options: ['chrome', 'edge', 'firefox']},
+  logRetentionRuns:   {default: '10', integer: true}
+};
+const envPrefix = 'TEST_FALCON_';
+
+let tempDir;
+let projectFile;
+let userFile;
+
+beforeEach(() => {
+  tempDir     = fs.mkdtempSync(path.join(os.tmpdir(), 'toolbelt-config-'));
+  projectFile = path.join(tempDir, 'toolbelt-config.json');
+  userFile    = path.join(tempDir, 'toolbelt-config.local.json');
+});
+
+afterEach(() => {
+  fs.removeSync(tempDir);
+  for (const envVarName of Object.keys(process.env).filter(name => name.startsWith(envPrefix))) {
+    delete process.env[envVarName];
+  }
+});
+
+/**
+ * Loads a `ToolbeltConfig` that reads the temporary config files.
+ */
+function loadConfig(flagOverrides={}) {
+  return new ToolbeltConfig(definitions, {projectFile, userFile, envPrefix, flagOverrides}).load();
+}
+
+// user-006: each setting comes from the highest layer that sets it.
+describe('ToolbeltConfig', () => {
+  test('uses the defaults when no layer sets a value', () => {
+    const config = loadConfig();
+    expect(config.get('orgAliasPrefix')).toBe('PKG-DEV');
+    expect(config.getSource('orgAliasPrefix')).toBe('default');
+  });
+
+  test('applies project file, user file, environment, and flag layers in order', () => {
+    fs.writeJsonSync(projectFile, {orgAliasPrefix: 'TEAM', alternativeBrowser: 'edge', logRetentionRuns: '5'});
+    fs.writeJsonSync(userFile,    {alternativeBrowser: 'chrome', logRetentionRuns: '7'});
+    process.env.TEST_FALCON_LOG_RETENTION_RUNS = '3';
+    const config = loadConfig({logRetentionRuns: '1'});
+    expect(config.list().map(({name, value, source}) => [name, value, source])).toEqual([
+      ['orgAliasPrefix',      'TEAM',   `project (${projectFile})`],
+      ['alternativeBrowser',  'chrome', `user (${userFile})`],
+      ['logRetentionRuns',    '1',      `flag (--config logRetentionRuns=...)`]
+    ]);
+  });
+
+  test('reads environment variables named after the setting', () => {
+    process.env.TEST_FALCON_ALTERNATIVE_BROWSER = 'edge';
+    const config = loadConfig();
+    expect(config.getEnvVarName('alternativeBrowser')).toBe('TEST_FALCON_ALTERNATIVE_BROWSER');
+    expect(config.get('alternativeBrowser')).toBe('edge');
+    expect(config.getSource('alternativeBrowser')).toBe('env (TEST_FALCON_ALTERNATIVE_BROWSER)');
+  });
+
+  test('set and unset change the user file and reload every layer', () => {
+    fs.writeJsonSync(projectFile, {alternativeBrowser: 'edge'});
+    const config = loadConfig();
+    expect(config.set('alternativeBrowser', 'chrome')).toBe(userFile);
+    expect(fs.readJsonSync(userFile)).toEqual({alternativeBrowser: 'chrome'});
+    expect(config.getSource('alternativeBrowser')).toBe(`user (${userFile})`);
+    config.unset('alternativeBrowser');
+    expect(config.get('alternativeBrowser')).toBe('edge');
+    expect(config.getSource('alternativeBrowser')).toBe(`project (${projectFile})`);
+  });
+
+  test.each([
+    ['an unknown setting',          () => loadConfig({browser: 'chrome'}),                  /Unknown setting 'browser' in the --config flag/],
+    ['a value that is not allowed', () => loadConfig({alternativeBrowser: 'safari'}),       /Invalid value 'safari' for 'alternativeBrowser'.*Expected one of: chrome, edge, firefox/],
+    ['a value that is not a count', () => loadConfig({logRetentionRuns: '0'}),              /Expected a whole number greater than zero/],
+    ['a value that is not a string', () => {
+      fs.writeJsonSync(projectFile, {logRetentionRuns: 5});
+      return loadConfig();
+    },                                                                                      /must be a non-empty string/],
+    ['a file that is not an object', () => {
+      fs.writeJsonSync(userFile, ['chrome']);
+      return loadConfig();
+    },                                                                                      /must contain a JSON object/]
+  ])('rejects %s', (description, load, expectedMessage) => {
+    expect(load).toThrow(expectedMessage);
+  });
+});
+
+// user-006: `--config name=value` flags override every other layer.
+describe('parseConfigOverrides', () => {
+  test('parses one or more name=value pairs, last one wins', () => {
+    expect(parseConfigOverrides(undefined)).toEqual({});
+    expect(parseConfigOverrides('alternativeBrowser=chrome')).toEqual({alternativeBrowser: 'chrome'});
+    expect(parseConfigOverrides(['orgAliasPrefix=A=B', 'alternativeBrowser=edge', 'alternativeBrowser=chrome']))
+      .toEqual({orgAliasPrefix: 'A=B', alternativeBrowser: 'chrome'});
+  });
+
+  test('rejects values without a name', () => {
+    expect(() => parseConfigOverrides(['=chrome'])).toThrow(/Use the format name=value/);
+    expect(() => parseConfigOverrides(['chrome'])).toThrow(/Use the format name=value/);
+  });
+});
@@ -0,0 +1,423 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/config/index.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Layered configuration for the SFDX-Falcon Toolbelt.
+ * @description   Resolves each toolbelt setting from up to five layers, in increasing order of
+ *                precedence: built-in defaults, the committed project config file, the git-ignored
+ *                per-user config file, environment variables, and `--config` command-line flags.
+ *                Remembers which layer every value came from so users can see why a setting has
+ *                the value it does.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { fs, path }                       from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnEmptyNullInvalidString,
+         throwOnNullInvalidObject }       from "../validators/type-validator.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'ToolbeltConfig';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       ToolbeltConfig
+ * @description Holds the resolved value, and the source of that value, for every setting the
+ *              toolbelt defines.
+ * @public
+ * @example
+ * ```
+ * const config = new ToolbeltConfig(definitions, {
+ *   projectFile:    'config/toolbelt-config.json',
+ *   userFile:       'config/toolbelt-config.local.json',
+ *   envPrefix:      'SFDX_FALCON_',
+ *   flagOverrides:  parseConfigOverrides(argv.config)
+ * }).load();
+ * config.get('alternativeBrowser');
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class ToolbeltConfig {
+  /**
+   * @type        {Object}
+   * @summary     Setting definitions, keyed by setting name.
+   * @description Each setting definition is an object with the following keys.
+   *              - `default` Value used when no other layer sets the value.
+   *              - `summary` Optional. Text shown by `toolbelt config list`.
+   *              - `options` Optional. Array of allowed values.
+   *              - `integer` Optional. If `true`, the value must be a whole
+   *                number greater than zero, eg. `10`.
+   */
+  definitions = null;
+  /**
+   * @type      {String}
+   * @summary   Path to the committed, project-wide config file.
+   */
+  projectFile = null;
+  /**
+   * @type      {String}
+   * @summary   Path to the git-ignored, per-user config file.
+   */
+  userFile = null;
+  /**
+   * @type      {String}
+   * @summary   Prefix of the environment variables that override settings, eg. `SFDX_FALCON_`.
+   */
+  envPrefix = null;
+  /**
+   * @type      {Object}
+   * @summary   Values passed with `--config name=value`, keyed by setting name.
+   */
+  flagOverrides = null;
+  /**
+   * @type      {Object}
+   * @summary   Resolved values, keyed by setting name.
+   */
+  values = null;
+  /**
+   * @type      {Object}
+   * @summary   Description of where each resolved value came from, keyed by setting name.
+   */
+  sources = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {Object} definitions  Required. Setting definitions, keyed
+   *                                    by setting name.
+   * @param       {Object} [options]    Optional. May contain `projectFile`,
+   *                                    `userFile`, `envPrefix`, and
+   *                                    `flagOverrides`.
+   * @returns     {ToolbeltConfig}
+   * @description Instantiates a `ToolbeltConfig` object. Call `load()` to
+   *              resolve its values.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(definitions, options={}) {
+    // Set local debug namespace.
+    const localDbgNs = `${dbgNs}:constructor`;
+
+    // Validate arguments.
+    throwOnNullInvalidObject(definitions, `${localDbgNs}`, 'definitions', true);
+    throwOnNullInvalidObject(options,     `${localDbgNs}`, 'options', true);
+
+    // Initialize member variables.
+    this.definitions    = definitions;
+    this.projectFile    = options.projectFile ?? null;
+    this.userFile       = options.userFile ?? null;
+    this.envPrefix      = options.envPrefix ?? 'SFDX_FALCON_';
+    this.flagOverrides  = options.flagOverrides ?? {};
+    this.values         = {};
+    this.sources        = {};
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      load
+   * @returns     {ToolbeltConfig}  Returns `this` to allow for chaining.
+   * @description Resolves every setting by applying each layer in order of
+   *              precedence. Throws if a config file can't be parsed, or if
+   *              any layer sets an unknown setting or a disallowed value.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  load() {
+    const localDbgNs = `${dbgNs}:load`;
+
+    // Start with the built-in defaults.
+    for (const [name, definition] of Object.entries(this.definitions)) {
+      this.values[name]   = definition.default;
+      this.sources[name]  = 'default';
+    }
+
+    // Apply the project config file, then the user config file.
+    for (const [layer, filePath] of [['project', this.projectFile], ['user', this.userFile]]) {
+      const fileValues = readConfigFile(filePath, localDbgNs);
+      for (const [name, value] of Object.entries(fileValues)) {
+        this.applyValue(name, value, `${layer} (${filePath})`, `the config file "${filePath}"`);
+      }
+    }
+
+    // Apply environment variables.
+    for (const name of Object.keys(this.definitions)) {
+      const envVarName = this.getEnvVarName(name);
+      const value      = process.env[envVarName];
+      if (typeof value === 'string' && value !== '') {
+        this.applyValue(name, value, `env (${envVarName})`, `the environment variable ${envVarName}`);
+      }
+    }
+
+    // Apply `--config` flags last so they always win.
+    for (const [name, value] of Object.entries(this.flagOverrides)) {
+      this.applyValue(name, value, `flag (--config ${name}=...)`, `the --config flag`);
+    }
+
+    SfdxFalconDebug.obj(`${localDbgNs}:values`, this.values);
+    SfdxFalconDebug.obj(`${localDbgNs}:sources`, this.sources);
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      get
+   * @param       {String}  name  Required. Name of a defined setting.
+   * @returns     {String}  The resolved value of the setting.
+   * @description Throws if the setting isn't defined.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  get(name) {
+    this.throwOnUnknownSetting(name, `${dbgNs}:get`, `the toolbelt config`);
+    return this.values[name];
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getSource
+   * @param       {String}  name  Required. Name of a defined setting.
+   * @returns     {String}  Where the resolved value came from, eg.
+   *              `env (SFDX_FALCON_ALTERNATIVE_BROWSER)`.
+   * @description Throws if the setting isn't defined.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getSource(name) {
+    this.throwOnUnknownSetting(name, `${dbgNs}:getSource`, `the toolbelt config`);
+    return this.sources[name];
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getEnvVarName
+   * @param       {String}  name  Required. Name of a setting, eg.
+   *              `alternativeBrowser`.
+   * @returns     {String}  Name of the environment variable that overrides
+   *              the setting, eg. `SFDX_FALCON_ALTERNATIVE_BROWSER`.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getEnvVarName(name) {
+    return `${this.envPrefix}${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      list
+   * @returns     {Array<Object>} One `{name, value, source, summary}` object
+   *              per setting, in the order the settings were defined.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  list() {
+    return Object.entries(this.definitions).map(([name, definition]) => ({
+      name:     name,
+      value:    this.values[name],
+      source:   this.sources[name],
+      summary:  definition.summary ?? ''
+    }));
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      set
+   * @param       {String}  name    Required. Name of a defined setting.
+   * @param       {String}  value   Required. The value to save.
+   * @param       {String}  [scope] Optional. Either `user` (the default) to
+   *                        save to the git-ignored per-user config file, or
+   *                        `project` to save to the committed config file.
+   * @returns     {String}  Path to the file the value was saved to.
+   * @description Saves the value, then reloads every layer so `get()` and
+   *              `getSource()` reflect the change. Other values in the file
+   *              are preserved.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  set(name, value, scope='user') {
+    const localDbgNs = `${dbgNs}:set`;
+    throwOnEmptyNullInvalidString(value, `${localDbgNs}`, 'value');
+    this.throwOnUnknownSetting(name, localDbgNs, `'toolbelt config set'`);
+    this.throwOnInvalidValue(name, value, localDbgNs, `'toolbelt config set'`);
+    return this.updateConfigFile(scope, fileValues => { fileValues[name] = value; }, localDbgNs);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      unset
+   * @param       {String}  name    Required. Name of a defined setting.
+   * @param       {String}  [scope] Optional. Either `user` (the default) or
+   *                        `project`.
+   * @returns     {String}  Path to the file the value was removed from.
+   * @description Removes the setting from a config file so the next layer
+   *              down provides its value, then reloads every layer.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  unset(name, scope='user') {
+    const localDbgNs = `${dbgNs}:unset`;
+    this.throwOnUnknownSetting(name, localDbgNs, `'toolbelt config unset'`);
+    return this.updateConfigFile(scope, fileValues => { delete fileValues[name]; }, localDbgNs);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      applyValue
+   * @param       {String}  name        Required. Name of the setting.
+   * @param       {unknown} value       Required. Value provided by a layer.
+   * @param       {String}  source      Required. Label recorded as the source.
+   * @param       {String}  origin      Required. Where the value came from,
+   *                                    for use in error messages.
+   * @returns     {void}
+   * @description Validates a value from one layer and makes it the current
+   *              value of the setting.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  applyValue(name, value, source, origin) {
+    const localDbgNs = `${dbgNs}:applyValue`;
+    this.throwOnUnknownSetting(name, localDbgNs, origin);
+    if (typeof value !== 'string' || value === '') {
+      throw new SfdxFalconError(`The value of '${name}' in ${origin} must be a non-empty string.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${localDbgNs}`);
+    }
+    this.throwOnInvalidValue(name, value, localDbgNs, origin);
+    this.values[name]   = value;
+    this.sources[name]  = source;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      updateConfigFile
+   * @param       {String}    scope     Required. Either `user` or `project`.
+   * @param       {function}  updateFn  Required. Function that modifies the
+   *                                    parsed contents of the config file.
+   * @param       {String}    dbgNsExt  Required. Debug namespace of the caller.
+   * @returns     {String}    Path to the file that was written.
+   * @description Reads, modifies, and rewrites one of the config files, then
+   *              reloads every layer.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  updateConfigFile(scope, updateFn, dbgNsExt) {
+    const filePath = scope === 'project' ? this.projectFile : this.userFile;
+    if (typeof filePath !== 'string') {
+      throw new SfdxFalconError(`No ${scope} config file is configured, so the value can't be saved.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${dbgNsExt}`);
+    }
+    const fileValues = readConfigFile(filePath, dbgNsExt);
+    updateFn(fileValues);
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, `${JSON.stringify(fileValues, null, 2)}\n`);
+    SfdxFalconDebug.obj(`${dbgNsExt}:fileValues`, fileValues, `Saved to ${filePath}: `);
+    this.load();
+    return filePath;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      throwOnUnknownSetting
+   * @param       {String}  name      Required. Name of the setting.
+   * @param       {String}  dbgNsExt  Required. Debug namespace of the caller.
+   * @param       {String}  origin    Required. Where the name came from.
+   * @returns     {void}
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  throwOnUnknownSetting(name, dbgNsExt, origin) {
+    if (Object.prototype.hasOwnProperty.call(this.definitions, name) !== true) {
+      throw new SfdxFalconError(`Unknown setting '${name}' in ${origin}. Valid settings are: ${Object.keys(this.definitions).join(', ')}.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${dbgNsExt}`);
+    }
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      throwOnInvalidValue
+   * @param       {String}  name      Required. Name of the setting.
+   * @param       {String}  value     Required. Value to check.
+   * @param       {String}  dbgNsExt  Required. Debug namespace of the caller.
+   * @param       {String}  origin    Required. Where the value came from.
+   * @returns     {void}
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  throwOnInvalidValue(name, value, dbgNsExt, origin) {
+    const options = this.definitions[name].options;
+    if (Array.isArray(options) && options.includes(value) !== true) {
+      throw new SfdxFalconError(`Invalid value '${value}' for '${name}' in ${origin}. Expected one of: ${options.join(', ')}.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${dbgNsExt}`);
+    }
+    if (this.definitions[name].integer === true && /^[1-9]\d*$/.test(value) !== true) {
+      throw new SfdxFalconError(`Invalid value '${value}' for '${name}' in ${origin}. Expected a whole number greater than zero.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${dbgNsExt}`);
+    }
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    parseConfigOverrides
+ * @param       {String|Array<String>}  flagValues  Value(s) of the `--config` flag, each in
+ *                                                  `name=value` format. May be `undefined`.
+ * @returns     {Object}  Override values keyed by setting name.
+ * @summary     Parses `--config name=value` flags into an object.
+ * @description Throws if a value isn't in `name=value` format. When the same setting is given more
+ *              than once, the last value wins.
+ * @public
+ * @example
+ * ```
+ * parseConfigOverrides(['alternativeBrowser=chrome']); // {alternativeBrowser: 'chrome'}
+ * ```
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function parseConfigOverrides(flagValues) {
+  const localDbgNs = `${dbgNs}:parseConfigOverrides`;
+  const overrides  = {};
+  if (typeof flagValues === 'undefined') {
+    return overrides;
+  }
+  for (const flagValue of [flagValues].flat()) {
+    const separatorIndex = typeof flagValue === 'string' ? flagValue.indexOf('=') : -1;
+    if (separatorIndex < 1) {
+      throw new SfdxFalconError(`Invalid --config value '${flagValue}'. Use the format name=value, eg. --config alternativeBrowser=chrome.`,
+                                `Invalid Toolbelt Configuration`,
+                                `${localDbgNs}`);
+    }
+    overrides[flagValue.slice(0, separatorIndex)] = flagValue.slice(separatorIndex + 1);
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:overrides`, overrides);
+  return overrides;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    readConfigFile
+ * @param       {String}  filePath  Path to a JSON config file. May be `null`.
+ * @param       {String}  dbgNsExt  Debug namespace of the caller.
+ * @returns     {Object}  Parsed contents of the file, or an empty object if it doesn't exist.
+ * @description Throws if the file exists but doesn't contain a JSON object.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function readConfigFile(filePath, dbgNsExt) {
+  if (typeof filePath !== 'string' || fs.existsSync(filePath) !== true) {
+    return {};
+  }
+  let fileValues;
+  try {
+    fileValues = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (parseError) {
+    throw new SfdxFalconError(`The config file "${filePath}" could not be parsed. ${parseError.message}`,
+                              `Invalid Toolbelt Configuration`,
+                              `${dbgNsExt}`,
+                              parseError);
+  }
+  if (fileValues === null || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+    throw new SfdxFalconError(`The config file "${filePath}" must contain a JSON object, eg. {"alternativeBrowser": "chrome"}.`,
+                              `Invalid Toolbelt Configuration`,
+                              `${dbgNsExt}`);
+  }
+  SfdxFalconDebug.obj(`${dbgNsExt}:fileValues`, fileValues, `Read from ${filePath}: `);
+  return fileValues;
+}
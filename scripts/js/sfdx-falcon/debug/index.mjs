@@ -13,6 +13,7 @@ import debug from 'debug';
 import chalk from 'chalk';
 import chalkTemplate from 'chalk-template';
 import util  from 'util';
+import { isColorEnabled } from '../utilities/color.mjs';
 
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
 /**
@@ -164,7 +165,7 @@ export class SfdxFalconDebug {
     static debugObject(namespace, objToDebug, strLead = '', strTail = '') {
         const debugFunc = SfdxFalconDebug.getDebugger(namespace);
         debugFunc(`\n${chalk.yellow(strLead)}\n` +
-            `${util.inspect(objToDebug, { depth: 8, colors: true })}` +
+            `${util.inspect(objToDebug, { depth: 8, colors: isColorEnabled() })}` +
             `${SfdxFalconDebug.printLineBreaks()}`);
     }
     //───────────────────────────────────────────────────────────────────────────┐
@@ -232,6 +233,7 @@ export class SfdxFalconDebug {
         else {
             const newDebugger = debug(namespace);
             newDebugger.enabled = true;
+            newDebugger.useColors = isColorEnabled();
             SfdxFalconDebug.debuggers.set(namespace, newDebugger);
             return newDebugger;
         }
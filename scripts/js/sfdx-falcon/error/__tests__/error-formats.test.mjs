@@ -0,0 +1,136 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/error/__tests__/error-formats.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for rendering errors as JSON, Markdown, and CI annotations.
+ * @description   Formats a failed build, caused by a Salesforce CLI or shell error, in every
+ *                `--error-format` and checks the error tree and actions each format shows.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { afterEach, beforeEach,
+         describe, test, expect }         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { formatError,
+         describeError }                  from "../error-formats.mjs";
+import { SfdxFalconError,
+         SfdxCliError,
+         ShellError }                     from "../index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-formats-'));
+});
+
+afterEach(() => {
+  delete process.env.GITHUB_STEP_SUMMARY;
+  fs.removeSync(tempDir);
+});
+
+/**
+ * Returns a failed build caused by a Salesforce CLI error.
+ */
+function cliBuildError() {
+  const stdout = JSON.stringify({status: 1, name: 'NoDefaultDevHubError', message: 'No default dev hub found.', actions: ['Run sf org list.']});
+  return new SfdxFalconError(`Build failed`, `TaskRunner Runtime Error`, `toolbelt:build`,
+                             new SfdxCliError(`sf org create scratch --json`, stdout, ``, `Salesforce CLI command execution failed`, `SfdxTask`));
+}
+
+/**
+ * Returns a failed build caused by a shell command.
+ */
+function shellBuildError() {
+  return new SfdxFalconError(`Build failed`, `TaskRunner Runtime Error`, `toolbelt:build`,
+                             new ShellError(`npm run lint`, 2, null, `Found 3 problems: 100% of files`, ``, `CliTask`));
+}
+
+// user-025: errors are described as plain data, including their whole cause chain.
+describe('describeError', () => {
+  test('describes the error, its CLI error, and its cause chain as plain data', () => {
+    const description = describeError(cliBuildError());
+    expect(description).toMatchObject({
+      name:     `TaskRunner Runtime Error`,
+      message:  `Build failed`,
+      source:   `toolbelt:build`,
+      actions:  [],
+      cause:    {
+        name:     `SfdxCliError`,
+        message:  `Salesforce CLI command execution failed. No default dev hub found.`,
+        source:   `SfdxTask`,
+        cliError: {command: `sf org create scratch --json`, name: `NoDefaultDevHubError`, status: 1, failures: []},
+        cause:    null
+      }
+    });
+    expect(description.cause.explanation).toMatch(/No Dev Hub is set as the default/);
+    expect(description.cause.actions[0]).toBe(`Run sf org list.`);
+  });
+
+  test('describes the shell error of a failed shell command', () => {
+    expect(describeError(shellBuildError()).cause.shellError).toMatchObject({command: `npm run lint`, code: 2, signal: null});
+  });
+
+  test('describes anything that is not an Error as unknown', () => {
+    expect(describeError(`boom`)).toEqual({
+      name:     `UNKNOWN`,
+      message:  `The object provided is not of type 'Error'`,
+      data:     `boom`,
+      actions:  [],
+      cause:    null
+    });
+  });
+});
+
+// user-025: --error-format prints the same error tree as JSON, Markdown, or GitHub annotations.
+describe('formatError', () => {
+  test('json prints the description', () => {
+    const buildError = cliBuildError();
+    expect(JSON.parse(formatError(buildError, 'json'))).toEqual(JSON.parse(JSON.stringify(describeError(buildError))));
+  });
+
+  test('markdown lists the causes, commands, and numbered actions', () => {
+    const markdown = formatError(cliBuildError(), 'markdown');
+    expect(markdown).toMatch(/^### ❌ TaskRunner Runtime Error\n\nBuild failed\n/);
+    expect(markdown).toContain(`#### Caused by\n- **SfdxCliError**: Salesforce CLI command execution failed. No default dev hub found.`);
+    expect(markdown).toContain(`  - Command: \`sf org create scratch --json\``);
+    expect(markdown).toContain(`  - CLI error: \`NoDefaultDevHubError\` (status 1)`);
+    expect(markdown).toMatch(/#### What happened\nNo Dev Hub is set as the default/);
+    expect(markdown).toMatch(/#### Try this\n1\. Run sf org list\.\n2\. /);
+    expect(formatError(shellBuildError(), 'markdown')).toContain(`  - Exit code: 2`);
+  });
+
+  test('markdown is added to the GitHub job summary', () => {
+    process.env.GITHUB_STEP_SUMMARY = path.join(tempDir, 'summary.md');
+    const markdown = formatError(cliBuildError(), 'markdown');
+    expect(fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, 'utf8')).toBe(`${markdown}\n`);
+  });
+
+  test('github adds an encoded ::error annotation after the text', () => {
+    const buildError  = shellBuildError();
+    const output      = formatError(buildError, 'github');
+    const annotation  = output.split('\n').pop();
+    expect(output).toBe(`${SfdxFalconError.renderError(buildError)}\n${annotation}`);
+    expect(annotation).toBe(`::error title=ShellError::TaskRunner Runtime Error: Build failed%0AShellError: Found 3 problems: 100%25 of files%0ACommand: npm run lint`);
+  });
+
+  test('the github annotation title is the CLI error name, with special characters encoded', () => {
+    const annotation = formatError(cliBuildError(), 'github').split('\n').pop();
+    expect(annotation).toMatch(/^::error title=NoDefaultDevHubError::/);
+    expect(annotation).toContain(`%0ACommand: sf org create scratch --json%0A`);
+    expect(annotation).toContain(`%0ATry this:%0A1. Run sf org list.%0A2. `);
+    expect(formatError(new SfdxFalconError(`Bad`, `Config: Invalid, Value`), 'github').split('\n').pop()).toMatch(/^::error title=Config%3A Invalid%2C Value::/);
+  });
+
+  test('text and unknown formats print renderError()', () => {
+    const buildError = cliBuildError();
+    expect(formatError(buildError)).toBe(SfdxFalconError.renderError(buildError));
+    expect(formatError(buildError, 'xml')).toBe(SfdxFalconError.renderError(buildError));
+  });
+});
@@ -0,0 +1,109 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/error/__tests__/remediations.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for the catalog of CLI error remediations.
+ * @description   Matches CLI error names and messages against the built-in remediations, checks
+ *                that `SfdxCliError` and `renderError()` suggest their actions, and loads team
+ *                remediations from a file in a temporary directory.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { afterAll, beforeAll,
+         describe, test, expect }         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { findRemediation,
+         addRemediation,
+         loadRemediationFile }            from "../remediations.mjs";
+import { SfdxFalconError,
+         SfdxCliError }                   from "../index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'remediations-'));
+});
+
+afterAll(() => {
+  fs.removeSync(tempDir);
+});
+
+/**
+ * Returns the first action of the remediation that matches the error, or `null` if none do.
+ */
+function firstAction(errorName, errorMessage) {
+  return findRemediation(errorName, errorMessage)?.actions[0] ?? null;
+}
+
+// user-024: CLI errors are matched to a remediation by name or by message.
+describe('findRemediation', () => {
+  test.each([
+    ['NoDefaultDevHubError',  `Something went wrong.`,                                                                        /set-default-dev-hub/],
+    ['UnknownError',          `LIMIT_EXCEEDED: The signup request failed because this organization has reached its active scratch org limit`, /sf org list --all/],
+    ['UnknownError',          `The namespace "acme" is not registered with your Dev Hub.`,                                    /Namespace Registries/],
+    ['UnknownError',          `No authorization information found for dev@example.com.`,                                     /sf org list/],
+    ['UnknownError',          `expired access/refresh token`,                                                                 /sf org login web/],
+    ['INSTALL_KEY_INVALID',   `Something went wrong.`,                                                                        /SFDX_FALCON_INSTALL_KEY_/],
+    ['UnknownError',          `INSTALL_KEY_INVALID: Installation key not valid.`,                                             /SFDX_FALCON_INSTALL_KEY_/],
+    ['UnknownError',          `The installation key is invalid for package version 04t000000000001.`,                        /SFDX_FALCON_INSTALL_KEY_/],
+    ['UnknownError',          `An installation key is required to install package 04t000000000001.`,                          /SFDX_FALCON_INSTALL_KEY_/]
+  ])('matches %s: %s', (errorName, errorMessage, expectedAction) => {
+    expect(firstAction(errorName, errorMessage)).toMatch(expectedAction);
+  });
+
+  test.each([
+    ['an unrelated error',                  `Deploy failed.`],
+    ['the installation keys file error',    `The installation keys file "config/install-keys.json" does not contain valid JSON.`],
+    ['an install key environment variable', `Environment variable SFDX_FALCON_INSTALL_KEY_MY_PACKAGE is not set.`]
+  ])('does not match %s', (description, errorMessage) => {
+    expect(findRemediation('SfdxFalconError', errorMessage)).toBeNull();
+  });
+
+  test('SfdxCliError adds the explanation and actions, which renderError() numbers', () => {
+    const stdout    = JSON.stringify({status: 1, name: 'NoDefaultDevHubError', message: 'No default dev hub found.', actions: ['Run sf org list.']});
+    const cliError  = new SfdxCliError('sf org create scratch --json', stdout, '', 'Salesforce CLI command execution failed');
+    expect(cliError.explanation).toMatch(/No Dev Hub is set as the default/);
+    expect(cliError.actions[0]).toBe('Run sf org list.');
+    expect(cliError.actions.slice(1)).toEqual(findRemediation('NoDefaultDevHubError', '').actions);
+
+    const rendered  = SfdxFalconError.renderError(new SfdxFalconError('Build failed', 'TaskRunner Runtime Error', 'test', cliError));
+    expect(rendered).toMatch(/What Happened:.*No Dev Hub is set as the default/);
+    expect(rendered).toMatch(/Try this:\s+1\. Run sf org list\.\s+2\. Log in to your Dev Hub/);
+  });
+});
+
+// user-024: teams add their own remediations, which are checked before the built-in ones.
+describe('added remediations', () => {
+  test('a remediation file adds remediations with string patterns', () => {
+    const filePath = path.join(tempDir, 'toolbelt-remediations.json');
+    fs.writeJsonSync(filePath, [
+      {messagePattern: 'ACME_ORG_SHAPE_\\d+', explanation: 'The Acme org shape is out of date.', actions: ['Run npm run refresh-shape.']}
+    ]);
+    expect(loadRemediationFile(filePath)).toBe(1);
+    expect(firstAction('UnknownError', 'acme_org_shape_42 is missing')).toBe('Run npm run refresh-shape.');
+    expect(loadRemediationFile(path.join(tempDir, 'missing.json'))).toBe(0);
+  });
+
+  test.each([
+    ['a file that is not an array',       {explanation: 'x'},                                         /must contain an array of remediations/],
+    ['a remediation that never matches',  [{explanation: 'x', actions: ['y']}],                       /Remediation 1 .* can never match an error/],
+    ['an invalid message pattern',        [{messagePattern: '(', explanation: 'x', actions: ['y']}],  /isn't a valid regular expression/],
+    ['a remediation without actions',     [{names: ['AcmeError'], explanation: 'x', actions: []}],    /non-empty array of strings/]
+  ])('a remediation file with %s is rejected', (description, contents, expectedMessage) => {
+    const filePath = path.join(tempDir, 'invalid-remediations.json');
+    fs.writeJsonSync(filePath, contents);
+    expect(() => loadRemediationFile(filePath)).toThrow(expectedMessage);
+  });
+
+  test('added remediations replace built-in ones', () => {
+    addRemediation({names: ['NoDefaultDevHubError'], explanation: 'Use the team Dev Hub.', actions: ['Run npm run login-devhub.']});
+    expect(firstAction('NoDefaultDevHubError', '')).toBe('Run npm run login-devhub.');
+  });
+});
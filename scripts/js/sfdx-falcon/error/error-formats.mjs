@@ -0,0 +1,238 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/error/error-formats.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Renders errors for CI systems as well as for terminals.
+ * @description   Turns an error, the errors that caused it, and the actions that fix it into
+ *                structured JSON, a Markdown block for CI job summaries, or GitHub Actions
+ *                `::error` annotations. The default `text` format is `renderError()`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { fs }                             from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "./index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Formats `formatError()` can render an error in.
+ */
+export const errorFormats = ['text', 'json', 'markdown', 'github'];
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    formatError
+ * @param       {Error}   errorToFormat Required. Any error, or anything else that was thrown.
+ * @param       {String}  [format]      Optional. One of `errorFormats`. Defaults to `text`.
+ * @returns     {String}  The rendered error, ready to print.
+ * @description The `github` format is the `text` format followed by an `::error` annotation,
+ *              since GitHub Actions hides annotation lines from the job log. When `markdown` is
+ *              used in GitHub Actions, the Markdown is also added to the job summary.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function formatError(errorToFormat, format='text') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(describeError(errorToFormat), null, 2);
+    case 'markdown': {
+      const markdown = renderErrorMarkdown(describeError(errorToFormat));
+      appendToJobSummary(markdown);
+      return markdown;
+    }
+    case 'github':
+      return `${SfdxFalconError.renderError(errorToFormat)}\n${renderErrorAnnotation(describeError(errorToFormat))}`;
+    default:
+      return SfdxFalconError.renderError(errorToFormat);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    describeError
+ * @param       {Error}   errorToDescribe Required. Any error, or anything else that was thrown.
+ * @returns     {Object}  The error as plain data, with its `name`, `message`, `source`,
+ *                        `explanation`, `actions`, and `stack`, the `cliError` of an
+ *                        `SfdxCliError`, the `shellError` of a `ShellError`, and the error that
+ *                        caused it as `cause`, described the same way, or `null`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function describeError(errorToDescribe) {
+  if ((errorToDescribe instanceof Error) !== true) {
+    return {
+      name:     `UNKNOWN`,
+      message:  `The object provided is not of type 'Error'`,
+      data:     errorToDescribe ?? null,
+      actions:  [],
+      cause:    null
+    };
+  }
+  const description = {
+    name:         errorToDescribe.name,
+    message:      errorToDescribe.message,
+    source:       errorToDescribe.source ?? null,
+    explanation:  errorToDescribe.explanation ?? null,
+    actions:      Array.isArray(errorToDescribe.actions) ? [...errorToDescribe.actions] : [],
+    stack:        errorToDescribe.stack ?? null
+  };
+  if (errorToDescribe.cliError) {
+    const {command, name, message, status, actions, failures, warnings, stdout, stderr} = errorToDescribe.cliError;
+    description.cliError = {command, name, message, status, actions, failures: failures ?? [], warnings, stdout, stderr};
+  }
+  if (errorToDescribe.shellError) {
+    const {command, code, signal, message, stdout, stderr} = errorToDescribe.shellError;
+    description.shellError = {command, code, signal, message, stdout, stderr};
+  }
+  description.cause = errorToDescribe.cause instanceof Error ? describeError(errorToDescribe.cause) : null;
+  return description;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderErrorMarkdown
+ * @param       {Object}  description Required. An error described by `describeError()`.
+ * @returns     {String}  A Markdown block with the error, everything that caused it, and a
+ *                        numbered "Try this" list.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderErrorMarkdown(description) {
+  const chain         = flattenChain(description);
+  const {explanations, actions} = collectRemediation(chain);
+  const lines         = [`### ❌ ${description.name}`, ``, escapeMarkdown(description.message)];
+  if (chain.length > 1) {
+    lines.push(``, `#### Caused by`);
+    for (const cause of chain.slice(1)) {
+      lines.push(`- **${escapeMarkdown(cause.name)}**: ${escapeMarkdown(cause.message)}`);
+      const detail = cause.cliError ?? cause.shellError;
+      if (detail?.command) {
+        lines.push(`  - Command: \`${detail.command}\``);
+      }
+      if (cause.cliError) {
+        lines.push(`  - CLI error: \`${cause.cliError.name}\` (status ${cause.cliError.status})`);
+      }
+      if (cause.shellError) {
+        lines.push(`  - Exit code: ${cause.shellError.code ?? 'none'}${cause.shellError.signal ? `, signal ${cause.shellError.signal}` : ''}`);
+      }
+      for (const failure of cause.cliError?.failures ?? []) {
+        lines.push(`  - ${escapeMarkdown(failure)}`);
+      }
+    }
+  }
+  if (explanations.length > 0) {
+    lines.push(``, `#### What happened`, ...explanations.map(escapeMarkdown));
+  }
+  if (actions.length > 0) {
+    lines.push(``, `#### Try this`, ...actions.map((action, index) => `${index + 1}. ${escapeMarkdown(action)}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderErrorAnnotation
+ * @param       {Object}  description Required. An error described by `describeError()`.
+ * @returns     {String}  A GitHub Actions `::error` workflow command. Its title is the name of the
+ *                        most specific error in the chain, and its message has every error's
+ *                        message and the actions that fix them.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderErrorAnnotation(description) {
+  const chain         = flattenChain(description);
+  const rootCause     = chain[chain.length - 1];
+  const {explanations, actions} = collectRemediation(chain);
+  const messageLines  = chain.map(chainedError => `${chainedError.name}: ${chainedError.message}`);
+  const command       = chain.map(chainedError => (chainedError.cliError ?? chainedError.shellError)?.command).find(Boolean);
+  if (command) {
+    messageLines.push(`Command: ${command}`);
+  }
+  messageLines.push(...explanations);
+  if (actions.length > 0) {
+    messageLines.push(`Try this:`, ...actions.map((action, index) => `${index + 1}. ${action}`));
+  }
+  return `::error title=${escapeAnnotationProperty(rootCause.cliError?.name ?? rootCause.name)}::${escapeAnnotationData(messageLines.join('\n'))}`;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    appendToJobSummary
+ * @param       {String}  markdown  Required. Markdown to add to the job summary.
+ * @returns     {void}
+ * @description Only does something in GitHub Actions, which sets `GITHUB_STEP_SUMMARY`. Never
+ *              throws, since the error is printed either way.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function appendToJobSummary(markdown) {
+  if (typeof process.env.GITHUB_STEP_SUMMARY !== 'string' || process.env.GITHUB_STEP_SUMMARY === '') {
+    return;
+  }
+  try {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+  } catch (appendError) {
+    console.error(`Could not add the error to the job summary. ${appendError.message}`);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    flattenChain
+ * @param       {Object}  description Required. An error described by `describeError()`.
+ * @returns     {Array<Object>} The description followed by each of its causes, in order.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function flattenChain(description) {
+  const chain = [];
+  for (let chainedError = description; chainedError; chainedError = chainedError.cause) {
+    chain.push(chainedError);
+  }
+  return chain;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    collectRemediation
+ * @param       {Array<Object>} chain Required. Errors described by `describeError()`.
+ * @returns     {Object}  The unique `explanations` and `actions` of every error in the chain.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function collectRemediation(chain) {
+  const explanations  = [...new Set(chain.map(chainedError => chainedError.explanation).filter(Boolean))];
+  const actions       = [...new Set(chain.flatMap(chainedError => chainedError.actions ?? []))];
+  return {explanations, actions};
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    escapeMarkdown
+ * @param       {String}  text  Required. Plain text.
+ * @returns     {String}  The text with characters that Markdown or HTML would interpret escaped.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function escapeMarkdown(text) {
+  return `${text ?? ''}`.replace(/[\\`*_[\]<>|]/g, '\\$&');
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    escapeAnnotationData
+ * @param       {String}  text  Required. The message of a workflow command.
+ * @returns     {String}  The text, encoded the way GitHub Actions expects, so newlines survive.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function escapeAnnotationData(text) {
+  return `${text ?? ''}`.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    escapeAnnotationProperty
+ * @param       {String}  text  Required. The value of a workflow command property, eg. `title`.
+ * @returns     {String}  The text, encoded the way GitHub Actions expects.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function escapeAnnotationProperty(text) {
+  return escapeAnnotationData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
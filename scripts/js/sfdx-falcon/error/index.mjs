@@ -19,6 +19,8 @@ import  util            from "util";                // Provides access to the "i
 
 // Import Local Modules
 import { findJson }     from "../utilities/json.mjs";   // Helps find JSON in an abitrary string.
+import { isColorEnabled } from "../utilities/color.mjs"; // Decides whether output uses color.
+import { findRemediation } from "./remediations.mjs";   // Suggests fixes for common CLI errors.
 
 // Require Modules
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
@@ -45,6 +47,8 @@ export class SfdxFalconError extends Error {
      * @description Generates a string of completely formatted output that's ready
      *              for display to the user via console.log() or debug(). Relies
      *              on the caller to decide how to actually display to the user.
+     *              Ends with a numbered "Try this" list of the actions from the
+     *              error and every error that caused it.
      * @public @static
      */
     //───────────────────────────────────────────────────────────────────────────┘
@@ -57,8 +61,31 @@ export class SfdxFalconError extends Error {
             valueColor: `reset`,
             childInspectDepth: childInspectDepth || 2,
             detailInspectDepth: detailInspectDepth || 4,
-            errorInspectDepth: errorInspectDepth || 1
+            errorInspectDepth: errorInspectDepth || 1,
+            useColor: isColorEnabled()
         };
+        // Usage mistakes only need the message, which says how to get help.
+        if (errorToRender instanceof UsageError) {
+            return chalkTemplate `{${renderOptions.errorLabelColor} Error:} ${errorToRender.message}`;
+        }
+        // Render the error and its causes, then what the user can do about them.
+        return SfdxFalconError.renderErrorChain(errorToRender, renderOptions)
+            + SfdxFalconError.renderTryThis(errorToRender, renderOptions);
+    }
+    //───────────────────────────────────────────────────────────────────────────┐
+    /**
+     * @method      renderErrorChain
+     * @param       {Error}   errorToRender  Required. Any object that is a child
+     *              of Error.
+     * @param       {SfdxFalconErrorRenderOptions}  options  Required. Rendering
+     *              options that determine colors and inspection depth.
+     * @returns     {string}
+     * @description Renders the error, followed by the error that caused it, and
+     *              so on down to the root cause.
+     * @private @static
+     */
+    //───────────────────────────────────────────────────────────────────────────┘
+    static renderErrorChain(errorToRender, renderOptions) {
         // If what we got is NOT any type of Error, render as UNKNOWN
         if ((errorToRender instanceof Error) !== true) {
             return SfdxFalconError.renderUnknownDetail(errorToRender, renderOptions);
@@ -73,10 +100,55 @@ export class SfdxFalconError extends Error {
         if (errorToRender instanceof ShellError) {
             renderOutput += SfdxFalconError.renderShellErrorDetail(errorToRender, renderOptions);
         }
+        // Render the error that caused this one, eg. the SfdxCliError behind a failed task.
+        if (errorToRender.cause instanceof Error) {
+            renderOutput += chalkTemplate `\n\n{${renderOptions.headerColor} Caused By:}`
+                + SfdxFalconError.renderErrorChain(errorToRender.cause, renderOptions);
+        }
         // All done. Return the rendered output to caller.
         return renderOutput;
     }
     //───────────────────────────────────────────────────────────────────────────┐
+    /**
+     * @method      renderTryThis
+     * @param       {Error}   errorToRender  Required. Any object that is a child
+     *              of Error.
+     * @param       {SfdxFalconErrorRenderOptions}  options  Required. Rendering
+     *              options that determine colors and inspection depth.
+     * @returns     {string}
+     * @description Renders the explanations and actions of the error and every
+     *              error that caused it, with the actions as a numbered list.
+     *              Returns an empty string if there aren't any actions.
+     * @private @static
+     */
+    //───────────────────────────────────────────────────────────────────────────┘
+    static renderTryThis(errorToRender, options) {
+        const explanations = [];
+        const actions = [];
+        for (let chainedError = errorToRender; chainedError instanceof Error; chainedError = chainedError.cause) {
+            if (typeof chainedError.explanation === 'string' && explanations.includes(chainedError.explanation) === false) {
+                explanations.push(chainedError.explanation);
+            }
+            for (const action of Array.isArray(chainedError.actions) ? chainedError.actions : []) {
+                if (actions.includes(action) === false) {
+                    actions.push(action);
+                }
+            }
+        }
+        if (actions.length === 0) {
+            return '';
+        }
+        let renderOutput = '\n';
+        for (const explanation of explanations) {
+            renderOutput += chalkTemplate `\n{${options.headerColor} What Happened:} ${explanation}`;
+        }
+        renderOutput += chalkTemplate `\n{${options.headerColor} Try this:}`;
+        actions.forEach((action, index) => {
+            renderOutput += chalkTemplate `\n  ${index + 1}. {green ${action}}`;
+        });
+        return renderOutput;
+    }
+    //───────────────────────────────────────────────────────────────────────────┐
     /**
      * @method      wrap
      * @param       {Error|unknown} error  Required. The Error object to wrap. If
@@ -128,10 +200,6 @@ export class SfdxFalconError extends Error {
         // Lay down the core information.
         let renderOutput = chalkTemplate `\n{${options.errorLabelColor} Error Name:}    {${options.valueColor} ${errorToRender.name}}`
             + chalkTemplate `\n{${options.errorLabelColor} Error Message:} {${options.valueColor} ${errorToRender.message}}`;
-        // Add SfdxError Actions.
-        if (errorToRender.actions && (isEmpty(errorToRender.actions) === false)) {
-            renderOutput += chalkTemplate `\n{${options.errorLabelColor} SfdxError Actions (Depth ${options.childInspectDepth}):}\n{reset ${util.inspect(errorToRender.actions, { depth: options.childInspectDepth, colors: true })}}`;
-        }
         // Add SfdxFalconError Source and Error Stack.
         renderOutput +=
             chalkTemplate `\n{${options.errorLabelColor} Error Source:}  {${options.valueColor} ${errorToRender.source}}`
@@ -142,11 +210,11 @@ export class SfdxFalconError extends Error {
         }
         // Add SfdxFalconError Detail.
         if (errorToRender.detail && (isEmpty(errorToRender.detail) === false)) {
-            renderOutput += chalkTemplate `\n{${options.errorLabelColor} Error Detail:}\n{reset ${util.inspect(errorToRender.detail, { depth: 10, colors: true })}}`;
+            renderOutput += chalkTemplate `\n{${options.errorLabelColor} Error Detail:}\n{reset ${util.inspect(errorToRender.detail, { depth: 10, colors: options.useColor })}}`;
         }
         // Add SfdxError Data.
         if (errorToRender.data && (isEmpty(errorToRender.data) === false)) {
-            renderOutput += chalkTemplate `\n{${options.errorLabelColor} Error Data (Depth ${options.errorInspectDepth}):}\n{reset ${util.inspect(errorToRender.data, { depth: options.errorInspectDepth, colors: true })}}`;
+            renderOutput += chalkTemplate `\n{${options.errorLabelColor} Error Data (Depth ${options.errorInspectDepth}):}\n{reset ${util.inspect(errorToRender.data, { depth: options.errorInspectDepth, colors: options.useColor })}}`;
         }
         return renderOutput;
     }
@@ -174,7 +242,7 @@ export class SfdxFalconError extends Error {
         if (isEmpty(errorToRender.cliError.message) === false) {
             renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Message:} ${errorToRender.cliError.message}`;
         }
-        if (isEmpty(errorToRender.cliError.status) === false) {
+        if (errorToRender.cliError.status !== undefined && errorToRender.cliError.status !== null) {
             renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Status:}  ${errorToRender.cliError.status}`;
         }
         if (isEmpty(errorToRender.cliError.stdout) === false) {
@@ -184,14 +252,20 @@ export class SfdxFalconError extends Error {
             renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error StdErr:}  ${errorToRender.cliError.stderr}`;
         }
         // Render any "actions" as straight string output so newlines are respected in the output.
-        if (Array.isArray(errorToRender.cliError.actions)) {
+        if (Array.isArray(errorToRender.cliError.actions) && errorToRender.cliError.actions.length > 0) {
             renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Actions:}`;
             for (const action of errorToRender.cliError.actions) {
                 renderOutput += chalkTemplate `\n{green ${action}}`;
             }
         }
+        if (isEmpty(errorToRender.cliError.failures) === false) {
+            renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Failures:}`;
+            for (const failure of errorToRender.cliError.failures) {
+                renderOutput += chalkTemplate `\n  - ${failure}`;
+            }
+        }
         if (isEmpty(errorToRender.cliError.warnings) === false) {
-            renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Warnings:}\n${util.inspect(errorToRender.cliError.warnings, { depth: options.childInspectDepth, colors: true })}`;
+            renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Warnings:}\n${util.inspect(errorToRender.cliError.warnings, { depth: options.childInspectDepth, colors: options.useColor })}`;
         }
         // Only display the CLI Error Stack if Child Inspect Depth is set to 5 or higher.
         if (isEmpty(errorToRender.cliError.stack) === false && options.childInspectDepth >= 5) {
@@ -200,7 +274,7 @@ export class SfdxFalconError extends Error {
         // Only display the CLI Error's "raw result" if the Child Inspect Depth is set to 2 or higher.
         if (isEmpty(errorToRender.cliError.result) === false && options.childInspectDepth >= 2) {
             const cliRawResultDepth = 10;
-            renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Raw Result: (Depth ${cliRawResultDepth})}\n${util.inspect(errorToRender.cliError.result, { depth: cliRawResultDepth, colors: true })}`;
+            renderOutput += chalkTemplate `\n{${options.errorLabelColor} CLI Error Raw Result: (Depth ${cliRawResultDepth})}\n${util.inspect(errorToRender.cliError.result, { depth: cliRawResultDepth, colors: options.useColor })}`;
         }
         return renderOutput;
     }
@@ -254,7 +328,7 @@ export class SfdxFalconError extends Error {
         const renderOutput = chalkTemplate `\n{${options.errorLabelColor} Error Name:}    {${options.valueColor} UNKNOWN}`
             + chalkTemplate `\n{${options.errorLabelColor} Error Message:} {${options.valueColor} The object provided is not of type 'Error'}`
             + chalkTemplate `\n{${options.errorLabelColor} Error Stack:}   {${options.valueColor} Not Available}`
-            + chalkTemplate `\n{${options.errorLabelColor} Raw Object: (Depth ${options.childInspectDepth})}\n${util.inspect(unknownObject, { depth: options.childInspectDepth, colors: true })}`;
+            + chalkTemplate `\n{${options.errorLabelColor} Raw Object: (Depth ${options.childInspectDepth})}\n${util.inspect(unknownObject, { depth: options.childInspectDepth, colors: options.useColor })}`;
         return renderOutput;
     }
     //───────────────────────────────────────────────────────────────────────────┐
@@ -274,9 +348,12 @@ export class SfdxFalconError extends Error {
     constructor(message, name, source = 'Unhandled Exception', cause, actions, exitCode) {
         // Set a default for name
         const thisName = name || 'SfdxFalconError';
-        // Call the parent constructor
-        super(message, thisName, actions || [], exitCode || 1, cause);
+        // Call the parent constructor. Error only accepts a message and a cause.
+        super(message, cause ? { cause } : undefined);
         // Initialize member vars
+        this.name = thisName;
+        this.actions = actions || [];
+        this.exitCode = exitCode || 1;
         this.data = {};
         this.source = source;
         this._detail = {};
@@ -455,19 +532,30 @@ export class SfdxCliError extends SfdxFalconError {
      *              unchanged from whatever form it was in after shell execution.
      * @param       {string}  [message] Optional. Sets the SfdxFalconError message.
      * @param       {string}  [source]  Optional. Sets the SfdxFalconError source.
+     * @param       {Object}  [resultFailure] Optional. Why a command that
+     *              exited successfully actually failed, as found by a result
+     *              evaluator. Its `name`, `message`, and `failures` replace the
+     *              ones parsed from the CLI's output.
      * @description Given a string (typically the contents of a stderr buffer),
      *              returns an SfdxFalconError object with a specialized
      *              "cliError" object property.
      * @public
      */
     //───────────────────────────────────────────────────────────────────────────┘
-    constructor(sfdxCommandString, stdoutBuffer, stderrBuffer, message = 'Unknown CLI Error', source = '') {
+    constructor(sfdxCommandString, stdoutBuffer, stderrBuffer, message = 'Unknown CLI Error', source = '', resultFailure = null) {
         // Initialize the cliError member var and helper vars.
         const cliError = {};
         let actions = new Array();
         // Try to parse cliResponseBuffer into an object, then try to copy over the standard SFDX CLI error details
         try {
-            const parsedError = JSON.parse(stdoutBuffer);
+            // Newer versions of the CLI write JSON errors to stderr instead of stdout.
+            let parsedError;
+            try {
+                parsedError = JSON.parse(stdoutBuffer);
+            }
+            catch (stdoutParsingError) {
+                parsedError = JSON.parse(stderrBuffer);
+            }
             cliError.command = sfdxCommandString || `Command String Not Provided`;
             cliError.stdout = stdoutBuffer || '';
             cliError.stderr = stderrBuffer || '';
@@ -491,7 +579,7 @@ export class SfdxCliError extends SfdxFalconError {
             }
             else {
                 // Search for a JSON result inside of the parsedError stack.
-                const parsedStack = findJson(parsedError.stack);
+                const parsedStack = (typeof parsedError.stack === 'string') ? findJson(parsedError.stack) : null;
                 if (parsedStack) {
                     parsedError.stack = parsedStack;
                 }
@@ -510,14 +598,23 @@ export class SfdxCliError extends SfdxFalconError {
             cliError.stack = `Unparseable CLI Error (see 'cliError.result.rawResult' for raw error)`;
             cliError.result = { rawResult: stdoutBuffer };
         }
+        // A failed result is more specific than anything parsed from a successful response.
+        if (resultFailure) {
+            cliError.name = resultFailure.name;
+            cliError.message = resultFailure.message;
+            cliError.failures = resultFailure.failures || [];
+        }
         // Call the parent constructor to get our baseline SfdxFalconError object.
         super(`${message}. ${cliError.message}`, 'SfdxCliError', source);
         // Attach the cliError variable to this SfdxCliError object.
         this.cliError = cliError;
-        // Pull any "actions" out of the CLI Error and attach them to the SfdxError.actions property.
-        if (isEmpty(cliError.actions) === false) {
-            this.actions = cliError.actions;
+        // Pull any "actions" out of the CLI Error and attach them to the SfdxError.actions property,
+        // followed by the actions of any known remediation for this CLI error.
+        const remediation = findRemediation(cliError.name, cliError.message);
+        if (remediation) {
+            this.explanation = remediation.explanation;
         }
+        this.actions = [...cliError.actions, ...(remediation ? remediation.actions : [])];
         return;
     }
 }
@@ -557,11 +654,11 @@ export class ShellError extends SfdxFalconError {
     constructor(command, code, signal, stdErrBuffer, stdOutBuffer = null, source = '', message = '') {
         // Set the message to be either what the caller provided, the first line of stdErrBuffer, or a default message.
         if (!message) {
-            if (typeof stdErrBuffer === 'string' && stdErrBuffer) {
-                message = stdErrBuffer.substring(0, stdErrBuffer.indexOf('\n'));
+            if (typeof stdErrBuffer === 'string' && stdErrBuffer.trim()) {
+                message = stdErrBuffer.trim().split('\n')[0];
             }
-            else if (typeof stdOutBuffer === 'string' && stdOutBuffer) {
-                message = stdOutBuffer.substring(0, stdOutBuffer.indexOf('\n'));
+            else if (typeof stdOutBuffer === 'string' && stdOutBuffer.trim()) {
+                message = stdOutBuffer.trim().split('\n')[0];
             }
             else {
                 // Set a default "Unknown Shell Error" message.
@@ -583,4 +680,29 @@ export class ShellError extends SfdxFalconError {
         //this.addToStack(`at ${this.shellError.code}: ${this.shellError.message}`);
         return;
     }
-}
\ No newline at end of file
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       UsageError
+ * @extends     SfdxFalconError
+ * @description Thrown when the toolbelt is called with an unknown command or invalid arguments or
+ *              flags. `renderError()` shows only the message of a UsageError, without a stack, so
+ *              the message should say how to get help.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class UsageError extends SfdxFalconError {
+    //───────────────────────────────────────────────────────────────────────────┐
+    /**
+     * @constructs  UsageError
+     * @param       {string}  message Required. What was wrong with the command
+     *              line, followed by how to get help.
+     * @param       {string}  [name]  Optional. Defaults to UsageError.
+     * @param       {string}  [source]  Optional. Sets the SfdxFalconError source.
+     * @public
+     */
+    //───────────────────────────────────────────────────────────────────────────┘
+    constructor(message, name = 'UsageError', source) {
+        super(message, name, source);
+    }
+}
@@ -0,0 +1,194 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/error/remediations.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Catalog of common Salesforce CLI errors and how to fix them.
+ * @description   Maps CLI error names and message patterns to an explanation of what went wrong
+ *                and the actions, usually commands, that fix it. `SfdxCliError` adds the actions
+ *                of a matching remediation to its own, so `renderError()` can suggest them. Teams
+ *                can add their own remediations in `config/toolbelt-remediations.json`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { fs }                             from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "./index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Remediations that are checked for every CLI error, in order. A remediation matches an error if
+ * one of its `names` is the error's name, or if its `messagePattern` matches the error's message.
+ * Remediations added with `addRemediation()` are checked before these.
+ */
+const remediations = [
+  {
+    names:          [`NoDefaultDevHubError`, `NoDefaultEnvError`],
+    messagePattern: /no default dev hub/i,
+    explanation:    `No Dev Hub is set as the default for this project, so scratch orgs can't be created.`,
+    actions:        [`Log in to your Dev Hub and make it the default: sf org login web --set-default-dev-hub --alias DevHub`,
+                     `Or make an org you've already logged in to the default: sf config set target-dev-hub=<alias>`]
+  },
+  {
+    names:          [`ScratchOrgLimitExceeded`],
+    messagePattern: /\bLIMIT_EXCEEDED\b.*scratch|scratch org (?:signup )?limit|active scratch org/i,
+    explanation:    `Your Dev Hub has reached its limit of active scratch orgs, or of scratch orgs created today.`,
+    actions:        [`See your active scratch orgs: sf org list --all`,
+                     `Delete the ones you no longer need: sf org delete scratch -o <alias>`,
+                     `If you've hit the daily limit, wait 24 hours or use a different Dev Hub.`]
+  },
+  {
+    names:          [`NamespaceNotLinked`],
+    messagePattern: /namespace.*(?:not|isn't|is not) (?:registered|linked)|not (?:registered|linked).*namespace|InvalidNamespace/i,
+    explanation:    `The namespace in sfdx-project.json isn't linked to your Dev Hub.`,
+    actions:        [`In your Dev Hub, open Setup > Namespace Registries and link the Developer Edition org that owns the namespace.`,
+                     `Or change the "namespace" in sfdx-project.json to one that's linked to your Dev Hub.`]
+  },
+  {
+    names:          [`NamedOrgNotFoundError`, `NoOrgFound`, `NoAuthInfoFound`],
+    messagePattern: /no authorization information found|no (?:org|user) found/i,
+    explanation:    `The Salesforce CLI isn't logged in to the org this command uses.`,
+    actions:        [`See the orgs the CLI is logged in to: sf org list`,
+                     `Log in to the org: sf org login web --alias <alias>`]
+  },
+  {
+    names:          [`RefreshTokenAuthError`, `AuthInfoExpired`],
+    messagePattern: /expired access\/refresh token|invalid_grant|expired_token/i,
+    explanation:    `The CLI's login to this org has expired or was revoked.`,
+    actions:        [`Log in to the org again: sf org login web --alias <alias>`]
+  },
+  {
+    names:          [`INSTALL_KEY_INVALID`],
+    messagePattern: /\bINSTALL_KEY_INVALID\b|installation key (?:is )?(?:not valid|invalid|required)|(?:invalid|missing) installation key\b/i,
+    explanation:    `A package dependency needs an installation key, and the key wasn't given or is wrong.`,
+    actions:        [`Set the SFDX_FALCON_INSTALL_KEY_* environment variable for the package, eg. SFDX_FALCON_INSTALL_KEY_MY_PACKAGE_1_0_0_1.`,
+                     `Run the command with --dry-run to see the name of the variable each package needs.`]
+  }
+];
+/**
+ * Remediations added with `addRemediation()`, in the order they were added.
+ */
+const addedRemediations = [];
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findRemediation
+ * @param       {String}  errorName     Required. Name of a CLI error, eg. `NoDefaultDevHubError`.
+ * @param       {String}  errorMessage  Required. Message of the CLI error.
+ * @returns     {Object}  The first remediation that matches the error, with its `explanation` and
+ *                        `actions`, or `null` if none do.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function findRemediation(errorName, errorMessage) {
+  return [...addedRemediations, ...remediations].find(remediation =>
+    remediation.names.includes(`${errorName ?? ''}`) ||
+    (remediation.messagePattern !== null && remediation.messagePattern.test(`${errorMessage ?? ''}`))
+  ) ?? null;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    addRemediation
+ * @param       {Object}  remediation Required. Has `names` (an array of CLI error names) and/or a
+ *                                    `messagePattern` (a RegExp, or a string that's turned into a
+ *                                    case-insensitive one), an `explanation`, and `actions`.
+ * @returns     {void}
+ * @description Added remediations are checked before the built-in ones, so they can replace them.
+ *              Throws if the remediation is invalid.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function addRemediation(remediation) {
+  addedRemediations.push(validateRemediation(remediation, `Error:Remediations:addRemediation`));
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    loadRemediationFile
+ * @param       {String}  filePath  Required. Path to a JSON file holding an array of remediations,
+ *                                  eg. `config/toolbelt-remediations.json`.
+ * @returns     {Number}  How many remediations were added. `0` if the file doesn't exist.
+ * @description Every remediation is validated before any of them are added. Throws if the file
+ *              can't be read or any remediation is invalid.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function loadRemediationFile(filePath) {
+  const localDbgNs = `Error:Remediations:loadRemediationFile`;
+  if (fs.existsSync(filePath) !== true) {
+    return 0;
+  }
+  let fileContents;
+  try {
+    fileContents = fs.readJsonSync(filePath);
+  } catch (readError) {
+    throw new SfdxFalconError(`The remediation file "${filePath}" could not be read. ${readError.message}`,
+                              `Invalid Remediation Catalog`,
+                              `${localDbgNs}`,
+                              readError);
+  }
+  if (Array.isArray(fileContents) !== true) {
+    throw new SfdxFalconError(`The remediation file "${filePath}" must contain an array of remediations.`,
+                              `Invalid Remediation Catalog`,
+                              `${localDbgNs}`);
+  }
+  const validRemediations = fileContents.map((remediation, index) => {
+    try {
+      return validateRemediation(remediation, localDbgNs);
+    } catch (validationError) {
+      throw new SfdxFalconError(`Remediation ${index + 1} in "${filePath}" is invalid. ${validationError.message}`,
+                                `Invalid Remediation Catalog`,
+                                `${localDbgNs}`);
+    }
+  });
+  addedRemediations.push(...validRemediations);
+  return validRemediations.length;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    validateRemediation
+ * @param       {Object}  remediation Required. A remediation to validate.
+ * @param       {String}  dbgNsExt    Required. Debug namespace of the caller.
+ * @returns     {Object}  A copy of the remediation with defaults for missing keys, and its
+ *                        `messagePattern` as a RegExp.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function validateRemediation(remediation, dbgNsExt) {
+  const invalid = message => new SfdxFalconError(message, `Invalid Remediation`, `${dbgNsExt}`);
+  if (remediation === null || typeof remediation !== 'object' || Array.isArray(remediation)) {
+    throw invalid(`A remediation must be an object with 'names' or a 'messagePattern', an 'explanation', and 'actions'.`);
+  }
+  const names = remediation.names ?? [];
+  if (Array.isArray(names) !== true || names.some(name => typeof name !== 'string' || name === '')) {
+    throw invalid(`The 'names' of a remediation must be an array of CLI error names.`);
+  }
+  let messagePattern = remediation.messagePattern ?? null;
+  if (typeof messagePattern === 'string') {
+    try {
+      messagePattern = new RegExp(messagePattern, 'i');
+    } catch (patternError) {
+      throw invalid(`The 'messagePattern' of a remediation isn't a valid regular expression. ${patternError.message}`);
+    }
+  }
+  if (messagePattern !== null && (messagePattern instanceof RegExp) !== true) {
+    throw invalid(`The 'messagePattern' of a remediation must be a string or a RegExp.`);
+  }
+  if (names.length === 0 && messagePattern === null) {
+    throw invalid(`A remediation must have 'names' or a 'messagePattern', or it can never match an error.`);
+  }
+  if (typeof remediation.explanation !== 'string' || remediation.explanation.trim() === '') {
+    throw invalid(`A remediation must have an 'explanation' of what went wrong.`);
+  }
+  if (Array.isArray(remediation.actions) !== true || remediation.actions.length === 0 || remediation.actions.some(action => typeof action !== 'string')) {
+    throw invalid(`The 'actions' of a remediation must be a non-empty array of strings.`);
+  }
+  return {
+    names:          [...names],
+    messagePattern: messagePattern,
+    explanation:    remediation.explanation,
+    actions:        [...remediation.actions]
+  };
+}
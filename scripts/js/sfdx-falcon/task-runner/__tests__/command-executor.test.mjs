@@ -0,0 +1,135 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/__tests__/command-executor.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for recording and replaying pipeline runs.
+ * @description   Records pipelines run against a `FixtureExecutor` with a `RecordingExecutor`,
+ *                then replays the cassette with a `ReplayExecutor` and checks that every task
+ *                ends the same way it did when it was recorded.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { jest, beforeEach, afterEach,
+         describe, test, expect }         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { TaskRunner }                     from "../index.mjs";
+import { SfdxTask }                       from "../sfdx-task.mjs";
+import { CliTask }                        from "../cli-task.mjs";
+import { FixtureExecutor,
+         RecordingExecutor,
+         ReplayExecutor,
+         ZxExecutor,
+         setExecutor }                    from "../command-executor.mjs";
+import { SfdxFalconError }                from "../../error/index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+/**
+ * Fixtures shared by every test. Commands that contain `succeed` pass, and commands that contain
+ * `fail` exit with code 1 and the JSON error the Salesforce CLI would return.
+ */
+const fixtures = [
+  {match: 'succeed',  stdout: {status: 0, result: {username: 'dev@example.com'}}, stderr: 'Warning: update available'},
+  {match: 'fail',     stdout: {status: 1, name: 'NoDefaultDevHubError', message: 'No default dev hub found.'}, exitCode: 1}
+];
+
+let tempDir;
+let cassetteFile;
+
+beforeEach(() => {
+  tempDir       = fs.mkdtempSync(path.join(os.tmpdir(), 'command-executor-'));
+  cassetteFile  = path.join(tempDir, 'recordings', 'build-dev.json');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setExecutor(new ZxExecutor());
+  fs.removeSync(tempDir);
+  jest.restoreAllMocks();
+});
+
+/**
+ * Runs a pipeline that creates an org, publishes a package with a secret token, and then runs
+ * `lastCommand`. Resolves to the status of every task in the run report.
+ */
+async function runPipeline(executor, lastCommand) {
+  TaskRunner.trInstance = null;
+  const taskRunner = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+  taskRunner.setExecutor(executor);
+  taskRunner.addTask(new SfdxTask(`Create org`, `sf succeed create`));
+  taskRunner.addTask(new CliTask(`Publish`,     `npm succeed publish --token s3cr3t`, {secrets: {NPM_TOKEN: 's3cr3t'}}));
+  taskRunner.addTask(new SfdxTask(`Deploy`,     lastCommand));
+  await taskRunner.runTasks().catch(() => {});
+  return taskRunner.runReport.toJSON().tasks.map(({title, status, exitCode, error}) => ({title, status, exitCode, error: error?.name ?? null}));
+}
+
+// user-020: --record saves every command to a cassette, and --replay answers commands from it.
+describe('record and replay', () => {
+  test('records every command with its output, exit code, and duration', async () => {
+    await runPipeline(new RecordingExecutor(new FixtureExecutor(fixtures), cassetteFile, 'build-dev'), `sf fail deploy`);
+
+    const cassette = fs.readJsonSync(cassetteFile);
+    expect(cassette).toMatchObject({version: 1, pipelineName: 'build-dev'});
+    expect(Date.parse(cassette.recordedAt)).not.toBeNaN();
+    expect(cassette.interactions.map(({durationMs, ...interaction}) => interaction)).toEqual([
+      {command: 'sf succeed create --json',                   stdout: JSON.stringify(fixtures[0].stdout), stderr: 'Warning: update available', exitCode: 0, signal: null},
+      {command: 'npm succeed publish --token "${NPM_TOKEN}"', stdout: JSON.stringify(fixtures[0].stdout), stderr: 'Warning: update available', exitCode: 0, signal: null},
+      {command: 'sf fail deploy --json',                      stdout: JSON.stringify(fixtures[1].stdout), stderr: '',                          exitCode: 1, signal: null}
+    ]);
+    for (const interaction of cassette.interactions) {
+      expect(interaction.durationMs).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test('a replayed run ends the same way as the recorded one', async () => {
+    const recordedTasks = await runPipeline(new RecordingExecutor(new FixtureExecutor(fixtures), cassetteFile, 'build-dev'), `sf fail deploy`);
+    const replayedTasks = await runPipeline(ReplayExecutor.fromFile(cassetteFile), `sf fail deploy`);
+
+    expect(replayedTasks).toEqual(recordedTasks);
+    expect(replayedTasks[2]).toEqual({title: 'Deploy', status: 'failed', exitCode: 1, error: 'NoDefaultDevHubError'});
+  });
+
+  test('a command that ran more than once gets each recorded response in turn', async () => {
+    const answers   = [fixtures[1], fixtures[0]];
+    const flaky     = {execute: commandString => new FixtureExecutor([{...answers.shift(), match: /./}]).execute(commandString)};
+    const recorder  = new RecordingExecutor(flaky, cassetteFile, 'build-dev');
+    await recorder.execute('sf org create scratch --json').catch(() => {});
+    await recorder.execute('sf org create scratch --json');
+
+    const replayer  = ReplayExecutor.fromFile(cassetteFile);
+    await expect(replayer.execute('sf org create scratch --json')).rejects.toMatchObject({exitCode: 1});
+    await expect(replayer.execute('sf org create scratch --json')).resolves.toMatchObject({exitCode: 0});
+    await expect(replayer.execute('sf org create scratch --json')).rejects.toMatchObject({exitCode: 127});
+  });
+
+  test('commands that were not recorded fail with exit code 127', async () => {
+    const replayer = new ReplayExecutor({version: 1, interactions: []});
+    await expect(replayer.execute('sf org list --json')).rejects.toMatchObject({
+      exitCode: 127,
+      stderr:   'No recorded response for the command: sf org list --json'
+    });
+  });
+
+  test.each([
+    ['a file that is not JSON',           `{"interactions": `,                                          /could not be read/],
+    ['a cassette without interactions',   JSON.stringify({version: 1}),                                 /must have an 'interactions' array/],
+    ['an interaction without a command',  JSON.stringify({version: 1, interactions: [{stdout: ''}]}),   /every interaction must have a 'command'/],
+    ['an unsupported version',            JSON.stringify({version: 2, interactions: []}),               /Cassette version 2 isn't supported/]
+  ])('rejects %s', (description, contents, expectedMessage) => {
+    fs.outputFileSync(cassetteFile, contents);
+    let replayError;
+    try {
+      ReplayExecutor.fromFile(cassetteFile);
+    } catch (fromFileError) {
+      replayError = fromFileError;
+    }
+    expect(replayError).toBeInstanceOf(SfdxFalconError);
+    expect(replayError.name).toBe('Invalid Cassette');
+    expect(replayError.message).toMatch(expectedMessage);
+  });
+});
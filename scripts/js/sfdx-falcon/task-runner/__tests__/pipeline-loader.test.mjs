@@ -0,0 +1,187 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/__tests__/pipeline-loader.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for loading pipeline definition files.
+ * @description   Writes pipeline definition files to a temporary directory, loads them with
+ *                `loadPipelineDefinitions()`, and checks the tasks they resolve to and the errors
+ *                reported for invalid files.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { jest, afterAll, beforeAll,
+         afterEach, describe, test,
+         expect }                         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { findPipelineFile,
+         loadPipelineDefinitions,
+         addPipelineTasks }               from "../pipeline-loader.mjs";
+import { TaskRunner }                     from "../index.mjs";
+import { FixtureExecutor,
+         ZxExecutor,
+         setExecutor }                    from "../command-executor.mjs";
+import { SfdxFalconError }                from "../../error/index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+let tempDir;
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-loader-'));
+});
+
+afterAll(() => {
+  fs.removeSync(tempDir);
+});
+
+/**
+ * Writes a pipeline definition file and returns its path.
+ */
+function writePipelineFile(fileName, contents) {
+  const filePath = path.join(tempDir, fileName);
+  fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return filePath;
+}
+
+/**
+ * Loads a pipeline file with a single `build-dev` pipeline made of the given tasks.
+ */
+function loadTasks(tasks, variables) {
+  return loadPipelineDefinitions(writePipelineFile('pipelines.json', {pipelines: {'build-dev': {tasks}}}), variables)['build-dev'].tasks;
+}
+
+/**
+ * Returns the error thrown when loading a pipeline made of the given tasks.
+ */
+function loadError(tasks) {
+  try {
+    loadTasks(tasks);
+  } catch (loadError) {
+    return loadError;
+  }
+  throw new Error(`Expected the pipeline to be invalid.`);
+}
+
+// user-005: pipelines are loaded from a JSON or YAML file and every task is validated.
+describe('loadPipelineDefinitions', () => {
+  test('returns no pipelines when there is no file', () => {
+    expect(loadPipelineDefinitions(null)).toEqual({});
+    expect(loadPipelineDefinitions(path.join(tempDir, 'missing.yaml'))).toEqual({});
+  });
+
+  test('loads YAML, applies defaults, and resolves variables', () => {
+    const filePath = writePipelineFile('pipelines.yaml', [
+      `pipelines:`,
+      `  build-dev:`,
+      `    tasks:`,
+      `      - title: Create {{devOrgAlias}}`,
+      `        command: sf org create scratch -a {{devOrgAlias}} -o {{orgUsername}}`,
+      `        suppressErrors: true`
+    ].join('\n'));
+    expect(loadPipelineDefinitions(filePath, {devOrgAlias: 'DEV'})).toEqual({
+      'build-dev': {
+        tasks: [{
+          title:              'Create DEV',
+          command:            `sf org create scratch -a 'DEV' -o {{orgUsername}}`,
+          suppressErrors:     true,
+          renderStdioOnError: false,
+          concurrent:         false,
+          enabled:            true,
+          when:               {},
+          retry:              null,
+          timeout:            null,
+          capture:            null
+        }]
+      }
+    });
+  });
+
+  test('finds the first pipeline file by extension', () => {
+    writePipelineFile('toolbelt-pipelines.json', {pipelines: {}});
+    expect(findPipelineFile(tempDir, 'toolbelt-pipelines')).toBe(path.join(tempDir, 'toolbelt-pipelines.json'));
+    expect(findPipelineFile(tempDir, 'no-such-file')).toBeNull();
+  });
+
+  test('reports files that cannot be parsed', () => {
+    const filePath = writePipelineFile('broken.json', `{"pipelines": `);
+    expect(() => loadPipelineDefinitions(filePath)).toThrow(/could not be parsed/);
+  });
+
+  test.each([
+    ['no pipelines object',     {tasks: []},                              /top-level 'pipelines' object/],
+    ['an empty tasks array',    {pipelines: {'build-dev': {tasks: []}}},  /Pipeline 'build-dev' must have a non-empty 'tasks' array/]
+  ])('rejects a file with %s', (description, contents, expectedMessage) => {
+    expect(() => loadPipelineDefinitions(writePipelineFile('shape.json', contents))).toThrow(expectedMessage);
+  });
+
+  test.each([
+    ['a task that is not an object',  ['sf org list'],                                                    /Task build-dev.tasks\[0\] must be an object/],
+    ['an unknown key',                [{title: 'List', command: 'sf org list', retries: 3}],              /unknown key 'retries'/],
+    ['a wrongly-typed value',         [{title: 'List', command: 'sf org list', suppressErrors: 'yes'}],   /'suppressErrors' of type 'string'. Expected 'boolean'/],
+    ['a missing title',               [{command: 'sf org list'}],                                         /must have a 'title'/],
+    ['a missing command',             [{title: 'List'}],                                                  /\('List'\) must have a 'command'/],
+    ['an unknown when condition',     [{title: 'List', command: 'sf org list', when: {branch: 'main'}}],  /'when' condition of task build-dev.tasks\[0\] has an unknown key 'branch'/],
+    ['a retry on a shell command',    [{title: 'Lint', command: 'npm run lint', retry: {}}],              /only 'sf' and 'sfdx' commands can be retried/],
+    ['a capture on a shell command',  [{title: 'Lint', command: 'npm run lint', capture: {x: 'result'}}], /only 'sf' and 'sfdx' commands return JSON/],
+    // user-013: a timeout of 0 would mean no timeout, and anything above 2^31-1 fires at once.
+    ['a timeout of 0',                [{title: 'Deploy', command: 'sf project deploy start', timeout: 0}],          /'timeout' that is a whole number of milliseconds from 1 to 2147483647/],
+    ['a timeout that is too long',    [{title: 'Deploy', command: 'sf project deploy start', timeout: 2147483648}], /'timeout' that is a whole number of milliseconds from 1 to 2147483647/],
+    ['a timeout on a shell command',  [{title: 'Lint', command: 'npm run lint', timeout: 1000}],                   /only 'sf' and 'sfdx' commands can time out/]
+  ])('rejects %s', (description, tasks, expectedMessage) => {
+    const invalidError = loadError(tasks);
+    expect(invalidError).toBeInstanceOf(SfdxFalconError);
+    expect(invalidError.name).toBe('Invalid Pipeline Definition');
+    expect(invalidError.message).toMatch(expectedMessage);
+  });
+});
+
+// user-014: disabled and conditional tasks stay in the pipeline and are skipped when it runs.
+describe('addPipelineTasks', () => {
+  afterEach(() => {
+    setExecutor(new ZxExecutor());
+    delete process.env.PIPELINE_LOADER_TEST_FLAG;
+    jest.restoreAllMocks();
+  });
+
+  test('skips disabled tasks and checks when conditions as each task starts', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    TaskRunner.trInstance = null;
+    const taskRunner  = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+    const executor    = new FixtureExecutor([{match: 'sf', stdout: {status: 0, result: {}}}]);
+    taskRunner.setExecutor(executor);
+    // The condition is only met once this task has run.
+    taskRunner.addTask({title: 'Set the flag', task: () => { process.env.PIPELINE_LOADER_TEST_FLAG = 'true'; }});
+    addPipelineTasks(taskRunner, {tasks: loadTasks([
+      {title: 'Delete old org', command: 'sf org delete scratch', enabled: false},
+      {title: 'Open org',       command: 'sf org open',           when: {env: 'PIPELINE_LOADER_TEST_FLAG'}},
+      {title: 'Deploy',         command: 'sf project deploy start'}
+    ])});
+
+    expect(taskRunner.plan.map(plannedTask => plannedTask.title)).toEqual(['Set the flag', 'Delete old org', 'Open org', 'Deploy']);
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual(['sf org open --json', 'sf project deploy start --json']);
+    expect(taskRunner.runReport.toJSON().tasks.find(entry => entry.title === 'Delete old org'))
+      .toMatchObject({status: 'skipped', skipReason: 'Disabled in pipeline file'});
+  });
+
+  test('skips tasks whose when condition is not met', async () => {
+    TaskRunner.trInstance = null;
+    const taskRunner  = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+    const executor    = new FixtureExecutor([{match: 'sf', stdout: {status: 0, result: {}}}]);
+    taskRunner.setExecutor(executor);
+    addPipelineTasks(taskRunner, {tasks: loadTasks([
+      {title: 'Open org', command: 'sf org open', when: {env: 'PIPELINE_LOADER_TEST_FLAG'}}
+    ])});
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual([]);
+    expect(taskRunner.runReport.toJSON().tasks[0]).toMatchObject({status: 'skipped', skipReason: 'Condition not met'});
+  });
+});
@@ -0,0 +1,466 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/__tests__/sfdx-task.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for SfdxTask, CliTask, and TaskGroup.
+ * @description   Runs tasks through a real `TaskRunner` with a `FixtureExecutor` in place of the
+ *                Salesforce CLI, then checks the state of each task, its run report entry, the
+ *                warnings for suppressed failures, and the calls to `onSuccess` and `onError`.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { jest, beforeEach, afterEach,
+         describe, test, expect }         from "@jest/globals";
+import { $ }                              from "zx";
+
+// Import Internal Classes & Functions
+import { TaskRunner }                     from "../index.mjs";
+import { SfdxTask }                       from "../sfdx-task.mjs";
+import { CliTask }                        from "../cli-task.mjs";
+import { TaskGroup }                      from "../task-group.mjs";
+import { FixtureExecutor,
+         ZxExecutor,
+         setExecutor }                    from "../command-executor.mjs";
+import { SfdxFalconError,
+         SfdxCliError,
+         ShellError }                     from "../../error/index.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+/**
+ * Fixtures shared by every test. Commands that contain `succeed` pass, and commands that contain
+ * `fail` exit with code 1 and the JSON error the Salesforce CLI would return.
+ */
+const fixtures = [
+  {match: 'succeed',  stdout: {status: 0, result: {username: 'dev@example.com'}}},
+  {match: 'fail',     stdout: {status: 1, name: 'NoDefaultDevHubError', message: 'No default dev hub found.'}, exitCode: 1}
+];
+
+let taskRunner;
+let executor;
+
+beforeEach(() => {
+  // TaskRunner is a singleton, so start every test with a fresh one.
+  TaskRunner.trInstance = null;
+  taskRunner  = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+  executor    = new FixtureExecutor(fixtures);
+  taskRunner.setExecutor(executor);
+  // Warnings about suppressed failures are printed when a run ends.
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setExecutor(new ZxExecutor());
+  jest.restoreAllMocks();
+});
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    listrTask
+ * @param       {Number}  index Required. Position of the task in the task runner.
+ * @returns     {Object}  The `Listr` task that ran the task at `index`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function listrTask(index) {
+  return taskRunner.tasks.tasks[index];
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    reportEntry
+ * @param       {String}  title Required. Title of a task.
+ * @returns     {Object}  The run report entry of the task.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function reportEntry(title) {
+  return taskRunner.runReport.toJSON().tasks.find(entry => entry.title === title);
+}
+
+describe('SfdxTask', () => {
+  test('runs its command with --json and reports success', async () => {
+    const onSuccess = jest.fn();
+    const onError   = jest.fn();
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch --succeed`, {onSuccess, onError}));
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual([`sf org create scratch --succeed --json`]);
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Create scratch org`)).toMatchObject({status: `success`, exitCode: 0, error: null});
+    expect(onSuccess).toHaveBeenCalledTimes(1);
+    expect(onSuccess.mock.calls[0][0].stdoutJson.result.username).toBe(`dev@example.com`);
+    expect(onError).not.toHaveBeenCalled();
+    expect(taskRunner.warnings).toEqual([]);
+  });
+
+  test('fails the run with an SfdxCliError when its command fails', async () => {
+    const onError = jest.fn();
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch --fail`, {onError}));
+    taskRunner.addTask(new SfdxTask(`Deploy source`, `sf project deploy start --succeed`));
+
+    const runError = await taskRunner.runTasks().catch(error => error);
+
+    expect(runError.name).toBe(`TaskRunner Runtime Error`);
+    expect(runError.cause).toBeInstanceOf(SfdxCliError);
+    expect(runError.cause.cliError).toMatchObject({name: `NoDefaultDevHubError`, status: 1});
+    expect(SfdxFalconError.renderError(runError)).toMatch(/Caused By:[\s\S]*NoDefaultDevHubError/);
+
+    expect(listrTask(0).hasFailed()).toBe(true);
+    expect(listrTask(1).isCompleted()).toBe(false);
+    expect(executor.calls).toHaveLength(1);
+    expect(reportEntry(`Create scratch org`)).toMatchObject({
+      status:   `failed`,
+      exitCode: 1,
+      error:    {name: `NoDefaultDevHubError`, message: `No default dev hub found.`, status: 1}
+    });
+    expect(taskRunner.runReport.toJSON().status).toBe(`failed`);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].exitCode).toBe(1);
+  });
+
+  test('lists a suppressed failure as a warning and keeps running', async () => {
+    const onError = jest.fn();
+    taskRunner.addTask(new SfdxTask(`Delete old scratch org`, `sf org delete scratch --fail`, {suppressErrors: true, onError}));
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch --succeed`));
+
+    await taskRunner.runTasks();
+
+    expect(listrTask(0).hasFailed()).toBe(false);
+    expect(listrTask(1).isCompleted()).toBe(true);
+    expect(reportEntry(`Delete old scratch org`)).toMatchObject({
+      status:   `suppressed-failure`,
+      exitCode: 1,
+      error:    {name: `NoDefaultDevHubError`, message: `No default dev hub found.`}
+    });
+    expect(taskRunner.runReport.toJSON().status).toBe(`succeeded`);
+    expect(taskRunner.warnings).toHaveLength(1);
+    expect(taskRunner.warnings[0]).toMatchObject({title: `Delete old scratch org`, error: {name: `NoDefaultDevHubError`}});
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining(`Delete old scratch org`));
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails a suppressed failure in strict mode', async () => {
+    taskRunner.strict = true;
+    taskRunner.addTask(new SfdxTask(`Delete old scratch org`, `sf org delete scratch --fail`, {suppressErrors: true}));
+
+    await expect(taskRunner.runTasks()).rejects.toThrow(`Error thrown at runtime by a Listr task.`);
+
+    expect(reportEntry(`Delete old scratch org`).status).toBe(`failed`);
+    expect(taskRunner.warnings).toEqual([]);
+  });
+
+  test('fails when a success handler throws, even if errors are suppressed', async () => {
+    const handlerError  = new Error(`Cannot read the org's username.`);
+    const onError       = jest.fn();
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch --succeed`, {suppressErrors: true, onError, onSuccess: () => { throw handlerError; }}));
+
+    const runError = await taskRunner.runTasks().catch(error => error);
+
+    expect(runError.cause).toBe(handlerError);
+    expect(onError).not.toHaveBeenCalled();
+    expect(reportEntry(`Create scratch org`)).toMatchObject({status: `failed`, exitCode: 0, error: {name: `Error`, message: `Cannot read the org's username.`}});
+    expect(taskRunner.warnings).toEqual([]);
+
+    // CliTask treats its success handler the same way.
+    TaskRunner.trInstance = null;
+    taskRunner = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+    taskRunner.setExecutor(executor);
+    taskRunner.addTask(new CliTask(`Lint`, `npm run lint --succeed`, {suppressErrors: true, onError, onSuccess: () => { throw handlerError; }}));
+
+    await expect(taskRunner.runTasks()).rejects.toMatchObject({cause: handlerError});
+    expect(onError).not.toHaveBeenCalled();
+    expect(reportEntry(`Lint`).status).toBe(`failed`);
+  });
+
+  test('fails when a command that exits with 0 returns a failed result', async () => {
+    executor.addFixture({match: 'apex run', stdout: {status: 0, result: {success: false, compiled: true, exceptionMessage: 'System.NullPointerException'}}});
+    taskRunner.addTask(new SfdxTask(`Generate data`, `sf apex run -f create-data.apex`));
+
+    const runError = await taskRunner.runTasks().catch(error => error);
+
+    expect(runError.cause).toBeInstanceOf(SfdxCliError);
+    expect(reportEntry(`Generate data`)).toMatchObject({
+      status: `failed`,
+      error:  {name: `ApexExecutionFailed`, failures: [`System.NullPointerException`]}
+    });
+  });
+
+  test('uses the isSuccess option instead of the built-in result check', async () => {
+    executor.addFixture({match: 'data query', stdout: {status: 0, result: {totalSize: 0, records: []}}});
+    taskRunner.addTask(new SfdxTask(`Find admin`, `sf data query -q "SELECT Id FROM User"`, {isSuccess: resultJson => resultJson.result.totalSize > 0}));
+
+    await expect(taskRunner.runTasks()).rejects.toThrow();
+
+    expect(reportEntry(`Find admin`)).toMatchObject({status: `failed`, error: {name: `ResultCheckFailed`}});
+  });
+});
+
+// user-012: transient CLI errors are retried with a growing delay.
+describe('SfdxTask retries', () => {
+  const transientError  = {stdout: {status: 1, name: 'GenericTimeoutError', message: 'The org is not yet available.'}, exitCode: 1};
+  const authError       = {stdout: {status: 1, name: 'AuthError', message: 'Invalid session.'}, exitCode: 1};
+  const success         = {stdout: {status: 0, result: {}}};
+  let   callTimes;
+
+  /**
+   * Answers each command with the next of the given fixtures, and remembers when it was called.
+   */
+  function answerInSequence(...answers) {
+    callTimes = [];
+    taskRunner.setExecutor({
+      execute: commandString => {
+        callTimes.push(Date.now());
+        return new FixtureExecutor([{match: /./, ...answers.shift()}]).execute(commandString);
+      }
+    });
+  }
+
+  test('retries transient errors, multiplying the delay after every attempt', async () => {
+    answerInSequence(transientError, transientError, success);
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch`, {retry: {maxAttempts: 3, delay: 20, backoffFactor: 3}}));
+
+    await taskRunner.runTasks();
+
+    expect(callTimes).toHaveLength(3);
+    expect(callTimes[1] - callTimes[0]).toBeGreaterThanOrEqual(19);
+    expect(callTimes[2] - callTimes[1]).toBeGreaterThanOrEqual(59);
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Create scratch org`).status).toBe(`success`);
+  });
+
+  test('fails with the last error once every attempt is used', async () => {
+    answerInSequence(transientError, transientError, success);
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch`, {retry: {maxAttempts: 2, delay: 0}}));
+
+    await expect(taskRunner.runTasks()).rejects.toThrow();
+
+    expect(callTimes).toHaveLength(2);
+    expect(reportEntry(`Create scratch org`).error.name).toBe(`GenericTimeoutError`);
+  });
+
+  test('fails immediately on errors that are not retryable', async () => {
+    answerInSequence(authError, success);
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch`, {retry: {delay: 0}}));
+
+    await expect(taskRunner.runTasks()).rejects.toThrow();
+
+    expect(callTimes).toHaveLength(1);
+  });
+
+  test('retryOn decides which errors are retryable', async () => {
+    answerInSequence(authError, success);
+    taskRunner.addTask(new SfdxTask(`Create scratch org`, `sf org create scratch`, {retry: {delay: 0, retryOn: ['AuthError']}}));
+
+    await taskRunner.runTasks();
+
+    expect(callTimes).toHaveLength(2);
+  });
+
+  test.each([
+    [{maxAttempts: 0},          /maxAttempts must be a whole number greater than zero/],
+    [{delay: -1},               /delay must be a number that isn't negative/],
+    [{retryOn: 'AuthError'},    /retryOn must be a function or an array/]
+  ])('rejects the retry policy %j', (retry, expectedMessage) => {
+    expect(() => new SfdxTask(`Create scratch org`, `sf org create scratch`, {retry})).toThrow(expectedMessage);
+  });
+});
+
+// user-013: commands that run longer than their timeout are killed and fail the task.
+describe('SfdxTask timeouts', () => {
+  test('kills a command that runs too long and reports exit code 124', async () => {
+    executor.addFixture({match: 'deploy', stdout: {status: 0, result: {}}, delay: 5000});
+    taskRunner.addTask(new SfdxTask(`Deploy source`, `sf project deploy start`, {timeout: 20}));
+
+    const runError = await taskRunner.runTasks().catch(caughtError => caughtError);
+
+    expect(runError.cause.name).toBe(`SFDX CLI Command Timed Out`);
+    expect(reportEntry(`Deploy source`)).toMatchObject({
+      status:   `failed`,
+      exitCode: 124,
+      error:    {name: `SFDX CLI Command Timed Out`}
+    });
+  });
+
+  test('lets a command that finishes in time succeed', async () => {
+    executor.addFixture({match: 'deploy', stdout: {status: 0, result: {}}, delay: 5});
+    taskRunner.addTask(new SfdxTask(`Deploy source`, `sf project deploy start`, {timeout: 5000}));
+
+    await taskRunner.runTasks();
+
+    expect(reportEntry(`Deploy source`).status).toBe(`success`);
+  });
+
+  test.each([0, -1, 1.5, 2147483648, Infinity, NaN, '1000'])('rejects a timeout of %p', timeout => {
+    expect(() => new SfdxTask(`Deploy source`, `sf project deploy start`, {timeout})).toThrow(/whole number of milliseconds from 1 to 2147483647/);
+  });
+
+  test.each([1, 2147483647, null])('accepts a timeout of %p', timeout => {
+    expect(new SfdxTask(`Deploy source`, `sf project deploy start`, {timeout}).timeout).toBe(timeout);
+  });
+});
+
+// user-015: captured values are quoted when they're templated into later commands.
+describe('captured values', () => {
+  test('are quoted as one word, even with spaces and quotes', async () => {
+    executor.addFixture({match: 'org display', stdout: {status: 0, result: {username: `O'Brien dev@example.com`, limits: {orgs: 2}}}});
+    executor.addFixture({match: 'echo', stdout: ``});
+    taskRunner.addTask(new SfdxTask(`Show org`, `sf org display`, {capture: {orgUsername: 'result.username', limits: 'result.limits'}}));
+    taskRunner.addTask(new CliTask(`Use org`, `echo {{orgUsername}} {{limits}}`));
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls[1]).toBe(`echo 'O'\\''Brien dev@example.com' '{"orgs":2}'`);
+  });
+
+  test('reach the command unchanged when it runs in bash', async () => {
+    const value     = `it's $(echo injected) "two words"`;
+    const onSuccess = jest.fn();
+    taskRunner.setExecutor(new ZxExecutor());
+    taskRunner.addTask({title: `Capture a value`, task: ctx => { ctx.value = value; }});
+    taskRunner.addTask(new CliTask(`Print the value`, `printf %s {{value}}`, {onSuccess}));
+
+    // The toolbelt passes whole commands to ZX unquoted.
+    const zxQuote = $.quote;
+    $.quote = arg => arg;
+    try {
+      await taskRunner.runTasks();
+    } finally {
+      $.quote = zxQuote;
+    }
+
+    expect(onSuccess.mock.calls[0][0].stdout).toBe(value);
+  });
+});
+
+describe('CliTask', () => {
+  test('runs its command as is and reports success', async () => {
+    executor.addFixture({match: 'npm run lint', stdout: 'No problems found'});
+    const onSuccess = jest.fn();
+    taskRunner.addTask(new CliTask(`Lint`, `npm run lint`, {onSuccess}));
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual([`npm run lint`]);
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Lint`)).toMatchObject({type: `cli`, status: `success`, exitCode: 0});
+    expect(onSuccess.mock.calls[0][0].stdout).toBe(`No problems found`);
+  });
+
+  test('fails the run with a ShellError when its command fails', async () => {
+    executor.addFixture({match: 'npm run lint', stderr: 'Found 3 problems\nin 2 files', exitCode: 2});
+    const onError = jest.fn();
+    taskRunner.addTask(new CliTask(`Lint`, `npm run lint`, {onError}));
+
+    const runError = await taskRunner.runTasks().catch(error => error);
+
+    expect(runError.cause).toBeInstanceOf(ShellError);
+    expect(runError.cause.shellError).toMatchObject({command: `npm run lint`, code: 2});
+    expect(listrTask(0).hasFailed()).toBe(true);
+    expect(reportEntry(`Lint`)).toMatchObject({status: `failed`, exitCode: 2, error: {name: `ShellError`, message: `Found 3 problems`}});
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].exitCode).toBe(2);
+  });
+
+  test('lists a suppressed failure as a warning with its exit code', async () => {
+    executor.addFixture({match: 'npm run lint', stderr: 'Found 3 problems', exitCode: 2});
+    taskRunner.addTask(new CliTask(`Lint`, `npm run lint`, {suppressErrors: true}));
+
+    await taskRunner.runTasks();
+
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Lint`)).toMatchObject({status: `suppressed-failure`, exitCode: 2});
+    expect(taskRunner.warnings.map(warning => warning.title)).toEqual([`Lint`]);
+  });
+
+  test('redacts secrets from the command in the run report', async () => {
+    executor.addFixture({match: 'publish', stdout: 'Published'});
+    taskRunner.addTask(new CliTask(`Publish`, `npm publish --token s3cr3t`, {secrets: {NPM_TOKEN: 's3cr3t'}}));
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual([`npm publish --token s3cr3t`]);
+    expect(reportEntry(`Publish`).commandString).toBe(`npm publish --token "\${NPM_TOKEN}"`);
+  });
+
+  test('redacts secrets from the output of a failed command', async () => {
+    executor.addFixture({match: 'publish', stderr: 'Invalid token s3cr3t', stdout: 'Using token s3cr3t', exitCode: 1});
+    taskRunner.addTask(new CliTask(`Publish`, `npm publish --token s3cr3t`, {secrets: {NPM_TOKEN: 's3cr3t'}}));
+
+    const runError = await taskRunner.runTasks().catch(error => error);
+
+    expect(runError.cause.shellError).toMatchObject({stderr: `Invalid token "\${NPM_TOKEN}"`, stdout: `Using token "\${NPM_TOKEN}"`});
+    expect(JSON.stringify(runError.cause.shellError)).not.toContain(`s3cr3t`);
+    expect(JSON.stringify(taskRunner.runReport.toJSON())).not.toContain(`s3cr3t`);
+  });
+});
+
+describe('TaskGroup', () => {
+  test('runs every task in order and reports each of them', async () => {
+    taskRunner.addTask(new TaskGroup(`Install dependencies`, [
+      new SfdxTask(`Install A`, `sf package install -p A --succeed`),
+      new SfdxTask(`Install B`, `sf package install -p B --succeed`)
+    ]));
+
+    await taskRunner.runTasks();
+
+    expect(executor.calls).toEqual([`sf package install -p A --succeed --json`, `sf package install -p B --succeed --json`]);
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Install A`).status).toBe(`success`);
+    expect(reportEntry(`Install B`).status).toBe(`success`);
+  });
+
+  test('stops at the first failure when exitOnError is true', async () => {
+    const onError = jest.fn();
+    taskRunner.addTask(new TaskGroup(`Install dependencies`, [
+      new SfdxTask(`Install A`, `sf package install -p A --fail`, {onError}),
+      new SfdxTask(`Install B`, `sf package install -p B --succeed`)
+    ], {exitOnError: true}));
+
+    await expect(taskRunner.runTasks()).rejects.toThrow();
+
+    expect(executor.calls).toHaveLength(1);
+    expect(listrTask(0).hasFailed()).toBe(true);
+    expect(reportEntry(`Install A`).status).toBe(`failed`);
+    expect(reportEntry(`Install B`)).toBeUndefined();
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  // user-011: a failure that doesn't stop the group still fails the run.
+  test('runs every task but fails the run when exitOnError is false', async () => {
+    taskRunner.addTask(new TaskGroup(`Post-deploy setup`, [
+      new SfdxTask(`Assign perm set`, `sf org assign permset --fail`),
+      new SfdxTask(`Create user`,     `sf org create user --succeed`)
+    ], {exitOnError: false}));
+    const nextTask = jest.fn();
+    taskRunner.addTask({title: `Open org`, task: nextTask});
+
+    const runError = await taskRunner.runTasks().catch(caughtError => caughtError);
+
+    expect(runError).toBeInstanceOf(SfdxFalconError);
+    expect(runError.message).toBe(`A task failed without stopping the pipeline: "Assign perm set".`);
+    expect(runError.cause).toBeInstanceOf(SfdxCliError);
+    expect(executor.calls).toHaveLength(2);
+    expect(nextTask).toHaveBeenCalledTimes(1);
+    expect(reportEntry(`Assign perm set`).status).toBe(`failed`);
+    expect(reportEntry(`Create user`).status).toBe(`success`);
+    expect(taskRunner.runReport.toJSON().status).toBe(`failed`);
+  });
+
+  test('collects the warnings of suppressed failures inside the group', async () => {
+    taskRunner.addTask(new TaskGroup(`Clean up`, [
+      new SfdxTask(`Delete scratch org`, `sf org delete scratch --fail`, {suppressErrors: true}),
+      new SfdxTask(`Logout`, `sf org logout --succeed`)
+    ]));
+
+    await taskRunner.runTasks();
+
+    expect(listrTask(0).isCompleted()).toBe(true);
+    expect(reportEntry(`Delete scratch org`).status).toBe(`suppressed-failure`);
+    expect(reportEntry(`Logout`).status).toBe(`success`);
+    expect(taskRunner.warnings.map(warning => warning.title)).toEqual([`Delete scratch org`]);
+  });
+});
@@ -0,0 +1,203 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/__tests__/task-runner.test.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Tests for running whole pipelines with TaskRunner.
+ * @description   Runs small pipelines through a real `TaskRunner` with a `FixtureExecutor` in place
+ *                of the Salesforce CLI, then checks the files a run leaves behind and how the next
+ *                run uses them.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { jest, beforeEach, afterEach,
+         describe, test, expect }         from "@jest/globals";
+import { fs, os, path }                   from "zx";
+
+// Import Internal Classes & Functions
+import { TaskRunner }                     from "../index.mjs";
+import { SfdxTask }                       from "../sfdx-task.mjs";
+import { TaskGroup }                      from "../task-group.mjs";
+import { FixtureExecutor,
+         ZxExecutor,
+         setExecutor }                    from "../command-executor.mjs";
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+/**
+ * Fixtures shared by every test. Commands that contain `succeed` pass, and commands that contain
+ * `fail` exit with code 1 and the JSON error the Salesforce CLI would return.
+ */
+const fixtures = [
+  {match: 'succeed',  stdout: {status: 0, result: {username: 'dev@example.com'}}},
+  {match: 'fail',     stdout: {status: 1, name: 'NoDefaultDevHubError', message: 'No default dev hub found.'}, exitCode: 1}
+];
+
+let tempDir;
+let executor;
+
+beforeEach(() => {
+  tempDir   = fs.mkdtempSync(path.join(os.tmpdir(), 'task-runner-'));
+  executor  = new FixtureExecutor(fixtures);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setExecutor(new ZxExecutor());
+  fs.removeSync(tempDir);
+  jest.restoreAllMocks();
+});
+
+/**
+ * Starts a fresh `TaskRunner`, since it's a singleton and `Listr` tasks only run once.
+ */
+function newTaskRunner(settings={}) {
+  TaskRunner.trInstance = null;
+  const taskRunner = new TaskRunner({concurrent: false, exitOnError: true, collectErrors: 'minimal', renderer: 'silent'});
+  taskRunner.setExecutor(executor);
+  return Object.assign(taskRunner, settings);
+}
+
+// user-008: failed runs leave a checkpoint that --resume and --from pick up.
+describe('checkpoints', () => {
+  let checkpointFile;
+
+  beforeEach(() => {
+    checkpointFile = path.join(tempDir, 'checkpoints', 'build-dev.json');
+  });
+
+  /**
+   * Builds a three task pipeline. The second task runs `secondCommand` and the first one saves a
+   * value to the context.
+   */
+  function buildPipeline(secondCommand, settings={}) {
+    const taskRunner = newTaskRunner({checkpointFile, ...settings});
+    taskRunner.addTask({title: 'Remember the org', task: ctx => { ctx.orgUsername = 'dev@example.com'; }});
+    taskRunner.addTask(new SfdxTask(`Deploy`, secondCommand));
+    taskRunner.addTask(new SfdxTask(`Assign perm set`, `sf succeed assign`));
+    return taskRunner;
+  }
+
+  test('a failed run saves the status of every task and the context', async () => {
+    await expect(buildPipeline(`sf fail deploy`).runTasks()).rejects.toThrow();
+    const checkpoint = fs.readJsonSync(checkpointFile);
+    expect(checkpoint.tasks).toEqual([
+      {title: 'Remember the org', status: 'succeeded'},
+      {title: 'Deploy',           status: 'failed'},
+      {title: 'Assign perm set',  status: 'pending'}
+    ]);
+    expect(checkpoint.ctx).toEqual({orgUsername: 'dev@example.com'});
+  });
+
+  test('--resume skips finished tasks, restores the context, and removes the checkpoint', async () => {
+    await expect(buildPipeline(`sf fail deploy`).runTasks()).rejects.toThrow();
+    executor.calls.length = 0;
+
+    const taskRunner  = newTaskRunner({checkpointFile, resumeFromCheckpoint: true});
+    const firstTask   = jest.fn();
+    taskRunner.addTask({title: 'Remember the org', task: firstTask});
+    taskRunner.addTask(new SfdxTask(`Deploy`, `sf succeed deploy`));
+    taskRunner.addTask({title: 'Assign perm set', task: ctx => { expect(ctx.orgUsername).toBe('dev@example.com'); }});
+    await taskRunner.runTasks();
+
+    expect(firstTask).not.toHaveBeenCalled();
+    expect(taskRunner.tasks.tasks[0].isSkipped()).toBe(true);
+    expect(taskRunner.tasks.tasks[2].isCompleted()).toBe(true);
+    expect(executor.calls).toEqual([`sf succeed deploy --json`]);
+    expect(fs.existsSync(checkpointFile)).toBe(false);
+  });
+
+  test('--from skips every task before the named one', async () => {
+    const taskRunner = buildPipeline(`sf succeed deploy`, {startFromTitle: 'Assign perm set'});
+    await taskRunner.runTasks();
+    expect(taskRunner.tasks.tasks.map(listrTask => listrTask.isSkipped())).toEqual([true, true, false]);
+    expect(executor.calls).toEqual([`sf succeed assign --json`]);
+  });
+
+  // user-011: a group that kept going after a failure has to run again on --resume.
+  test('a group with a failed task is saved as failed even when exitOnError is false', async () => {
+    const taskRunner = newTaskRunner({checkpointFile});
+    taskRunner.addTask(new TaskGroup(`Post-deploy setup`, [
+      new SfdxTask(`Assign perm set`, `sf fail assign`),
+      new SfdxTask(`Create user`,     `sf succeed create`)
+    ], {exitOnError: false}));
+    await expect(taskRunner.runTasks()).rejects.toThrow(/failed without stopping the pipeline/);
+    expect(fs.readJsonSync(checkpointFile).tasks).toEqual([{title: 'Post-deploy setup', status: 'failed'}]);
+  });
+
+  test.each([
+    ['--resume without a checkpoint', {resumeFromCheckpoint: true},                           /There is no failed run to resume/],
+    ['--from with an unknown title',  {startFromTitle: 'Deploy everything'},                  /No task is titled "Deploy everything"[\s\S]*- Assign perm set/],
+    ['--resume together with --from', {resumeFromCheckpoint: true, startFromTitle: 'Deploy'}, /Choose either --resume or --from, not both/]
+  ])('%s is rejected before any task runs', async (description, settings, expectedMessage) => {
+    await expect(buildPipeline(`sf succeed deploy`, settings).runTasks()).rejects.toThrow(expectedMessage);
+    expect(executor.calls).toHaveLength(0);
+  });
+});
+
+// user-016: every run can be saved as a JSON report and as JUnit XML.
+describe('run reports', () => {
+  let reportFile;
+  let junitReportFile;
+
+  beforeEach(() => {
+    reportFile      = path.join(tempDir, 'reports', 'build-dev.json');
+    junitReportFile = path.join(tempDir, 'reports', 'build-dev.xml');
+  });
+
+  /**
+   * Builds a pipeline with one task that ends with each status. The last task runs `lastCommand`.
+   */
+  function buildPipeline(lastCommand) {
+    const taskRunner = newTaskRunner({pipelineName: 'build-dev', reportFile, junitReportFile});
+    taskRunner.addTask(new SfdxTask(`Create org`,       `sf succeed create --target-org dev@example.com`));
+    taskRunner.addTask(new SfdxTask(`Delete old org`,   `sf fail delete`, {suppressErrors: true}));
+    taskRunner.addTask(new SfdxTask(`Open org`,         `sf succeed open`, {skip: 'Not needed in CI'}));
+    taskRunner.addTask(new SfdxTask(`Deploy <source>`,  lastCommand));
+    return taskRunner;
+  }
+
+  test('records the status, command, exit code, and error of every task', async () => {
+    const taskRunner = buildPipeline(`sf fail deploy`);
+    await expect(taskRunner.runTasks()).rejects.toThrow();
+
+    const report = fs.readJsonSync(reportFile);
+    expect(report).toMatchObject({
+      pipelineName: 'build-dev',
+      status:       'failed',
+      summary:      {total: 4, success: 1, failed: 1, 'suppressed-failure': 1, skipped: 1}
+    });
+    expect(report.tasks.map(({title, commandString, exitCode, status, skipReason, error}) => ({title, commandString, exitCode, status, skipReason, error: error?.name ?? null}))).toEqual([
+      {title: 'Create org',       commandString: 'sf succeed create --target-org dev@example.com --json', exitCode: 0,    status: 'success',            skipReason: null,               error: null},
+      {title: 'Delete old org',   commandString: 'sf fail delete --json',                                 exitCode: 1,    status: 'suppressed-failure', skipReason: null,               error: 'NoDefaultDevHubError'},
+      {title: 'Open org',         commandString: null,                                                    exitCode: null, status: 'skipped',            skipReason: 'Not needed in CI', error: null},
+      {title: 'Deploy <source>',  commandString: 'sf fail deploy --json',                                 exitCode: 1,    status: 'failed',             skipReason: null,               error: 'NoDefaultDevHubError'}
+    ]);
+    for (const entry of report.tasks) {
+      expect(Date.parse(entry.finishedAt)).toBeGreaterThanOrEqual(Date.parse(entry.startedAt));
+      expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+    }
+    expect(taskRunner.warnings).toEqual([expect.objectContaining({title: 'Delete old org', exitCode: 1})]);
+  });
+
+  test('writes each task as an escaped JUnit test case', async () => {
+    await expect(buildPipeline(`sf fail deploy`).runTasks()).rejects.toThrow();
+
+    const xml = fs.readFileSync(junitReportFile, 'utf8');
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toMatch(/<testsuite name="build-dev" timestamp="[^"]+" tests="4" failures="1" errors="0" skipped="1"/);
+    expect(xml).toContain(`<testcase name="Deploy &lt;source&gt;" classname="build-dev"`);
+    expect(xml).toContain(`<failure message="No default dev hub found." type="NoDefaultDevHubError">`);
+    expect(xml).toContain(`<skipped message="Not needed in CI"/>`);
+    expect(xml).toContain(`Failed, but errors are suppressed for this task. NoDefaultDevHubError: No default dev hub found.`);
+    expect(xml.match(/<failure /g)).toHaveLength(1);
+  });
+
+  test('a successful run is reported as succeeded', async () => {
+    await buildPipeline(`sf succeed deploy`).runTasks();
+    expect(fs.readJsonSync(reportFile)).toMatchObject({status: 'succeeded', summary: {success: 2, failed: 0}});
+    expect(fs.readFileSync(junitReportFile, 'utf8')).not.toContain(`<failure `);
+  });
+});
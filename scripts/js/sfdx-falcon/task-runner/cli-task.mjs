@@ -0,0 +1,348 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/cli-task.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Wraps a `Listr` task with helpful tools to work with any shell command.
+ * @description   Makes it easier to work with `Listr` tasks when automating commands that aren't
+ *                part of the Salesforce CLI, eg. `git`, `npm`, `prettier`, or custom scripts.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { chalk }                          from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError,
+         ShellError }                     from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnNullInvalidObject,
+         throwOnEmptyNullInvalidString,
+         throwOnEmptyNullInvalidObject,
+         throwOnInvalidFunction}          from "../validators/type-validator.mjs";
+import { redactSecrets }                  from "../utilities/general.mjs";
+import { trackProcess,
+         getCancellationSignal }          from "./process-tracker.mjs";
+import { validateTaskConditions,
+         buildSkipFunction }              from "./task-conditions.mjs";
+import { resolveCommandString }           from "./task-context.mjs";
+import { runReportedTask,
+         reportSuppressedFailure,
+         isStrictMode }                   from "./run-report.mjs";
+import { recordTaskOutput }               from "./run-log.mjs";
+import { executeCommand }                 from "./command-executor.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:CliTask';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       CliTask
+ * @description Defines a CLI task that can run any shell command. Use `SfdxTask` instead for
+ *              `sf` and `sfdx` commands.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class CliTask {
+  /**
+   * @type      {String}
+   * @summary   Title of the CliTask. Appears in the `Listr` task list while tasks are running.
+   */
+  title = null;
+  /**
+   * @type        {String}
+   * @summary     The shell command that will be executed when this task is run.
+   * @description May contain `{{name}}` placeholders. They're replaced by values from the `Listr`
+   *              context object, eg. ones captured by earlier tasks, right before the command runs.
+   */
+  commandString = null;
+  /**
+   * @type      {Object}
+   * @summary   Options object for this `CliTask`. Not directly transferrable to `Listr` options.
+   */
+  options = null;
+  /**
+   * @type        {function}
+   * @summary     Async handler function that's executed upon successful command execution.
+   * @description The specified handler function should take three arguments.
+   *              1. `processPromise` for the result returned by `ZX` when the command was run.
+   *              2. `ctx` for the `Listr` context object.
+   *              3. `task` for the `Listr` task that contained the command.
+   * @example
+   * ```
+   * this.onSuccess = async (processPromise, ctx, task) => {
+   *   // Implementation
+   * }
+   * ```
+   */
+  onSuccess = null;
+  /**
+   * @type        {function}
+   * @summary     Async handler function that's executed upon unsuccessful command execution.
+   * @description The specified handler function should take three arguments.
+   *              1. `processError` for the result returned by `ZX` when the command failed.
+   *              2. `ctx` for the `Listr` context object.
+   *              3. `task` for the `Listr` task that contained the command.
+   * @example
+   * ```
+   * this.onError = async (processError, ctx, task) => {
+   *   // Implementation
+   * }
+   * ```
+   */
+  onError = null;
+  /**
+   * @type        {boolean}
+   * @summary     Prevents a caught shell error from being re-thrown to the `Listr` task engine.
+   * @description Stops any errors caught from the command execution from being re-thrown to the
+   *              `Listr` task engine. Does not stop execution of the `onError` handler function
+   *              (if defined).
+   */
+  suppressErrors = null;
+  /**
+   * @type        {boolean}
+   * @summary     Renders `stderr` and `stdout` before throwing to the `Listr` task engine.
+   * @description If `suppressErrors` is `false`, renders the output from `stderr` and `stdout`
+   *              immediately following execution of the `onError` handler function (if defined),
+   *              and right before throwing to the `Listr` task engine.
+   */
+  renderStdioOnError = null;
+  /**
+   * @type        {boolean}
+   * @summary     Indicates the `Listr` task engine should run this task concurrently with other
+   *              tasks marked as concurrent.
+   */
+  concurrent = null;
+  /**
+   * @type        {Object}
+   * @summary     Secret values that appear in `commandString`, keyed by the name of an
+   *              environment variable that can provide them.
+   * @description Secrets are replaced by references to their environment variables whenever the
+   *              command is shown, saved, or reported in a `ShellError`. They're never replaced
+   *              in the command that's actually executed.
+   */
+  secrets = null;
+  /**
+   * @type        {function|boolean}
+   * @summary     Runs the task only if this is `true`, or if this function returns a truthy value.
+   * @description The function receives the `Listr` context object and may be async. When the
+   *              task doesn't run it's shown as skipped with the reason "Condition not met".
+   */
+  when = null;
+  /**
+   * @type        {function|boolean|String}
+   * @summary     Skips the task if this is `true` or a non-empty string, or if this function
+   *              returns one. A string is the reason shown in the task list.
+   */
+  skip = null;
+  /**
+   * @summary     A `Listr` task constructed using the values passed to the `constructor`.
+   */
+  lisrTask = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {String} title      Required. The text that will appear in
+   *                                  the task list while the tasks are running.
+   * @param       {String} commandString  Required. The shell command that will
+   *                                      be executed via ZX.
+   * @param       {Object} [options]  Optional. Object containing options for
+   *                                  this task. Not directly transferrable to
+   *                                  `Listr` task options.
+   * @returns     {CliTask}
+   * @description Instantiates a `CliTask` object which wraps a `Listr` task
+   *              object and throws a `ShellError` when its command fails.
+   * @public
+   * @example
+   * ```
+   * const cliTask = new CliTask(
+   *   `Format source files`,
+   *   `npx prettier --write "sfdx-source/**\/*.{cls,js}"`,
+   *   {suppressErrors: true}
+   * );
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(title, commandString, options={}) {
+    // Set local debug namespace.
+    const localDbgNs = `${dbgNs}:constructor`;
+
+    // Debug arguments.
+    SfdxFalconDebug.msg(`${localDbgNs}`, `Arguments Upon Entering the Constructor`);
+    SfdxFalconDebug.str(`${localDbgNs}:title`, title);
+    SfdxFalconDebug.str(`${localDbgNs}:commandString`, commandString);
+    SfdxFalconDebug.obj(`${localDbgNs}:options`, options);
+
+    // Validate arguments.
+    throwOnEmptyNullInvalidString(title,          `${localDbgNs}`, 'title');
+    throwOnEmptyNullInvalidString(commandString,  `${localDbgNs}`, 'commandString');
+    throwOnNullInvalidObject     (options,        `${localDbgNs}`, 'options', true);
+    if (options.onSuccess) throwOnInvalidFunction(options.onSuccess,  `${localDbgNs}`, 'options.onSuccess');
+    if (options.onError)   throwOnInvalidFunction(options.onError,    `${localDbgNs}`, 'options.onError');
+    if (options.secrets)   throwOnNullInvalidObject(options.secrets,  `${localDbgNs}`, 'options.secrets', true);
+    validateTaskConditions(options, `${localDbgNs}`);
+
+    // Initialze member variables.
+    this.title                = title;
+    this.commandString        = commandString.trim();
+    this.options              = {...{
+                                  suppressErrors: false,
+                                  renderStdioOnError: false,
+                                  concurrent: false,
+                                  onSuccess: null,
+                                  onError: null,
+                                  secrets: {},
+                                  when: null,
+                                  skip: null
+                                },
+                                ...options};
+    this.onSuccess            = this.options.onSuccess;
+    this.onError              = this.options.onError;
+    this.suppressErrors       = this.options.suppressErrors ? true : false;       // Ensure "truthy" values become TRUE.
+    this.renderStdioOnError   = this.options.renderStdioOnError ? true : false;   // Ensure "truthy" values become TRUE.
+    this.concurrent           = this.options.concurrent ? true : false;           // Ensure "truthy" values become TRUE.
+    this.secrets              = this.options.secrets ?? {};
+    this.when                 = this.options.when ?? null;
+    this.skip                 = this.options.skip ?? null;
+    this.lisrTask             = buildListrTask(this);
+
+    // Debug member variables.
+    SfdxFalconDebug.msg(`${localDbgNs}`, `Instance Members After Initialization`);
+    SfdxFalconDebug.str(`${localDbgNs}:this.title`,           this.title);
+    SfdxFalconDebug.str(`${localDbgNs}:this.commandString`,   this.getRedactedCommandString());
+    SfdxFalconDebug.obj(`${localDbgNs}:this.options`,         this.options);
+    SfdxFalconDebug.obj(`${localDbgNs}:this.suppressErrors`,  this.suppressErrors);
+    SfdxFalconDebug.obj(`${localDbgNs}:this.lisrTask`,        this.lisrTask);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getRedactedCommandString
+   * @returns     {String}  The command string with every secret replaced by a
+   *              reference to its environment variable.
+   * @description Use this whenever the command is shown to users or saved to
+   *              a file.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getRedactedCommandString() {
+    return redactSecrets(this.commandString, this.secrets);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildListrTask
+ * @param       {CliTask} cliTask   Required. The CliTask used to build a `Listr` task.
+ * @returns     {ListrTask}         A fully-formed `Listr` task object.
+ * @summary     Takes a `CliTask` and builds a `Listr` task from it.
+ * @description Creates a single `Listr` task using the information from a `CliTask` object. If
+ *              the command fails and errors aren't suppressed, throws a `ShellError` with the
+ *              exit code, signal, `stdout`, and `stderr` of the command.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildListrTask(cliTask) {
+  // Set local debug namespace.
+  const localDbgNs = `${dbgNs}:buildListrTask`;
+
+  // Validate and debug arguments.
+  throwOnEmptyNullInvalidObject(cliTask, `${localDbgNs}:cliTask`, cliTask, true);
+  SfdxFalconDebug.obj(`${localDbgNs}:cliTask`, cliTask);
+
+  // Define the Listr task.
+  const newListrTask = {
+    title:        cliTask.title,
+    concurrent:   cliTask.concurrent,
+    skip:         buildSkipFunction(cliTask, `cli`),
+    task: async (ctx, task, reportEntry) => {
+      const commandString         = resolveCommandString(cliTask.commandString, ctx, `ASYNC:${localDbgNs}`);
+      const redactedCommandString = redactSecrets(commandString, cliTask.secrets);
+      reportEntry.commandString   = redactedCommandString;
+      SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, redactedCommandString, `About to Execute Shell Command String:\n`);
+
+      // Execute the shell command with the active executor, which is ZX unless one was injected.
+      const runningProcess  = executeCommand(commandString, {secrets: cliTask.secrets});
+      const untrackProcess  = trackProcess(runningProcess);
+      let   handlingResults = false;
+      try {
+        const processPromise = await runningProcess;
+        reportEntry.exitCode = processPromise.exitCode;
+        recordTaskOutput(reportEntry, processPromise, cliTask.secrets);
+
+        // Debug.
+        SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Shell Command Execution Success`);
+        SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, redactSecrets(`${processPromise.stdout ?? ''}`, cliTask.secrets), `STDOUT:`);
+        SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, redactSecrets(`${processPromise.stderr ?? ''}`, cliTask.secrets), `STDERR:`);
+
+        // Call success handler, if present.
+        if (typeof cliTask.onSuccess === 'function') {
+          handlingResults = true;
+          await cliTask.onSuccess(processPromise, ctx, task);
+          handlingResults = false;
+        }
+      } catch (processError) {
+        // A broken success handler is a bug, not a suppressible shell error.
+        if (handlingResults) {
+          throw processError;
+        }
+        SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Shell Command Execution Failure`);
+        SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, {exitCode: processError.exitCode, signal: processError.signal}, `processError:`);
+        reportEntry.exitCode = processError.exitCode ?? null;
+        recordTaskOutput(reportEntry, processError, cliTask.secrets);
+        // A cancelled command always stops the pipeline, even if errors are suppressed.
+        if (getCancellationSignal() !== null) {
+          throw new SfdxFalconError(`Cancelled by ${getCancellationSignal()}.`,
+                                    `Task Cancelled`,
+                                    `${localDbgNs}`,
+                                    processError);
+        }
+        // Call error handler, if present.
+        if (typeof cliTask.onError === 'function') {
+          await cliTask.onError(processError, ctx, task);
+        }
+        // Anything that leaves this task, even as debug output, must have its secrets redacted.
+        const redactedStderr  = redactSecrets(`${processError.stderr ?? ''}`, cliTask.secrets);
+        const redactedStdout  = redactSecrets(`${processError.stdout ?? ''}`, cliTask.secrets);
+        const shellError      = new ShellError(redactedCommandString,
+                                               processError.exitCode ?? null,
+                                               processError.signal ?? null,
+                                               redactedStderr,
+                                               redactedStdout,
+                                               `${localDbgNs}`,
+                                               typeof processError.exitCode === 'undefined' ? redactSecrets(`${processError.message ?? ''}`, cliTask.secrets) : '');
+        // Throw error if errors are not suppressed for this task, or if strict mode ignores suppression.
+        if (cliTask.suppressErrors === false || isStrictMode()) {
+          // Optionally render STDERR and STDOUT.
+          if (cliTask.renderStdioOnError === true) {
+            SfdxFalconDebug.debugMessage(`CliTask:ERROR`,   chalk.red(`Shell command terminated with errors (Exit Code=${processError.exitCode}).`) +
+                                                            `\nThe command and the contents of STDERR and STDOUT are rendered below.`);
+            SfdxFalconDebug.debugString(`CliTask:COMMAND`,  redactedCommandString);
+            SfdxFalconDebug.debugString(`CliTask:STDERR`,   redactedStderr);
+            SfdxFalconDebug.debugString(`CliTask:STDOUT`,   redactedStdout);
+          }
+
+          // Debug.
+          SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Errors are not suppressed for this CliTask`);
+          SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, redactedStderr, `STDERR:`);
+          SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, redactedStdout, `STDOUT:`);
+
+          throw shellError;
+        }
+        reportSuppressedFailure(reportEntry, shellError);
+      } finally {
+        untrackProcess();
+      }
+    }
+  }
+
+  // Record the outcome of every run of the task in the run report.
+  const runTask     = newListrTask.task;
+  newListrTask.task = (ctx, task) => runReportedTask(cliTask.title, `cli`, cliTask.getRedactedCommandString(), reportEntry => runTask(ctx, task, reportEntry));
+  SfdxFalconDebug.obj(`${localDbgNs}:newListrTask`, newListrTask);
+  return newListrTask;
+}
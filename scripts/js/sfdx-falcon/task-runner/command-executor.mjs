@@ -0,0 +1,449 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/command-executor.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Runs the shell commands of `SfdxTask` and `CliTask` objects.
+ * @description   Every command run by a task goes through the active executor. `ZxExecutor` runs
+ *                commands for real and is used by default. `FixtureExecutor` answers commands with
+ *                canned output instead, so pipelines can be tested without the Salesforce CLI, a
+ *                Dev Hub, or a network connection. `RecordingExecutor` saves every command and its
+ *                output to a cassette file, which `ReplayExecutor` can answer commands from later.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { $, chalk, fs }                   from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { redactSecrets }                  from "../utilities/general.mjs";
+import { throwOnNullInvalidObject,
+         throwOnEmptyNullInvalidString }  from "../validators/type-validator.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:CommandExecutor';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Version of the cassette file format written by `RecordingExecutor`.
+ */
+const cassetteVersion = 1;
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       ZxExecutor
+ * @description Runs commands in a shell using `ZX`. This is the default executor. Every executor
+ *              has an `execute(commandString, options)` method that behaves like this one. The
+ *              `options` may contain the `secrets` used in the command, keyed by environment
+ *              variable name, so executors that save commands can redact them.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class ZxExecutor {
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      execute
+   * @param       {String}  commandString Required. The command to run.
+   * @returns     {ProcessPromise}  Resolves with the command's output when it
+   *              exits with code 0, otherwise rejects with it. Has a `kill()`
+   *              method that stops the command.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  execute(commandString, options={}) {
+    return $`${commandString}`;
+  }
+}
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       FixtureExecutor
+ * @description Answers commands with fixtures instead of running them. Each fixture has a `match`
+ *              that's either a string the command must contain or a `RegExp` it must match. The
+ *              first fixture that matches provides the `stdout`, `stderr`, and `exitCode` of the
+ *              command. Commands that no fixture matches fail with exit code 127, as if the command
+ *              wasn't found. Every command is recorded in `calls`.
+ * @public
+ * @example
+ * ```
+ * const executor = new FixtureExecutor([
+ *   {match: 'org create scratch', stdout: {status: 0, result: {username: 'dev@example.com'}}},
+ *   {match: /project deploy/,     stdout: {status: 1, name: 'DeployFailed'}, exitCode: 1}
+ * ]);
+ * TaskRunner.getInstance().setExecutor(executor);
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class FixtureExecutor {
+  /**
+   * @type        {Array<Object>}
+   * @summary     Fixtures checked, in order, against every command.
+   * @description Each fixture has these keys.
+   *              - `match`     String the command must contain, or a `RegExp` it must match.
+   *              - `stdout`    Optional. Output of the command. Objects are written as JSON.
+   *              - `stderr`    Optional. Error output of the command. Objects are written as JSON.
+   *              - `exitCode`  Optional. Defaults to `0`. Any other value fails the command.
+   *              - `delay`     Optional. Milliseconds before the command finishes. Defaults to `0`.
+   */
+  fixtures = null;
+  /**
+   * @type        {Array<String>}
+   * @summary     Every command passed to `execute()`, in order.
+   */
+  calls = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {Array<Object>} [fixtures]  Optional. Fixtures to answer
+   *                              commands with. More can be added later with
+   *                              `addFixture()`.
+   * @returns     {FixtureExecutor}
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(fixtures=[]) {
+    this.fixtures = [];
+    this.calls    = [];
+    for (const fixture of fixtures) {
+      this.addFixture(fixture);
+    }
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      addFixture
+   * @param       {Object}  fixture Required. A fixture, as described by
+   *                        `fixtures`.
+   * @returns     {FixtureExecutor} Returns `this` to allow for chaining.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  addFixture(fixture) {
+    const localDbgNs = `${dbgNs}:FixtureExecutor:addFixture`;
+    throwOnNullInvalidObject(fixture, `${localDbgNs}`, 'fixture');
+    if ((fixture.match instanceof RegExp) !== true) {
+      throwOnEmptyNullInvalidString(fixture.match, `${localDbgNs}`, 'fixture.match');
+    }
+    if (typeof fixture.exitCode !== 'undefined' && Number.isInteger(fixture.exitCode) !== true) {
+      throw new SfdxFalconError(`The exitCode of the fixture for '${fixture.match}' must be an integer.`,
+                                `Invalid Fixture`,
+                                `${localDbgNs}`);
+    }
+    this.fixtures.push(fixture);
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      execute
+   * @param       {String}  commandString Required. The command to answer.
+   * @returns     {Promise<Object>} Resolves with the output of the matching
+   *              fixture when its exit code is 0, otherwise rejects with it.
+   *              Like `ZX`, the output has `stdout`, `stderr`, `exitCode`, and
+   *              `signal` keys, and the promise has a `kill()` method.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  execute(commandString) {
+    const localDbgNs = `${dbgNs}:FixtureExecutor:execute`;
+    this.calls.push(commandString);
+    const fixture = this.fixtures.find(fixture => fixture.match instanceof RegExp
+                                                ? fixture.match.test(commandString)
+                                                : commandString.includes(fixture.match))
+                 ?? {stderr: `No fixture matches the command: ${commandString}`, exitCode: 127};
+    SfdxFalconDebug.obj(`${localDbgNs}:fixture`, fixture, `Answering "${commandString}" with: `);
+    return answerCommand(fixture);
+  }
+}
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       RecordingExecutor
+ * @description Runs commands with another executor, and saves every command with its stdout,
+ *              stderr, exit code, and duration to a cassette file. The file is saved after every
+ *              command, so it's complete even if the pipeline fails or is cancelled. Secrets are
+ *              redacted from everything that's saved.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class RecordingExecutor {
+  /**
+   * @type        {Object}
+   * @summary     The executor that actually runs the commands.
+   */
+  executor = null;
+  /**
+   * @type        {String}
+   * @summary     Path to the cassette file.
+   */
+  cassetteFile = null;
+  /**
+   * @type        {Object}
+   * @summary     Contents of the cassette file. Has a `version`, the `pipelineName`, when it was
+   *              `recordedAt`, and an `interactions` array with one entry per command.
+   */
+  cassette = null;
+  /**
+   * @type        {Boolean}
+   * @summary     Whether saving the cassette has failed, so the problem is only reported once.
+   */
+  saveFailed = false;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {Object}  executor      Required. Executor that runs the
+   *                                      commands, eg. a `ZxExecutor`.
+   * @param       {String}  cassetteFile  Required. Where to save the cassette.
+   * @param       {String}  pipelineName  Required. Name of the pipeline being
+   *                                      recorded, eg. `build-dev`.
+   * @returns     {RecordingExecutor}
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(executor, cassetteFile, pipelineName) {
+    const localDbgNs = `${dbgNs}:RecordingExecutor:constructor`;
+    throwOnEmptyNullInvalidString(cassetteFile, `${localDbgNs}`, 'cassetteFile');
+    this.executor     = executor;
+    this.cassetteFile = cassetteFile;
+    this.cassette     = {
+      version:      cassetteVersion,
+      pipelineName: pipelineName,
+      recordedAt:   new Date().toISOString(),
+      interactions: []
+    };
+    this.saveFailed   = false;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      execute
+   * @param       {String}  commandString Required. The command to run.
+   * @param       {Object}  [options]     Optional. May contain `secrets`.
+   * @returns     {ProcessPromise}  The result of running the command with the
+   *              wrapped executor.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  execute(commandString, options={}) {
+    const startedAt       = Date.now();
+    const processPromise  = this.executor.execute(commandString, options);
+    const record = processOutput => {
+      this.cassette.interactions.push({
+        command:    redactSecrets(commandString, options.secrets),
+        stdout:     redactSecrets(`${processOutput?.stdout ?? ''}`, options.secrets),
+        stderr:     redactSecrets(`${processOutput?.stderr ?? ''}`, options.secrets),
+        exitCode:   processOutput?.exitCode ?? null,
+        signal:     processOutput?.signal ?? null,
+        durationMs: Date.now() - startedAt
+      });
+      this.save();
+    };
+    processPromise.then(record, record);
+    return processPromise;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      save
+   * @returns     {void}
+   * @description Writes the cassette file. Never throws, since a problem
+   *              saving the recording shouldn't fail the pipeline, but says so
+   *              the first time it happens.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  save() {
+    try {
+      fs.outputJsonSync(this.cassetteFile, this.cassette, {spaces: 2});
+    } catch (saveError) {
+      SfdxFalconDebug.obj(`${dbgNs}:RecordingExecutor:save`, saveError, `Failed to save the cassette: `);
+      if (this.saveFailed !== true) {
+        console.error(chalk.red(`Could not save the recording to ${this.cassetteFile}. ${saveError.message}`));
+      }
+      this.saveFailed = true;
+    }
+  }
+}
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       ReplayExecutor
+ * @description Answers commands with the responses saved in a cassette by `RecordingExecutor`,
+ *              instead of running them. Each command is answered by the first recorded
+ *              interaction with the same (redacted) command that hasn't been used yet, so a
+ *              command that ran more than once, eg. because it was retried, gets each of its
+ *              recorded responses in turn. Commands that weren't recorded fail with exit code 127.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class ReplayExecutor {
+  /**
+   * @type        {Array<Object>}
+   * @summary     Recorded interactions that haven't been replayed yet.
+   */
+  unusedInteractions = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {Object}  cassette  Required. Contents of a cassette file.
+   * @returns     {ReplayExecutor}
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(cassette) {
+    if (Array.isArray(cassette?.interactions) !== true || cassette.interactions.some(interaction => typeof interaction?.command !== 'string')) {
+      throw new SfdxFalconError(`The cassette must have an 'interactions' array, and every interaction must have a 'command'.`,
+                                `Invalid Cassette`,
+                                `${dbgNs}:ReplayExecutor:constructor`);
+    }
+    if (cassette.version !== cassetteVersion) {
+      throw new SfdxFalconError(`Cassette version ${cassette.version} isn't supported. Expected version ${cassetteVersion}.`,
+                                `Invalid Cassette`,
+                                `${dbgNs}:ReplayExecutor:constructor`);
+    }
+    this.unusedInteractions = [...cassette.interactions];
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      ReplayExecutor.fromFile
+   * @param       {String}  cassetteFile  Required. Path to a cassette file.
+   * @returns     {ReplayExecutor}
+   * @description Throws if the file can't be read or isn't a cassette.
+   * @public @static
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  static fromFile(cassetteFile) {
+    let cassette;
+    try {
+      cassette = fs.readJsonSync(cassetteFile);
+    } catch (readError) {
+      throw new SfdxFalconError(`The cassette file "${cassetteFile}" could not be read. ${readError.message}`,
+                                `Invalid Cassette`,
+                                `${dbgNs}:ReplayExecutor:fromFile`,
+                                readError);
+    }
+    return new ReplayExecutor(cassette);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      execute
+   * @param       {String}  commandString Required. The command to answer.
+   * @param       {Object}  [options]     Optional. May contain `secrets`,
+   *                                      which are redacted from the command
+   *                                      before looking for its recording.
+   * @returns     {Promise<Object>} Resolves or rejects the same way the
+   *              recorded command did.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  execute(commandString, options={}) {
+    const localDbgNs  = `${dbgNs}:ReplayExecutor:execute`;
+    const command     = redactSecrets(commandString, options.secrets);
+    const index       = this.unusedInteractions.findIndex(interaction => interaction.command === command);
+    if (index < 0) {
+      SfdxFalconDebug.str(`${localDbgNs}:command`, command, `No recorded response for: `);
+      return answerCommand({stderr: `No recorded response for the command: ${command}`, exitCode: 127});
+    }
+    const [interaction] = this.unusedInteractions.splice(index, 1);
+    SfdxFalconDebug.obj(`${localDbgNs}:interaction`, interaction, `Replaying "${command}" with: `);
+    return answerCommand(interaction);
+  }
+}
+/**
+ * The executor that runs every task's command.
+ */
+let activeExecutor = new ZxExecutor();
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    setExecutor
+ * @param       {Object}  executor  Required. Any object with an `execute(commandString, options)`
+ *                                  method that behaves like `ZxExecutor.execute()`.
+ * @returns     {void}
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function setExecutor(executor) {
+  if (typeof executor?.execute !== 'function') {
+    throw new SfdxFalconError(`A command executor must have an execute(commandString) method.`,
+                              `Invalid Executor`,
+                              `${dbgNs}:setExecutor`);
+  }
+  activeExecutor = executor;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getExecutor
+ * @returns     {Object}  The executor that runs every task's command.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getExecutor() {
+  return activeExecutor;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    executeCommand
+ * @param       {String}  commandString Required. The command to run.
+ * @param       {Object}  [options]     Optional. May contain the `secrets` used in the command.
+ * @returns     {ProcessPromise}  The result of running the command with the active executor.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function executeCommand(commandString, options={}) {
+  return activeExecutor.execute(commandString, options);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    answerCommand
+ * @param       {Object}  response  Required. The `stdout`, `stderr`, `exitCode`, `signal`, and
+ *                                  `delay` to answer a command with.
+ * @returns     {Promise<Object>} Resolves with the output after `delay` milliseconds if the exit
+ *                                code is 0, otherwise rejects with it. Has a `kill()` method.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function answerCommand(response) {
+  let   finish;
+  const answer = new Promise((resolve, reject) => {
+    finish = (exitCode, signal) => {
+      const processOutput = createProcessOutput(response, exitCode, signal);
+      return exitCode === 0 ? resolve(processOutput) : reject(processOutput);
+    };
+  });
+  const timeoutId = setTimeout(() => finish(response.exitCode === undefined ? 0 : response.exitCode, response.signal ?? null), response.delay ?? 0);
+  answer.kill = async (signal='SIGTERM') => {
+    clearTimeout(timeoutId);
+    finish(null, signal);
+  };
+  return answer;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    createProcessOutput
+ * @param       {Object}  fixture   Required. The fixture or recording that answered a command.
+ * @param       {Number}  exitCode  Required. Exit code of the command, or `null` if it was killed.
+ * @param       {String}  signal    Required. Signal that killed the command, or `null`.
+ * @returns     {Object}  Output shaped like the one `ZX` returns. Failed output is an `Error`, so
+ *                        it can be thrown.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function createProcessOutput(fixture, exitCode, signal) {
+  const toText  = output => output !== null && typeof output === 'object' ? JSON.stringify(output) : `${output ?? ''}`;
+  const stdout  = toText(fixture.stdout);
+  const stderr  = toText(fixture.stderr);
+  const processOutput = exitCode === 0
+                      ? {}
+                      : new Error(signal ? `Killed by ${signal}.` : `Command failed with exit code ${exitCode}.\n${stderr}`);
+  return Object.assign(processOutput, {
+    stdout,
+    stderr,
+    exitCode,
+    signal,
+    toString: () => stdout
+  });
+}
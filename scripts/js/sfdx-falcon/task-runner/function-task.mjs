@@ -0,0 +1,225 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/function-task.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Wraps a `Listr` task around an async JavaScript function.
+ * @description   Lets a pipeline include steps that are just JavaScript, eg. rewriting a config
+ *                file or checking a precondition, without shelling out.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnNullInvalidObject,
+         throwOnEmptyNullInvalidString,
+         throwOnInvalidFunction}          from "../validators/type-validator.mjs";
+import { validateTaskConditions,
+         buildSkipFunction }              from "./task-conditions.mjs";
+import { runReportedTask,
+         reportSuppressedFailure,
+         isStrictMode }                   from "./run-report.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:FunctionTask';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       FunctionTask
+ * @description Defines a task that runs an async JavaScript function instead of a shell command.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class FunctionTask {
+  /**
+   * @type      {String}
+   * @summary   Title of the FunctionTask. Appears in the `Listr` task list while tasks are running.
+   */
+  title = null;
+  /**
+   * @type        {function}
+   * @summary     Async function that's executed when this task is run.
+   * @description The function receives the `Listr` context object and the `Listr` task that
+   *              contains it, the same as a raw `Listr` task function.
+   * @example
+   * ```
+   * this.taskFunction = async (ctx, task) => {
+   *   // Implementation
+   * }
+   * ```
+   */
+  taskFunction = null;
+  /**
+   * @type      {Object}
+   * @summary   Options object for this `FunctionTask`. Not directly transferrable to `Listr` options.
+   */
+  options = null;
+  /**
+   * @type        {function}
+   * @summary     Async handler function that's executed when `taskFunction` throws.
+   * @description The specified handler function should take three arguments.
+   *              1. `functionError` for the error thrown by `taskFunction`.
+   *              2. `ctx` for the `Listr` context object.
+   *              3. `task` for the `Listr` task that contained the function.
+   * @example
+   * ```
+   * this.onError = async (functionError, ctx, task) => {
+   *   // Implementation
+   * }
+   * ```
+   */
+  onError = null;
+  /**
+   * @type        {boolean}
+   * @summary     Prevents an error thrown by `taskFunction` from being re-thrown to the `Listr`
+   *              task engine.
+   * @description Does not stop execution of the `onError` handler function (if defined).
+   */
+  suppressErrors = null;
+  /**
+   * @type        {boolean}
+   * @summary     Indicates the `Listr` task engine should run this task concurrently with other
+   *              tasks marked as concurrent.
+   */
+  concurrent = null;
+  /**
+   * @type        {function|boolean}
+   * @summary     Runs the task only if this is `true`, or if this function returns a truthy value.
+   * @description The function receives the `Listr` context object and may be async. When the
+   *              task doesn't run it's shown as skipped with the reason "Condition not met".
+   */
+  when = null;
+  /**
+   * @type        {function|boolean|String}
+   * @summary     Skips the task if this is `true` or a non-empty string, or if this function
+   *              returns one. A string is the reason shown in the task list.
+   */
+  skip = null;
+  /**
+   * @summary     A `Listr` task constructed using the values passed to the `constructor`.
+   */
+  lisrTask = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {String} title      Required. The text that will appear in
+   *                                  the task list while the tasks are running.
+   * @param       {function} taskFunction Required. Async function that takes
+   *                                      the `Listr` context and task.
+   * @param       {Object} [options]  Optional. Object containing options for
+   *                                  this task. Not directly transferrable to
+   *                                  `Listr` task options.
+   * @returns     {FunctionTask}
+   * @description Instantiates a `FunctionTask` object which wraps a `Listr`
+   *              task object. Errors thrown by `taskFunction` are wrapped by
+   *              `SfdxFalconError.wrap()` so they render like every other
+   *              toolbelt error.
+   * @public
+   * @example
+   * ```
+   * const functionTask = new FunctionTask(
+   *   `Check for an installation keys file`,
+   *   async (ctx, task) => {
+   *     ctx.hasInstallationKeys = await fs.pathExists(`config/installation-keys.json`);
+   *   },
+   *   {suppressErrors: false}
+   * );
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(title, taskFunction, options={}) {
+    // Set local debug namespace.
+    const localDbgNs = `${dbgNs}:constructor`;
+
+    // Debug arguments.
+    SfdxFalconDebug.msg(`${localDbgNs}`, `Arguments Upon Entering the Constructor`);
+    SfdxFalconDebug.str(`${localDbgNs}:title`, title);
+    SfdxFalconDebug.obj(`${localDbgNs}:options`, options);
+
+    // Validate arguments.
+    throwOnEmptyNullInvalidString(title,          `${localDbgNs}`, 'title');
+    throwOnInvalidFunction       (taskFunction,   `${localDbgNs}`, 'taskFunction');
+    throwOnNullInvalidObject     (options,        `${localDbgNs}`, 'options', true);
+    if (options.onError) throwOnInvalidFunction(options.onError, `${localDbgNs}`, 'options.onError');
+    validateTaskConditions(options, `${localDbgNs}`);
+
+    // Initialze member variables.
+    this.title                = title;
+    this.taskFunction         = taskFunction;
+    this.options              = {...{
+                                  suppressErrors: false,
+                                  concurrent: false,
+                                  onError: null,
+                                  when: null,
+                                  skip: null
+                                },
+                                ...options};
+    this.onError              = this.options.onError;
+    this.suppressErrors       = this.options.suppressErrors ? true : false;       // Ensure "truthy" values become TRUE.
+    this.concurrent           = this.options.concurrent ? true : false;           // Ensure "truthy" values become TRUE.
+    this.when                 = this.options.when ?? null;
+    this.skip                 = this.options.skip ?? null;
+    this.lisrTask             = buildListrTask(this);
+
+    // Debug member variables.
+    SfdxFalconDebug.msg(`${localDbgNs}`, `Instance Members After Initialization`);
+    SfdxFalconDebug.str(`${localDbgNs}:this.title`,           this.title);
+    SfdxFalconDebug.obj(`${localDbgNs}:this.options`,         this.options);
+    SfdxFalconDebug.obj(`${localDbgNs}:this.suppressErrors`,  this.suppressErrors);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildListrTask
+ * @param       {FunctionTask} functionTask Required. The FunctionTask used to build a `Listr` task.
+ * @returns     {ListrTask}                 A fully-formed `Listr` task object.
+ * @summary     Takes a `FunctionTask` and builds a `Listr` task from it.
+ * @description Whatever `taskFunction` returns is passed back to `Listr`, so it can still return
+ *              subtasks created with `task.newListr()`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildListrTask(functionTask) {
+  // Set local debug namespace.
+  const localDbgNs = `${dbgNs}:buildListrTask`;
+
+  // Define the Listr task.
+  const newListrTask = {
+    title:        functionTask.title,
+    concurrent:   functionTask.concurrent,
+    skip:         buildSkipFunction(functionTask, `function`),
+    task: async (ctx, task, reportEntry) => {
+      SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, functionTask.title, `About to Execute Task Function:\n`);
+      try {
+        return await functionTask.taskFunction(ctx, task);
+      } catch (functionError) {
+        SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Task Function Execution Failure`);
+        SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, functionError, `functionError:`);
+        // Call error handler, if present.
+        if (typeof functionTask.onError === 'function') {
+          await functionTask.onError(functionError, ctx, task);
+        }
+        // Throw error if errors are not suppressed for this task, or if strict mode ignores suppression.
+        if (functionTask.suppressErrors === false || isStrictMode()) {
+          throw SfdxFalconError.wrap(functionError, `${localDbgNs}`);
+        }
+        reportSuppressedFailure(reportEntry, functionError);
+      }
+    }
+  }
+
+  // Record the outcome of every run of the task in the run report.
+  const runTask     = newListrTask.task;
+  newListrTask.task = (ctx, task) => runReportedTask(functionTask.title, `function`, null, reportEntry => runTask(ctx, task, reportEntry));
+  SfdxFalconDebug.obj(`${localDbgNs}:newListrTask`, newListrTask);
+  return newListrTask;
+}
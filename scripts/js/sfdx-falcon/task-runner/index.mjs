@@ -10,19 +10,56 @@
  * @license       BSD-3-Clause
  */
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
-import { $, chalk, path }                 from "zx";
-import { Listr }                          from "listr2";
+import { chalk, fs, path, sleep }         from "zx";
+import { Listr, ListrErrorTypes }         from "listr2";
 import { SfdxTask }                       from "./sfdx-task.mjs";
+import { FunctionTask }                   from "./function-task.mjs";
+import { TaskGroup,
+         isTaskRunnerTask }               from "./task-group.mjs";
+import { cancelActiveProcesses }          from "./process-tracker.mjs";
+import { getExecutor,
+         setExecutor }                    from "./command-executor.mjs";
+import { getStaticSkipReason,
+         hasRuntimeConditions }           from "./task-conditions.mjs";
+import { startRunReport,
+         runReportedTask,
+         reportSkippedTask,
+         setStrictMode }                  from "./run-report.mjs";
+import { startRunLog,
+         stopRunLog,
+         pruneRunLogs }                   from "./run-log.mjs";
 import { SfdxFalconError }                from "../error/index.mjs";
 import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { findPlaceholders,
+         isCiEnvironment,
+         quoteForBash }                   from "../utilities/general.mjs";
 import { throwOnEmptyNullInvalidObject,
-         throwOnEmptyNullInvalidString }  from "../validators/type-validator.mjs";
+         throwOnEmptyNullInvalidString,
+         throwOnNullInvalidObject,
+         throwOnInvalidFunction }         from "../validators/type-validator.mjs";
 
 // Set the File Local Debug Namespace
 const dbgNs = 'TaskRunner';
 SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Exit codes used when a pipeline is cancelled, following the shell convention of 128 + the
+ * signal number. They let scripts tell a cancelled run apart from one that failed.
+ */
+export const cancelledExitCodes = {
+  SIGINT:   130,
+  SIGTERM:  143
+};
+/**
+ * Milliseconds to wait for running tasks to stop after their commands are killed.
+ */
+const cancelGracePeriod = 5000;
+/**
+ * Ways task progress can be shown. `default` redraws a live task list, so it's only suitable for
+ * interactive terminals. `simple` and `verbose` print one line per update, which suits CI logs.
+ */
+export const taskRenderers = ['default', 'simple', 'verbose', 'silent'];
 
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
 /**
@@ -70,7 +107,120 @@ export class TaskRunner {
    * @summary     Indicates whether the `Listr` object is currently running tasks.
    */
   isRunning = null;
-
+  /**
+   * @type        {Array<Object>}
+   * @summary     One entry per task added to `TaskRunner`, in the order they were added.
+   * @description Each entry has a `title` and a `type` of `sfdx`, `cli`, `function`, `group`,
+   *              or `custom`. Entries for `SfdxTask` and `CliTask` objects also have the redacted
+   *              `commandString`, the task's `suppressErrors`, `renderStdioOnError`, and
+   *              `concurrent` options, and its `maxAttempts` and `timeout`. `FunctionTask`
+   *              objects and tasks added directly to `Listr` have a `null` `commandString`
+   *              because what they do isn't known until they run. `TaskGroup` entries have
+   *              their own entries in a nested `tasks` array.
+   */
+  plan = null;
+  /**
+   * @type        {Boolean}
+   * @summary     When `true`, `runTasks()` prints the plan instead of running any tasks.
+   */
+  dryRun = null;
+  /**
+   * @type        {String}
+   * @summary     Optional path where a dry run also writes the plan as a standalone bash script.
+   */
+  dryRunScriptFile = null;
+  /**
+   * @type        {String}
+   * @summary     Path to the checkpoint file for this pipeline, or `null` to disable checkpoints.
+   * @description After every run, the status of each task and the `Listr` context are saved to
+   *              this file so a failed run can be resumed. The file is removed once a run succeeds.
+   */
+  checkpointFile = null;
+  /**
+   * @type        {Boolean}
+   * @summary     When `true`, tasks that finished during the previous run are skipped.
+   */
+  resumeFromCheckpoint = null;
+  /**
+   * @type        {String}
+   * @summary     Title of the task to start from. Every task before it is skipped.
+   */
+  startFromTitle = null;
+  /**
+   * @type        {Map<Number, String>}
+   * @summary     Reasons why tasks will be skipped by this run, keyed by their index in `plan`.
+   */
+  skippedTasks = null;
+  /**
+   * @type        {Array<Object>}
+   * @summary     Handlers registered with `addCleanupHandler()`, run when the pipeline is cancelled.
+   */
+  cleanupHandlers = null;
+  /**
+   * @type        {Object}
+   * @summary     Details of the cancellation, or `null` if the pipeline hasn't been cancelled.
+   * @description Has the `signal` that cancelled the pipeline, when it was `receivedAt`, the
+   *              `cancelledTasks` that were running at the time, by title, and a promise that
+   *              settles when cleanup has `finished`.
+   */
+  cancellation = null;
+  /**
+   * @type        {Object}
+   * @summary     Runs the command of every `SfdxTask` and `CliTask`. Defaults to a `ZxExecutor`.
+   * @description Replace it with `setExecutor()`, eg. with a `FixtureExecutor` to run a pipeline
+   *              without the Salesforce CLI. See `command-executor.mjs`.
+   */
+  executor = null;
+  /**
+   * @type        {String}
+   * @summary     Name of the pipeline being run, eg. `build-dev`. Used in the run report.
+   */
+  pipelineName = null;
+  /**
+   * @type        {RunReport}
+   * @summary     Report of the most recent run, or `null` if no tasks have been run.
+   * @description Has an entry for every task that ran or was skipped. See `RunReport`.
+   */
+  runReport = null;
+  /**
+   * @type        {String}
+   * @summary     Optional path where the run report is saved as JSON after every run.
+   */
+  reportFile = null;
+  /**
+   * @type        {String}
+   * @summary     Optional path where the run report is saved as JUnit XML after every run.
+   */
+  junitReportFile = null;
+  /**
+   * @type        {String}
+   * @summary     Directory where the logs of every run are saved, or `null` to disable run logs.
+   * @description Each run gets its own timestamped subdirectory with one log file per task. See
+   *              `run-log.mjs`.
+   */
+  logDir = null;
+  /**
+   * @type        {Number}
+   * @summary     How many of the most recent runs to keep logs for. Older logs are removed.
+   */
+  logRetentionRuns = null;
+  /**
+   * @type        {String}
+   * @summary     Directory holding the logs of the most recent run, or `null` if none were saved.
+   */
+  runLogDir = null;
+  /**
+   * @type        {Boolean}
+   * @summary     When `true`, tasks fail the pipeline even if their errors are suppressed.
+   */
+  strict = null;
+  /**
+   * @type        {Array<Object>}
+   * @summary     Tasks that failed during the most recent run but had their errors suppressed.
+   * @description Each warning has the task's `title`, `commandString`, `exitCode`, and parsed
+   *              `error`. A summary of them is printed after the run. See `RunReport.listWarnings()`.
+   */
+  warnings = null;
 
   //───────────────────────────────────────────────────────────────────────────┐
   /**
@@ -97,13 +247,41 @@ export class TaskRunner {
     // Initialize a Listr Context object.
     this.ctx = {commandStrings:[]};
     // Set default options.
-    this.options = options ?? { concurrent:false, exitOnError:true, collectErrors: 'minimal', forceColor:true, forceTTY:true };
-    // Add the member Context variable to the options.
-    this.options = {...this.options, ...{ctx:this.ctx}};
+    this.options = options ?? { concurrent:false, exitOnError:true, collectErrors: 'minimal' };
+    // Add the member Context variable to the options. TaskRunner handles SIGINT itself.
+    this.options = {...this.options, ...{ctx:this.ctx, registerSignalListeners:false}};
+    // Pick a renderer that suits where the output is going, unless the options chose one.
+    this.options.renderer = this.options.renderer ?? selectRenderer();
     // Instantiate a empty Listr object.
     this.tasks = new Listr([], this.options);
     // Initialize isRunning.
     this.isRunning = false;
+    // Initialize the plan and dry run settings.
+    this.plan             = [];
+    this.dryRun           = false;
+    this.dryRunScriptFile = null;
+    // Initialize checkpoint and resume settings.
+    this.checkpointFile       = null;
+    this.resumeFromCheckpoint = false;
+    this.startFromTitle       = null;
+    this.skippedTasks         = new Map();
+    // Initialize cancellation settings.
+    this.cleanupHandlers      = [];
+    this.cancellation         = null;
+    // Initialize the command executor.
+    this.executor             = getExecutor();
+    // Initialize run report settings.
+    this.pipelineName         = null;
+    this.runReport            = null;
+    this.reportFile           = null;
+    this.junitReportFile      = null;
+    // Initialize run log settings.
+    this.logDir               = null;
+    this.logRetentionRuns     = 10;
+    this.runLogDir            = null;
+    // Initialize suppressed error settings.
+    this.strict               = false;
+    this.warnings             = [];
     // Set the trInstance static variable.
     TaskRunner.trInstance = this;
   }
@@ -126,6 +304,57 @@ export class TaskRunner {
     return TaskRunner.trInstance;
   }
   //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      setExecutor
+   * @param       {Object}  executor  Required. Any object with an
+   *                        `execute(commandString)` method that behaves like
+   *                        `ZxExecutor.execute()`.
+   * @returns     {TaskRunner}  Returns `this` to allow for chaining.
+   * @description Makes every `SfdxTask` and `CliTask` run its command with
+   *              `executor`, including tasks that were already added.
+   * @public
+   * @example
+   * ```
+   * const executor = new FixtureExecutor([{match: 'org create scratch', stdout: {status: 0}}]);
+   * TaskRunner.getInstance().setExecutor(executor);
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  setExecutor(executor) {
+    setExecutor(executor);
+    this.executor = executor;
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      setRenderer
+   * @param       {String}  renderer  Required. One of `taskRenderers`, or
+   *                        `null` to pick one based on where output is going.
+   * @returns     {TaskRunner}  Returns `this` to allow for chaining.
+   * @description `Listr` chooses its renderer when it's created, so this
+   *              replaces the `Listr` instance. Throws if tasks were already
+   *              added, since they would be lost.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  setRenderer(renderer) {
+    const localDbgNs = `${dbgNs}:setRenderer`;
+    if (renderer !== null && taskRenderers.includes(renderer) !== true) {
+      throw new SfdxFalconError(`Unknown renderer '${renderer}'. Expected one of: ${taskRenderers.join(', ')}.`,
+                                `TaskRunner Error`,
+                                `${localDbgNs}`);
+    }
+    if (this.tasks.tasks.length > 0) {
+      throw new SfdxFalconError(`The renderer must be chosen before any tasks are added.`,
+                                `TaskRunner Error`,
+                                `${localDbgNs}`);
+    }
+    this.options.renderer = renderer ?? selectRenderer();
+    this.tasks            = new Listr([], this.options);
+    SfdxFalconDebug.str(`${localDbgNs}:renderer`, this.options.renderer);
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
   /**
    * @method      addTask
    * @param       {Object} taskToAdd  Required. Can be a 
@@ -149,39 +378,37 @@ export class TaskRunner {
     throwOnEmptyNullInvalidObject(taskToAdd, `${localDbgNs}`, taskToAdd, true);
     SfdxFalconDebug.obj(`${localDbgNs}:taskToAdd`, taskToAdd);
 
-    // Add SFDX Task to Listr.
+    // Keep a record of SFDX command strings for debug purposes.
     if (taskToAdd instanceof SfdxTask) {
       SfdxFalconDebug.str(`${localDbgNs}:commandString`, taskToAdd.commandString, `Found an SfdxTask with Command String:\n`);
-
-      // Keep a record of command strings for debug purposes.
       if (this.ctx?.commandStrings && Array.isArray(this.ctx.commandStrings)) {
         this.ctx.commandStrings.push(taskToAdd.commandString);
       } else {
-        this.ctx.commandStrings = new Array().push(taskToAdd.commandString);
+        this.ctx.commandStrings = [taskToAdd.commandString];
       }
-      // Add the embedded Listr task to Listr's task list.
-      this.tasks.add([taskToAdd.lisrTask]);
-      return taskToAdd.lisrTask;
     }
 
-    // Add CLI Task to Listr.
-    /*
-    if (taskToAdd instanceof CliTask) {
-      SfdxFalconDebug.str(`${localDbgNs}:commandString`, taskToAdd.commandString, `Found a CliTask with Command String:\n`);
-
-      //TODO: Add implementation.
+    // Add SfdxTask, CliTask, FunctionTask, and TaskGroup objects to Listr.
+    if (isTaskRunnerTask(taskToAdd)) {
+      SfdxFalconDebug.str(`${localDbgNs}:title`, taskToAdd.title, `Found a ${taskToAdd.constructor.name} with Title:\n`);
 
+      // Record the task in the plan, without exposing any secrets.
+      this.plan.push(buildPlanEntry(taskToAdd));
       // Add the embedded Listr task to Listr's task list.
-      this.tasks.add([taskToAdd.lisrTask]);
-      return taskToAdd.lisrTask;
+      const listrTask = this.wrapListrTask(taskToAdd.lisrTask, this.plan.length - 1);
+      this.tasks.add([listrTask]);
+      return listrTask;
     }
-    //*/
 
     // Add task directly to Listr
     try {
-      SfdxFalconDebug.msg(`${localDbgNs}`, `taskToAdd was neither an SfdxTask or a CliTask.\nAttempting to add directly to Listr.`);
-      this.tasks.add(taskToAdd);
-      return taskToAdd;
+      SfdxFalconDebug.msg(`${localDbgNs}`, `taskToAdd was not an SfdxTask, CliTask, FunctionTask, or TaskGroup.\nAttempting to add directly to Listr.`);
+      const listrTasks = [taskToAdd].flat().map(rawTask => {
+        this.plan.push({title: rawTask.title ?? `Untitled task`, type: `custom`, commandString: null});
+        return this.wrapListrTask(rawTask, this.plan.length - 1);
+      });
+      this.tasks.add(listrTasks);
+      return Array.isArray(taskToAdd) ? listrTasks : listrTasks[0];
     } catch (listrError) {
       SfdxFalconDebug.obj(`${localDbgNs}:listrError`, listrError, `Caught error trying to add a task directly to Listr.`);
       throw new SfdxFalconError(`Caught error while adding raw task to Listr.`,
@@ -191,11 +418,49 @@ export class TaskRunner {
     }
   }
   //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      addCleanupHandler
+   * @param       {String}    title     Required. Describes what the handler
+   *                                    cleans up. Shown while it runs.
+   * @param       {function}  handler   Required. Async function that takes
+   *                                    the `Listr` context and `cancellation`.
+   * @param       {Object}    [options] Optional. `whenCancelling` can list the
+   *                                    titles of tasks the handler cleans up
+   *                                    after. The handler only runs if one of
+   *                                    them was running when the pipeline was
+   *                                    cancelled.
+   * @returns     {TaskRunner}
+   * @description Registers a handler that runs if the pipeline is cancelled
+   *              by SIGINT (eg. Ctrl-C) or SIGTERM. Handlers run in the order
+   *              they were added, after every running command is killed. A
+   *              handler that throws doesn't stop the others.
+   * @public
+   * @example
+   * ```
+   * tr.addCleanupHandler(
+   *   `Delete the partially created scratch org`,
+   *   async (ctx, cancellation) => tr.executor.execute(`sf org delete scratch -p -o ${devOrgAlias} --json`),
+   *   {whenCancelling: [`Create new scratch org`]}
+   * );
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  addCleanupHandler(title, handler, options={}) {
+    const localDbgNs = `${dbgNs}:addCleanupHandler`;
+    throwOnEmptyNullInvalidString(title,    `${localDbgNs}`, 'title');
+    throwOnInvalidFunction       (handler,  `${localDbgNs}`, 'handler');
+    throwOnNullInvalidObject     (options,  `${localDbgNs}`, 'options', true);
+    this.cleanupHandlers.push({title, handler, whenCancelling: options.whenCancelling ?? null});
+    return this;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
   /**
    * @method      runTasks
    * @returns     {TaskRunner}
    * @description Instantiates a `TaskRunner` object which contains a Listr
    *              object and additional specialized code for running tasks.
+   *              Throws if any task fails, including tasks in a `TaskGroup`
+   *              that kept going because its `exitOnError` is `false`.
    * @public
    * @example
    * ```
@@ -207,14 +472,681 @@ export class TaskRunner {
   //───────────────────────────────────────────────────────────────────────────┘
   async runTasks() {
     const localDbgNs = `${dbgNs}:runTasks`;
+
+    // Work out which tasks were already done, if resuming or starting part way through.
+    this.skippedTasks = this.resolveSkippedTasks();
+    SfdxFalconDebug.obj(`${localDbgNs}:skippedTasks`, Object.fromEntries(this.skippedTasks));
+
+    // Show what would be run instead of running it.
+    if (this.dryRun === true) {
+      SfdxFalconDebug.obj(`${localDbgNs}:plan`, this.plan, `Dry run. Skipping execution of planned tasks:`);
+      console.log(this.renderPlan());
+      if (this.dryRunScriptFile) {
+        fs.outputFileSync(this.dryRunScriptFile, this.renderPlanScript(), {mode: 0o755});
+        console.log(`Wrote a bash script that runs the same commands to ${this.dryRunScriptFile}`);
+      }
+      return this.ctx;
+    }
+    // Cancel the pipeline cleanly if the user presses Ctrl-C or the process is terminated.
+    const signalHandler = signal => this.cancel(signal);
+    process.on('SIGINT',  signalHandler);
+    process.on('SIGTERM', signalHandler);
+    this.isRunning = true;
+    this.warnings  = [];
+    this.runReport = startRunReport(this.pipelineName ?? `pipeline`);
+    setStrictMode(this.strict);
+    this.openRunLog();
+    let   runFailed = true;
+    let   runResult;
+    let   failedTaskErrors = [];
     try {
-      return await this.tasks.run();
+      runResult         = await this.tasks.run();
+      failedTaskErrors  = findFailedTaskErrors(this.tasks);
+      runFailed         = failedTaskErrors.length > 0;
     } catch (runError) {
       SfdxFalconDebug.obj(`${localDbgNs}:runError`, runError, `Error thrown by the Listr task engine runtime:`);
+      // cancel() exits the process once cleanup is finished.
+      if (this.cancellation !== null) {
+        await this.cancellation.finished;
+      }
       throw new SfdxFalconError(`Error thrown at runtime by a Listr task.`,
                                 `TaskRunner Runtime Error`,
                                 `${localDbgNs}`,
                                 runError);
+    } finally {
+      this.isRunning = false;
+      process.removeListener('SIGINT',  signalHandler);
+      process.removeListener('SIGTERM', signalHandler);
+      if (this.cancellation === null) {
+        this.saveCheckpoint();
+        this.finishRunReport(runFailed || this.runReport.tasks.some(entry => entry.status === `failed`) ? `failed` : `succeeded`);
+        this.warnings = this.runReport.listWarnings();
+        if (this.warnings.length > 0) {
+          console.error(this.renderWarnings());
+        }
+      }
+    }
+    // Tasks in groups with `exitOnError: false` fail without stopping the run, so fail it now.
+    if (failedTaskErrors.length > 0) {
+      const failedTitles = failedTaskErrors.map(listrError => `"${listrError.task?.title ?? 'Untitled task'}"`).join(', ');
+      throw new SfdxFalconError(`${failedTaskErrors.length === 1 ? 'A task' : `${failedTaskErrors.length} tasks`} failed without stopping the pipeline: ${failedTitles}.`,
+                                `TaskRunner Runtime Error`,
+                                `${localDbgNs}`,
+                                failedTaskErrors[0].error);
+    }
+    return runResult;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      cancel
+   * @param       {String}  signal  Required. Signal that cancelled the
+   *              pipeline, eg. `SIGINT`.
+   * @returns     {Promise<void>} Never resolves, because the process exits.
+   * @description Kills every running command, waits briefly for the running
+   *              tasks to stop, saves a checkpoint, runs the cleanup handlers,
+   *              then exits with one of the `cancelledExitCodes`. Receiving a
+   *              second signal while cleaning up exits immediately, unless it
+   *              arrives within a second of the first.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  async cancel(signal) {
+    const localDbgNs  = `${dbgNs}:cancel`;
+    const exitCode    = cancelledExitCodes[signal] ?? 1;
+    if (this.cancellation !== null) {
+      // Wrappers like `npm` and `timeout` often forward a signal the process already received.
+      if (Date.now() - this.cancellation.receivedAt < 1000) {
+        return this.cancellation.finished;
+      }
+      console.error(chalk.red(`\nReceived ${signal} again. Exiting without finishing cleanup.`));
+      process.exit(exitCode);
     }
+    this.cancellation = {signal, receivedAt: Date.now(), cancelledTasks: findRunningTaskTitles(this.tasks.tasks)};
+    SfdxFalconDebug.obj(`${localDbgNs}:cancellation`, this.cancellation);
+    this.cancellation.finished = (async () => {
+      // Stop the running commands and give their tasks a moment to fail.
+      await cancelActiveProcesses(signal);
+      const stopped = await Promise.race([
+        waitForListr(this.tasks).then(() => true),
+        sleep(cancelGracePeriod).then(() => false)
+      ]);
+      if (stopped !== true) {
+        // Some tasks (eg. JavaScript functions) can't be killed, so stop rendering them.
+        markRunningTasksFailed(this.tasks.tasks);
+        this.tasks.renderer?.end(new Error(`Cancelled by ${signal}.`));
+      }
+      this.saveCheckpoint();
+      this.finishRunReport(`cancelled`);
+
+      // Run cleanup handlers.
+      console.error(chalk.yellow(`\nPipeline cancelled by ${signal}.`));
+      for (const cleanup of this.cleanupHandlers) {
+        if (cleanup.whenCancelling !== null && cleanup.whenCancelling.some(title => this.cancellation.cancelledTasks.includes(title)) !== true) {
+          continue;
+        }
+        try {
+          console.error(`Cleaning up: ${cleanup.title}`);
+          await cleanup.handler(this.options.ctx, {signal, cancelledTasks: this.cancellation.cancelledTasks});
+        } catch (cleanupError) {
+          SfdxFalconDebug.obj(`${localDbgNs}:cleanupError`, cleanupError, `Cleanup handler failed: `);
+          console.error(chalk.red(`Cleanup failed: ${cleanup.title}. ${cleanupError.message?.split('\n')[0] ?? ''}`));
+        }
+      }
+      if (this.checkpointFile !== null) {
+        console.error(`Run the command again with --resume to continue where it stopped.`);
+      }
+      process.exit(exitCode);
+    })();
+    return this.cancellation.finished;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      resolveSkippedTasks
+   * @returns     {Map<Number, String>} Reasons why tasks will be skipped, keyed
+   *              by their index in `plan`.
+   * @description Applies `startFromTitle` or `resumeFromCheckpoint`. When
+   *              resuming, every task at the start of the plan that finished
+   *              during the previous run is skipped, so the run restarts at
+   *              the task that failed. Either way, the `Listr` context saved
+   *              by the previous run (if any) is restored. Throws if the
+   *              starting point can't be found.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  resolveSkippedTasks() {
+    const localDbgNs    = `${dbgNs}:resolveSkippedTasks`;
+    const skippedTasks  = new Map();
+    if (this.startFromTitle === null && this.resumeFromCheckpoint !== true) {
+      return skippedTasks;
+    }
+    if (this.startFromTitle !== null && this.resumeFromCheckpoint === true) {
+      throw new SfdxFalconError(`Choose either --resume or --from, not both.`,
+                                `Cannot Resume Pipeline`,
+                                `${localDbgNs}`);
+    }
+    const checkpoint = this.loadCheckpoint();
+
+    if (this.startFromTitle !== null) {
+      const startIndex = this.plan.findIndex(plannedTask => plannedTask.title === this.startFromTitle);
+      if (startIndex < 0) {
+        throw new SfdxFalconError(`No task is titled "${this.startFromTitle}". Titles of the planned tasks are:\n` +
+                                  this.plan.map(plannedTask => `  - ${plannedTask.title}`).join('\n'),
+                                  `Cannot Resume Pipeline`,
+                                  `${localDbgNs}`);
+      }
+      for (let index = 0; index < startIndex; index++) {
+        skippedTasks.set(index, `Starting from "${this.startFromTitle}"`);
+      }
+    } else {
+      if (checkpoint === null) {
+        throw new SfdxFalconError(`There is no failed run to resume. Checkpoints are only kept until a run succeeds. Run the command again without --resume.`,
+                                  `Cannot Resume Pipeline`,
+                                  `${localDbgNs}`);
+      }
+      for (let index = 0; index < this.plan.length; index++) {
+        const previousTask = checkpoint.tasks[index];
+        if (previousTask?.title !== this.plan[index].title || ['succeeded', 'skipped'].includes(previousTask.status) !== true) {
+          break;
+        }
+        skippedTasks.set(index, `Finished during the previous run`);
+      }
+    }
+
+    // Restore the context captured by the previous run.
+    if (checkpoint !== null) {
+      SfdxFalconDebug.obj(`${localDbgNs}:checkpoint.ctx`, checkpoint.ctx, `Restoring context from checkpoint: `);
+      Object.assign(this.options.ctx, checkpoint.ctx);
+    }
+    return skippedTasks;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      loadCheckpoint
+   * @returns     {Object}  The contents of the checkpoint file, or `null` if
+   *              there isn't one.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  loadCheckpoint() {
+    const localDbgNs = `${dbgNs}:loadCheckpoint`;
+    if (this.checkpointFile === null || fs.existsSync(this.checkpointFile) !== true) {
+      return null;
+    }
+    try {
+      const checkpoint = fs.readJsonSync(this.checkpointFile);
+      SfdxFalconDebug.obj(`${localDbgNs}:checkpoint`, checkpoint);
+      return {tasks: [], ctx: {}, ...checkpoint};
+    } catch (readError) {
+      throw new SfdxFalconError(`The checkpoint file "${this.checkpointFile}" could not be read. Delete it and run the command again without --resume.`,
+                                `Cannot Resume Pipeline`,
+                                `${localDbgNs}`,
+                                readError);
+    }
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      saveCheckpoint
+   * @returns     {void}
+   * @description Saves the status of every task and the `Listr` context to
+   *              `checkpointFile`. If every task finished, the checkpoint is
+   *              removed instead. Never throws, so a problem saving the
+   *              checkpoint can't hide the outcome of the run.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  saveCheckpoint() {
+    const localDbgNs = `${dbgNs}:saveCheckpoint`;
+    if (this.checkpointFile === null) {
+      return;
+    }
+    try {
+      const cancelledTasks = this.cancellation?.cancelledTasks ?? [];
+      const tasks = this.tasks.tasks.map((listrTask, index) => ({
+        title:  this.plan[index].title,
+        status: this.skippedTasks.has(index)                      ? 'succeeded'
+              : hasFailedSubtask(listrTask)                       ? 'failed'
+              : listrTask.isCompleted()                           ? 'succeeded'
+              : listrTask.isSkipped()                             ? 'skipped'
+              : cancelledTasks.includes(this.plan[index].title)   ? 'cancelled'
+              : listrTask.hasFailed()                             ? 'failed'
+              : 'pending'
+      }));
+      if (tasks.every(task => task.status === 'succeeded' || task.status === 'skipped')) {
+        SfdxFalconDebug.str(`${localDbgNs}:checkpointFile`, this.checkpointFile, `Every task finished. Removing checkpoint: `);
+        fs.removeSync(this.checkpointFile);
+        return;
+      }
+      // Command strings are rebuilt on every run and may contain secrets, so they're never saved.
+      const {commandStrings, ...ctx} = this.options.ctx;
+      fs.outputJsonSync(this.checkpointFile, {savedAt: new Date().toISOString(), tasks, ctx}, {spaces: 2});
+      SfdxFalconDebug.str(`${localDbgNs}:checkpointFile`, this.checkpointFile, `Saved checkpoint: `);
+    } catch (saveError) {
+      SfdxFalconDebug.obj(`${localDbgNs}:saveError`, saveError, `Failed to save checkpoint: `);
+    }
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      finishRunReport
+   * @param       {String}  status  Required. `succeeded`, `failed`, or
+   *                                `cancelled`.
+   * @returns     {void}
+   * @description Finishes `runReport` and saves it to `reportFile` and
+   *              `junitReportFile`, if they're set, then closes the run log.
+   *              Never throws, so a problem saving the report can't hide the
+   *              outcome of the run.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  finishRunReport(status) {
+    const localDbgNs = `${dbgNs}:finishRunReport`;
+    this.runReport.finish(status);
+    SfdxFalconDebug.obj(`${localDbgNs}:runReport`, this.runReport.toJSON());
+    try {
+      if (this.reportFile !== null) {
+        fs.outputJsonSync(this.reportFile, this.runReport.toJSON(), {spaces: 2});
+      }
+      if (this.junitReportFile !== null) {
+        fs.outputFileSync(this.junitReportFile, this.runReport.renderJUnitXml());
+      }
+    } catch (saveError) {
+      SfdxFalconDebug.obj(`${localDbgNs}:saveError`, saveError, `Failed to save run report: `);
+      console.error(chalk.red(`Could not save the run report. ${saveError.message}`));
+    }
+    stopRunLog();
+    if (status !== `succeeded` && this.runLogDir !== null) {
+      console.error(`The output of every task in this run was saved to ${this.runLogDir}`);
+    }
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderWarnings
+   * @returns     {String}  A summary of the `warnings` from the most recent
+   *              run, with the error each suppressed task failed with.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderWarnings() {
+    const count   = this.warnings.length;
+    let   summary = chalk.yellow(`\n${count} ${count === 1 ? `task` : `tasks`} failed, but ${count === 1 ? `its errors were` : `their errors were`} suppressed:\n`);
+    for (const warning of this.warnings) {
+      summary += chalk.yellow(`  ⚠ ${warning.title}`);
+      if (warning.error) {
+        summary += `\n    ${warning.error.name}: ${warning.error.message}`;
+        for (const failure of warning.error.failures ?? []) {
+          summary += `\n      - ${failure}`;
+        }
+      }
+      summary += `\n`;
+    }
+    summary += `Run the command again with --strict to treat these as failures.`;
+    return summary;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      openRunLog
+   * @returns     {void}
+   * @description Creates a log directory for this run in `logDir`, then
+   *              removes the logs of all but the most recent
+   *              `logRetentionRuns` runs. Logs are optional, so a problem
+   *              creating them is reported but doesn't stop the run.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  openRunLog() {
+    const localDbgNs = `${dbgNs}:openRunLog`;
+    this.runLogDir = null;
+    if (this.logDir === null) {
+      return;
+    }
+    try {
+      this.runLogDir = startRunLog(this.logDir, this.pipelineName ?? `pipeline`);
+    } catch (logError) {
+      SfdxFalconDebug.obj(`${localDbgNs}:logError`, logError, `Failed to create the run log directory: `);
+      console.error(chalk.red(`Could not create a log directory in ${this.logDir}. Task output won't be saved. ${logError.message}`));
+      return;
+    }
+    pruneRunLogs(this.logDir, this.logRetentionRuns);
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      wrapListrTask
+   * @param       {Object}  listrTask Required. A `Listr` task definition.
+   * @param       {Number}  planIndex Required. Index of the task in `plan`.
+   * @returns     {Object}  A copy of the `Listr` task definition that is also
+   *              skipped when `skippedTasks` says it should be.
+   * @description Tasks added directly to `Listr` don't report their own
+   *              outcomes, so they're added to the run report here.
+   * @private
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  wrapListrTask(listrTask, planIndex) {
+    const plannedTask = this.plan[planIndex];
+    const wrappedTask = {
+      ...listrTask,
+      skip: async (ctx) => {
+        if (this.skippedTasks.has(planIndex)) {
+          reportSkippedTask(plannedTask.title, plannedTask.type, this.skippedTasks.get(planIndex));
+          return this.skippedTasks.get(planIndex);
+        }
+        const skipReason = typeof listrTask.skip === 'function' ? await listrTask.skip(ctx) : (listrTask.skip ?? false);
+        if (skipReason && plannedTask.type === `custom`) {
+          reportSkippedTask(plannedTask.title, `custom`, typeof skipReason === 'string' ? skipReason : `Skipped`);
+        }
+        return skipReason;
+      }
+    };
+    if (plannedTask.type === `custom` && typeof listrTask.task === 'function') {
+      wrappedTask.task = (ctx, task) => runReportedTask(plannedTask.title, `custom`, null, () => listrTask.task(ctx, task));
+    }
+    return wrappedTask;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderPlan
+   * @returns     {String}  Numbered list of every planned task, its command,
+   *              and what happens if it fails.
+   * @description Commands are shown exactly as they'll be run (including the
+   *              `--json` flag added by `SfdxTask`), except that secrets are
+   *              replaced with references to their environment variables.
+   *              Tasks in a `TaskGroup` are numbered under the group, eg. `4.2`.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderPlan() {
+    let planOutput = `\n${chalk.bold(`Dry run: ${this.plan.length} planned task(s). Nothing will be executed.`)}\n`;
+    const numberWidth = String(this.plan.length).length;
+    this.plan.forEach((plannedTask, index) => {
+      const taskNumber = String(index + 1).padStart(numberWidth);
+      if (this.skippedTasks.has(index)) {
+        planOutput += `\n  ${taskNumber}. ${plannedTask.title}\n`;
+        planOutput += `${' '.repeat(numberWidth + 4)}${chalk.dim(`Skipped: ${this.skippedTasks.get(index)}`)}\n`;
+        return;
+      }
+      planOutput += renderPlannedTask(plannedTask, taskNumber, `  `);
+    });
+    return planOutput;
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderPlanScript
+   * @returns     {String}  A standalone bash script that runs every planned
+   *              command in order.
+   * @description Lets a CI job reproduce a pipeline without Node. Commands
+   *              whose errors are suppressed may fail without stopping the
+   *              script. Secrets must be provided by the environment variables
+   *              they're replaced with. Custom tasks and JavaScript functions
+   *              can't be reproduced, so they're left as comments. Tasks in
+   *              concurrent groups run one after another.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderPlanScript() {
+    const envVarNames = new Set();
+    for (const plannedTask of flattenPlan(this.plan)) {
+      for (const match of (plannedTask.commandString ?? '').matchAll(/"\$\{([A-Z0-9_]+)\}"/g)) {
+        envVarNames.add(match[1]);
+      }
+    }
+    let script  = `#!/usr/bin/env bash\n`;
+    script     += `# Generated by the SFDX-Falcon Toolbelt on ${new Date().toISOString()}.\n`;
+    script     += `# Runs the same commands as the toolbelt, in the same order.\n`;
+    script     += `set -uo pipefail\n`;
+    if (envVarNames.size > 0) {
+      script   += `\n# Secrets are read from these environment variables.\n`;
+      for (const envVarName of envVarNames) {
+        script += `: "\${${envVarName}:?Set ${envVarName} before running this script.}"\n`;
+      }
+    }
+    this.plan.forEach((plannedTask, index) => {
+      if (this.skippedTasks.has(index)) {
+        script += `\n# ${index + 1}. ${plannedTask.title}\n`;
+        script += `# Skipped: ${this.skippedTasks.get(index)}\n`;
+        return;
+      }
+      script += renderPlannedTaskScript(plannedTask, `${index + 1}`, true);
+    });
+    return script;
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    selectRenderer
+ * @returns     {String}  `default` when running in an interactive terminal, otherwise `simple`.
+ * @description The `default` renderer redraws the task list in place, which fills CI logs and
+ *              redirected output with spinner frames.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function selectRenderer() {
+  return process.stdout.isTTY === true && isCiEnvironment() !== true ? `default` : `simple`;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findFailedTaskErrors
+ * @param       {Listr}   listr Required. The `Listr` object that just finished running.
+ * @returns     {Array<ListrError>} Errors of the tasks that failed without stopping the run.
+ * @description `Listr` collects these instead of throwing them when a task's `exitOnError` is
+ *              `false`, eg. inside a `TaskGroup`. Suppressed failures never reach `Listr`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function findFailedTaskErrors(listr) {
+  return (listr.errors ?? []).filter(listrError => listrError.type === ListrErrorTypes.HAS_FAILED_WITHOUT_ERROR);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    hasFailedSubtask
+ * @param       {ListrTaskObject} listrTask Required. A task from a `Listr` instance.
+ * @returns     {Boolean} True if any subtask failed, eg. in a `TaskGroup` that finished anyway
+ *                        because its `exitOnError` is `false`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function hasFailedSubtask(listrTask) {
+  return (listrTask.subtasks ?? []).some(subtask => subtask.hasFailed() || hasFailedSubtask(subtask));
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findRunningTaskTitles
+ * @param       {Array<ListrTaskObject>}  listrTasks  Required. Tasks from a `Listr` instance.
+ * @returns     {Array<String>} Original titles of every task that's running, including subtasks.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function findRunningTaskTitles(listrTasks) {
+  return listrTasks.flatMap(listrTask => listrTask.isPending()
+    ? [listrTask.initialTitle ?? listrTask.title, ...findRunningTaskTitles(listrTask.subtasks ?? [])]
+    : []);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    markRunningTasksFailed
+ * @param       {Array<ListrTaskObject>}  listrTasks  Required. Tasks from a `Listr` instance.
+ * @returns     {void}
+ * @description Marks every running task, including subtasks, as failed so the renderer stops
+ *              showing it as in progress.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function markRunningTasksFailed(listrTasks) {
+  for (const listrTask of listrTasks) {
+    if (listrTask.isPending()) {
+      markRunningTasksFailed(listrTask.subtasks ?? []);
+      listrTask.state$ = 'FAILED';
+    }
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    waitForListr
+ * @param       {Listr}   listr Required. A `Listr` instance.
+ * @returns     {Promise<void>} Resolves once no task is running.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+async function waitForListr(listr) {
+  while (findRunningTaskTitles(listr.tasks).length > 0) {
+    await sleep(100);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildPlanEntry
+ * @param       {SfdxTask|CliTask|FunctionTask|TaskGroup} taskToPlan  Required. Task to describe.
+ * @returns     {Object}  An entry for `TaskRunner.plan`. Group entries have a nested `tasks` array.
+ * @description Commands are always redacted so the plan never exposes secrets. `skipReason` is
+ *              set if the task's `when` or `skip` option already says it won't run, and
+ *              `conditional` is set if a function will decide that when the pipeline runs.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildPlanEntry(taskToPlan) {
+  if (taskToPlan instanceof TaskGroup) {
+    return {
+      title:              taskToPlan.title,
+      type:               `group`,
+      commandString:      null,
+      skipReason:         getStaticSkipReason(taskToPlan),
+      conditional:        hasRuntimeConditions(taskToPlan),
+      concurrent:         taskToPlan.concurrent,
+      exitOnError:        taskToPlan.exitOnError,
+      tasks:              taskToPlan.tasks.map(groupedTask => buildPlanEntry(groupedTask))
+    };
+  }
+  if (taskToPlan instanceof FunctionTask) {
+    return {
+      title:              taskToPlan.title,
+      type:               `function`,
+      commandString:      null,
+      skipReason:         getStaticSkipReason(taskToPlan),
+      conditional:        hasRuntimeConditions(taskToPlan),
+      suppressErrors:     taskToPlan.suppressErrors,
+      concurrent:         taskToPlan.concurrent
+    };
+  }
+  return {
+    title:              taskToPlan.title,
+    type:               taskToPlan instanceof SfdxTask ? `sfdx` : `cli`,
+    commandString:      taskToPlan.getRedactedCommandString(),
+    skipReason:         getStaticSkipReason(taskToPlan),
+    conditional:        hasRuntimeConditions(taskToPlan),
+    suppressErrors:     taskToPlan.suppressErrors,
+    renderStdioOnError: taskToPlan.renderStdioOnError,
+    concurrent:         taskToPlan.concurrent,
+    maxAttempts:        taskToPlan.retry?.maxAttempts ?? 1,
+    timeout:            taskToPlan.timeout ?? null,
+    capture:            taskToPlan.capture ?? {}
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    flattenPlan
+ * @param       {Array<Object>} plan  Required. Entries from `TaskRunner.plan`.
+ * @returns     {Array<Object>} Every entry, including the ones nested inside task groups.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function flattenPlan(plan) {
+  return plan.flatMap(plannedTask => [plannedTask, ...flattenPlan(plannedTask.tasks ?? [])]);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderPlannedTask
+ * @param       {Object}  plannedTask Required. An entry from `TaskRunner.plan`.
+ * @param       {String}  taskNumber  Required. Number shown before the title, eg. `4` or `4.2`.
+ * @param       {String}  leader      Required. Whitespace shown before the number.
+ * @returns     {String}  The task's title, command, and what happens if it fails. Tasks in a
+ *                        group are rendered beneath it.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderPlannedTask(plannedTask, taskNumber, leader) {
+  const indent = ' '.repeat(leader.length + taskNumber.length + 2);
+  let planOutput = `\n${leader}${taskNumber}. ${plannedTask.title}\n`;
+  if (plannedTask.skipReason) {
+    return planOutput + `${indent}${chalk.dim(`Skipped: ${plannedTask.skipReason}`)}\n`;
+  }
+  if (plannedTask.conditional) {
+    planOutput += `${indent}${chalk.dim(`Conditional. Whether it runs is decided when the pipeline reaches it.`)}\n`;
+  }
+  if (plannedTask.type === `group`) {
+    const runs    = plannedTask.concurrent ? `at the same time` : `in order`;
+    const onError = plannedTask.exitOnError ? `stop` : `finish the group, then continue`;
+    planOutput += `${indent}${chalk.dim(`Task group. Runs ${plannedTask.tasks.length} task(s) ${runs}. On error: ${onError}`)}\n`;
+    plannedTask.tasks.forEach((groupedTask, index) => {
+      planOutput += renderPlannedTask(groupedTask, `${taskNumber.trim()}.${index + 1}`, indent);
+    });
+    return planOutput;
+  }
+  if (plannedTask.type === `function`) {
+    planOutput += `${indent}${chalk.dim(`JavaScript function. Runs inside the toolbelt.`)}\n`;
+    planOutput += `${indent}${chalk.dim(`On error: ${plannedTask.suppressErrors ? `continue (errors suppressed)` : `stop`}`)}\n`;
+    return planOutput;
+  }
+  if (plannedTask.commandString === null) {
+    planOutput += `${indent}${chalk.dim(`Custom task. Its commands are determined when it runs.`)}\n`;
+    return planOutput;
+  }
+  planOutput += `${indent}${chalk.cyan(plannedTask.commandString)}\n`;
+  const onError = plannedTask.suppressErrors
+                ? `continue (errors suppressed)`
+                : `stop${plannedTask.renderStdioOnError ? `, and render stdout/stderr` : ``}`;
+  const retries = plannedTask.maxAttempts > 1 ? ` | Up to ${plannedTask.maxAttempts} attempts on transient errors` : ``;
+  const timeout = plannedTask.timeout ? ` | Times out after ${Math.round(plannedTask.timeout / 1000)} seconds` : ``;
+  planOutput += `${indent}${chalk.dim(`On error: ${onError}${retries}${timeout}${plannedTask.concurrent ? ` | Runs concurrently` : ``}`)}\n`;
+  const captures = Object.entries(plannedTask.capture ?? {}).map(([ctxKey, propertyPath]) => `{{${ctxKey}}} from ${propertyPath}`);
+  if (captures.length > 0) {
+    planOutput += `${indent}${chalk.dim(`Captures: ${captures.join(', ')}`)}\n`;
+  }
+  return planOutput;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderPlannedTaskScript
+ * @param       {Object}  plannedTask Required. An entry from `TaskRunner.plan`.
+ * @param       {String}  taskNumber  Required. Number used in comments and messages, eg. `4.2`.
+ * @param       {Boolean} exitOnError Required. Whether a failure should stop the script. `false`
+ *                                    for tasks in a group that finishes even if some tasks fail.
+ * @returns     {String}  Bash commands that run the task, or comments if it can't be reproduced.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderPlannedTaskScript(plannedTask, taskNumber, exitOnError) {
+  let script = `\n# ${taskNumber}. ${plannedTask.title}\n`;
+  if (plannedTask.skipReason) {
+    return script + `# Skipped: ${plannedTask.skipReason}\n`;
+  }
+  if (plannedTask.conditional) {
+    script += `# The toolbelt only runs this task if its conditions are met. This script always runs it.\n`;
+  }
+  if (plannedTask.type === `group`) {
+    if (plannedTask.concurrent) {
+      script += `# The toolbelt runs the tasks in this group at the same time. This script runs them in order.\n`;
+    }
+    plannedTask.tasks.forEach((groupedTask, index) => {
+      script += renderPlannedTaskScript(groupedTask, `${taskNumber}.${index + 1}`, exitOnError && plannedTask.exitOnError);
+    });
+    return script;
+  }
+  if (plannedTask.type === `function`) {
+    return script + `# JavaScript function. It only runs inside the toolbelt and can't be reproduced here.\n`;
+  }
+  if (plannedTask.commandString === null) {
+    return script + `# Custom task. Its commands are determined at runtime and can't be reproduced here.\n`;
+  }
+  if (findPlaceholders(plannedTask.commandString).length > 0) {
+    script += `# Replace the {{placeholders}} below. The toolbelt fills them in with values captured by earlier tasks.\n`;
+  }
+  if (plannedTask.maxAttempts > 1) {
+    script += `# The toolbelt makes up to ${plannedTask.maxAttempts} attempts if this command fails with a transient error. This script doesn't retry.\n`;
+  }
+  script += `echo ${quoteForBash(`==> ${taskNumber}. ${plannedTask.title}`)}\n`;
+  if (plannedTask.suppressErrors) {
+    script += `${plannedTask.commandString} || echo ${quoteForBash(`Task ${taskNumber} failed. Continuing because its errors are suppressed.`)} >&2\n`;
+  } else if (exitOnError !== true) {
+    script += `${plannedTask.commandString} || echo ${quoteForBash(`Task ${taskNumber} failed. Continuing because its group finishes even if a task fails.`)} >&2\n`;
+  } else {
+    script += `${plannedTask.commandString} || { echo ${quoteForBash(`Task ${taskNumber} failed: ${plannedTask.title}`)} >&2; exit 1; }\n`;
   }
+  return script;
 }
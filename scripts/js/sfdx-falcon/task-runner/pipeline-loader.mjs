@@ -0,0 +1,331 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/pipeline-loader.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Loads declarative pipeline definitions and turns them into `SfdxTask` and `CliTask`
+ *                objects.
+ * @description   Lets SFDX projects define the tasks run by toolbelt pipelines (eg. `build-dev`) in
+ *                a JSON or YAML file instead of editing the toolbelt's JavaScript.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { fs, path, YAML }                 from "zx";
+
+// Import Internal Classes & Functions
+import { SfdxTask,
+         isValidTimeout,
+         maxTaskTimeout }                 from "./sfdx-task.mjs";
+import { CliTask }                        from "./cli-task.mjs";
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { isSfCliCommandString }           from "../utilities/sfdx.mjs";
+import { resolvePlaceholders }            from "../utilities/general.mjs";
+import { throwOnNullInvalidObject }       from "../validators/type-validator.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:PipelineLoader';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Keys allowed in a task definition, mapped to the type their values must have.
+ */
+const taskDefinitionKeys = {
+  title:              'string',
+  command:            'string',
+  suppressErrors:     'boolean',
+  renderStdioOnError: 'boolean',
+  concurrent:         'boolean',
+  enabled:            'boolean',
+  when:               'object',
+  retry:              'object',
+  timeout:            'number',
+  capture:            'object'
+};
+/**
+ * Keys allowed in a task definition's `when` condition, mapped to the type their values must have.
+ * - `env`       Only run the task if this environment variable is set to a non-empty value.
+ * - `notEnv`    Only run the task if this environment variable is unset or empty.
+ * - `platform`  Only run the task on this platform (as reported by `process.platform`).
+ */
+const conditionKeys = {
+  env:                'string',
+  notEnv:             'string',
+  platform:           'string'
+};
+/**
+ * Keys allowed in a task definition's `retry` policy, mapped to the type their values must have.
+ * Only tasks that run `sf` or `sfdx` commands can be retried. See `SfdxTask.retry` for details.
+ * - `maxAttempts`   Total number of attempts, including the first.
+ * - `delay`         Milliseconds to wait before the second attempt.
+ * - `backoffFactor` Multiplies the delay after every failed attempt.
+ * - `retryOn`       Array of error names, or text that appears in error messages, that are retryable.
+ */
+const retryKeys = {
+  maxAttempts:        'number',
+  delay:              'number',
+  backoffFactor:      'number',
+  retryOn:            'object'
+};
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findPipelineFile
+ * @param       {String}  configDir Required. Directory to search, eg. `config`.
+ * @param       {String}  baseName  Required. File name without extension, eg. `toolbelt-pipelines`.
+ * @returns     {String}  Path to the first `.yaml`, `.yml`, or `.json` file found, or `null`.
+ * @summary     Finds the pipeline definition file for an SFDX project.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function findPipelineFile(configDir, baseName) {
+  for (const extension of ['.yaml', '.yml', '.json']) {
+    const filePath = path.join(configDir, `${baseName}${extension}`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    loadPipelineDefinitions
+ * @param       {String}  filePath  Path to a pipeline definition file. If `null`, or if the file
+ *                                  doesn't exist, an empty set of pipelines is returned.
+ * @param       {Object}  [variables] Optional. Values that replace `{{name}}` placeholders in
+ *                                    task titles and commands. Values in commands are quoted
+ *                                    for bash. Placeholders that don't match a variable are
+ *                                    left as-is.
+ * @returns     {Object}  Validated pipeline definitions keyed by pipeline name, eg. `build-dev`.
+ * @summary     Loads, validates, and resolves pipeline definitions from a JSON or YAML file.
+ * @description The file must contain a top-level `pipelines` object. Each pipeline has a `tasks`
+ *              array, and each task has a `title`, a `command`, and optionally the same
+ *              `suppressErrors`, `renderStdioOnError`, and `concurrent` options as `SfdxTask`.
+ *              Commands that start with `sf` or `sfdx` become `SfdxTask` objects. Any other shell
+ *              command, eg. `npm run lint`, becomes a `CliTask`.
+ *              Tasks can be switched off with `enabled: false` or made conditional with a `when`
+ *              object. Any unknown key or wrongly-typed value is reported as an error.
+ *              Placeholders that don't match a variable are left for the task to fill in when it
+ *              runs, from values captured by earlier tasks.
+ * @public
+ * @example
+ * ```
+ * const pipelines = loadPipelineDefinitions('config/toolbelt-pipelines.yaml', {devOrgAlias});
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function loadPipelineDefinitions(filePath, variables={}) {
+  const localDbgNs = `${dbgNs}:loadPipelineDefinitions`;
+  SfdxFalconDebug.str(`${localDbgNs}:filePath`, filePath);
+
+  if (typeof filePath !== 'string' || fs.existsSync(filePath) !== true) {
+    return {};
+  }
+
+  // Parse the file as JSON or YAML, depending on its extension.
+  let fileContents;
+  try {
+    const rawContents = fs.readFileSync(filePath, 'utf8');
+    fileContents = path.extname(filePath) === '.json' ? JSON.parse(rawContents) : YAML.parse(rawContents);
+  } catch (parseError) {
+    throw new SfdxFalconError(`The pipeline definition file "${filePath}" could not be parsed. ${parseError.message}`,
+                              `Invalid Pipeline Definition`,
+                              `${localDbgNs}`,
+                              parseError);
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:fileContents`, fileContents);
+
+  // Validate the overall shape of the file.
+  if (fileContents === null || typeof fileContents !== 'object' || Array.isArray(fileContents)
+      || fileContents.pipelines === null || typeof fileContents.pipelines !== 'object' || Array.isArray(fileContents.pipelines)) {
+    throw pipelineError(filePath, `The file must contain a top-level 'pipelines' object.`, localDbgNs);
+  }
+
+  // Validate and resolve each pipeline.
+  const pipelineDefinitions = {};
+  for (const [pipelineName, pipeline] of Object.entries(fileContents.pipelines)) {
+    if (pipeline === null || typeof pipeline !== 'object' || Array.isArray(pipeline.tasks) !== true || pipeline.tasks.length === 0) {
+      throw pipelineError(filePath, `Pipeline '${pipelineName}' must have a non-empty 'tasks' array.`, localDbgNs);
+    }
+    pipelineDefinitions[pipelineName] = {
+      tasks: pipeline.tasks.map((taskDef, index) => validateTaskDefinition(taskDef, `${pipelineName}.tasks[${index}]`, filePath, variables))
+    };
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:pipelineDefinitions`, pipelineDefinitions);
+  return pipelineDefinitions;
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    addPipelineTasks
+ * @param       {TaskRunner}  taskRunner  Required. The `TaskRunner` to add tasks to.
+ * @param       {Object}      pipeline    Required. A pipeline returned by `loadPipelineDefinitions()`.
+ * @returns     {void}
+ * @summary     Turns a pipeline definition into tasks and adds them to `TaskRunner`.
+ * @description Disabled tasks are added with the skip reason "Disabled in pipeline file", so they
+ *              show up as skipped in the task list, dry runs, and run reports. A `when` condition
+ *              is checked when the task is about to run, not when it's added.
+ * @public
+ * @example
+ * ```
+ * addPipelineTasks(TaskRunner.getInstance(), pipelineDefinitions['build-dev']);
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function addPipelineTasks(taskRunner, pipeline) {
+  const localDbgNs = `${dbgNs}:addPipelineTasks`;
+  throwOnNullInvalidObject(taskRunner, `${localDbgNs}`, 'taskRunner');
+  throwOnNullInvalidObject(pipeline,   `${localDbgNs}`, 'pipeline');
+
+  for (const taskDef of pipeline.tasks) {
+    const TaskClass = isSfCliCommandString(taskDef.command) ? SfdxTask : CliTask;
+    taskRunner.addTask(new TaskClass(
+      taskDef.title,
+      taskDef.command,
+      {
+        suppressErrors:     taskDef.suppressErrors,
+        renderStdioOnError: taskDef.renderStdioOnError,
+        concurrent:         taskDef.concurrent,
+        ...(taskDef.retry   ? {retry:   taskDef.retry}   : {}),
+        ...(taskDef.timeout !== null ? {timeout: taskDef.timeout} : {}),
+        ...(taskDef.capture ? {capture: taskDef.capture} : {}),
+        ...(taskDef.enabled !== true ? {skip: `Disabled in pipeline file`} : {}),
+        ...(Object.keys(taskDef.when).length > 0 ? {when: () => isConditionMet(taskDef.when)} : {})
+      }
+    ));
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    validateTaskDefinition
+ * @param       {Object}  taskDef   Required. Raw task definition from the pipeline file.
+ * @param       {String}  location  Required. Where the task was found, eg. `build-dev.tasks[2]`.
+ * @param       {String}  filePath  Required. Path to the pipeline file, for error messages.
+ * @param       {Object}  variables Required. Values for `{{name}}` placeholders.
+ * @returns     {Object}  A copy of the task definition with defaults and placeholders resolved.
+ * @description Throws if the task definition has unknown keys, wrongly-typed values, or no
+ *              command.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function validateTaskDefinition(taskDef, location, filePath, variables) {
+  const localDbgNs = `${dbgNs}:validateTaskDefinition`;
+
+  if (taskDef === null || typeof taskDef !== 'object' || Array.isArray(taskDef)) {
+    throw pipelineError(filePath, `Task ${location} must be an object.`, localDbgNs);
+  }
+  validateKeys(taskDef, taskDefinitionKeys, `Task ${location}`, filePath, localDbgNs);
+  if (typeof taskDef.title !== 'string' || taskDef.title.trim() === '') {
+    throw pipelineError(filePath, `Task ${location} must have a 'title'.`, localDbgNs);
+  }
+  if (typeof taskDef.command !== 'string' || taskDef.command.trim() === '') {
+    throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') must have a 'command'.`, localDbgNs);
+  }
+  if (typeof taskDef.when !== 'undefined') {
+    if (taskDef.when === null || Array.isArray(taskDef.when)) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') has a 'when' condition that is not an object.`, localDbgNs);
+    }
+    validateKeys(taskDef.when, conditionKeys, `The 'when' condition of task ${location}`, filePath, localDbgNs);
+  }
+  if (typeof taskDef.timeout !== 'undefined') {
+    if (isValidTimeout(taskDef.timeout) !== true) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') must have a 'timeout' that is a whole number of milliseconds from 1 to ${maxTaskTimeout}.`, localDbgNs);
+    }
+    if (isSfCliCommandString(taskDef.command) !== true) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') has a 'timeout', but only 'sf' and 'sfdx' commands can time out.`, localDbgNs);
+    }
+  }
+  if (typeof taskDef.capture !== 'undefined') {
+    if (taskDef.capture === null || Array.isArray(taskDef.capture) || Object.values(taskDef.capture).some(propertyPath => typeof propertyPath !== 'string')) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') must have a 'capture' object that maps names to property paths, eg. 'orgUsername: result.username'.`, localDbgNs);
+    }
+    if (isSfCliCommandString(taskDef.command) !== true) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') has a 'capture', but only 'sf' and 'sfdx' commands return JSON to capture values from.`, localDbgNs);
+    }
+  }
+  if (typeof taskDef.retry !== 'undefined') {
+    if (taskDef.retry === null || Array.isArray(taskDef.retry)) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') has a 'retry' policy that is not an object.`, localDbgNs);
+    }
+    validateKeys(taskDef.retry, retryKeys, `The 'retry' policy of task ${location}`, filePath, localDbgNs);
+    if (isSfCliCommandString(taskDef.command) !== true) {
+      throw pipelineError(filePath, `Task ${location} ('${taskDef.title}') has a 'retry' policy, but only 'sf' and 'sfdx' commands can be retried.`, localDbgNs);
+    }
+    if (typeof taskDef.retry.retryOn !== 'undefined' && (Array.isArray(taskDef.retry.retryOn) !== true || taskDef.retry.retryOn.some(matcher => typeof matcher !== 'string'))) {
+      throw pipelineError(filePath, `The 'retry' policy of task ${location} ('${taskDef.title}') must have a 'retryOn' list of strings.`, localDbgNs);
+    }
+  }
+
+  return {
+    title:              resolvePlaceholders(taskDef.title, variables),
+    command:            resolvePlaceholders(taskDef.command, variables, {quote: true}),
+    suppressErrors:     taskDef.suppressErrors ?? false,
+    renderStdioOnError: taskDef.renderStdioOnError ?? false,
+    concurrent:         taskDef.concurrent ?? false,
+    enabled:            taskDef.enabled ?? true,
+    when:               taskDef.when ?? {},
+    retry:              taskDef.retry ?? null,
+    timeout:            taskDef.timeout ?? null,
+    capture:            taskDef.capture ?? null
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    validateKeys
+ * @param       {Object}  objToValidate Required. Object whose keys will be validated.
+ * @param       {Object}  allowedKeys   Required. Allowed keys mapped to their expected types.
+ * @param       {String}  description   Required. Describes the object in error messages.
+ * @param       {String}  filePath      Required. Path to the pipeline file, for error messages.
+ * @param       {String}  dbgNsExt      Required. Debug namespace of the caller.
+ * @returns     {void}
+ * @description Throws if the object has a key that isn't allowed or a value of the wrong type.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function validateKeys(objToValidate, allowedKeys, description, filePath, dbgNsExt) {
+  for (const [key, value] of Object.entries(objToValidate)) {
+    if ((key in allowedKeys) !== true) {
+      throw pipelineError(filePath, `${description} has an unknown key '${key}'. Allowed keys are: ${Object.keys(allowedKeys).join(', ')}.`, dbgNsExt);
+    }
+    if (typeof value !== allowedKeys[key]) {
+      throw pipelineError(filePath, `${description} has a '${key}' of type '${typeof value}'. Expected '${allowedKeys[key]}'.`, dbgNsExt);
+    }
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isConditionMet
+ * @param       {Object}  when  Required. The `when` condition of a validated task definition.
+ * @returns     {Boolean} True if every part of the condition is met right now.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function isConditionMet(when) {
+  if (typeof when.env === 'string' && !process.env[when.env]) {
+    return false;
+  }
+  if (typeof when.notEnv === 'string' && process.env[when.notEnv]) {
+    return false;
+  }
+  if (typeof when.platform === 'string' && when.platform !== process.platform) {
+    return false;
+  }
+  return true;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    pipelineError
+ * @param       {String}  filePath  Required. Path to the pipeline file.
+ * @param       {String}  message   Required. Describes what's wrong with the file.
+ * @param       {String}  source    Required. Debug namespace of the caller.
+ * @returns     {SfdxFalconError}
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function pipelineError(filePath, message, source) {
+  return new SfdxFalconError(`Invalid pipeline definition in "${filePath}". ${message}`,
+                             `Invalid Pipeline Definition`,
+                             `${source}`);
+}
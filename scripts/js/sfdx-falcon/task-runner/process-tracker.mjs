@@ -0,0 +1,87 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/process-tracker.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Keeps track of the shell processes started by running tasks.
+ * @description   Lets `TaskRunner` kill every running command when a pipeline is cancelled, and
+ *                lets tasks tell a cancelled command apart from one that failed on its own.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:ProcessTracker';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * ZX process promises for every command that's currently running.
+ */
+const activeProcesses = new Set();
+/**
+ * Signal that cancelled the pipeline, eg. `SIGINT`, or `null` if it hasn't been cancelled.
+ */
+let cancellationSignal = null;
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    trackProcess
+ * @param       {ProcessPromise}  processPromise  Required. A command started by `ZX`.
+ * @returns     {function}  Call this once the command has finished to stop tracking it.
+ * @description If the pipeline has already been cancelled, the command is killed right away.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function trackProcess(processPromise) {
+  activeProcesses.add(processPromise);
+  if (cancellationSignal !== null) {
+    killProcess(processPromise, cancellationSignal);
+  }
+  return () => activeProcesses.delete(processPromise);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    cancelActiveProcesses
+ * @param       {String}  signal  Required. Signal that cancelled the pipeline, eg. `SIGINT`.
+ * @returns     {Promise<void>}   Resolves once every running command has been sent `signal`.
+ * @description Also records the cancellation, so commands that are started later are killed too.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function cancelActiveProcesses(signal) {
+  cancellationSignal = signal;
+  SfdxFalconDebug.str(`${dbgNs}:cancelActiveProcesses`, `${activeProcesses.size}`, `Killing active processes: `);
+  await Promise.all([...activeProcesses].map(processPromise => killProcess(processPromise, signal)));
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getCancellationSignal
+ * @returns     {String}  Signal that cancelled the pipeline, or `null` if it hasn't been cancelled.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getCancellationSignal() {
+  return cancellationSignal;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    killProcess
+ * @param       {ProcessPromise}  processPromise  Required. A command started by `ZX`.
+ * @param       {String}          signal          Required. Signal to send, eg. `SIGINT`.
+ * @returns     {Promise<void>}   Never rejects. A command that already exited is ignored.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+async function killProcess(processPromise, signal) {
+  try {
+    await processPromise.kill(signal);
+  } catch (killError) {
+    SfdxFalconDebug.obj(`${dbgNs}:killProcess`, killError, `Could not kill process: `);
+  }
+}
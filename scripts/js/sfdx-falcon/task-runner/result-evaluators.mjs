@@ -0,0 +1,181 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/result-evaluators.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Decides whether a Salesforce CLI command succeeded by looking at its JSON result.
+ * @description   Some `sf` commands exit with code 0 even though they failed, eg. a deployment
+ *                with component failures or anonymous Apex that threw an exception. Evaluators
+ *                for these command families find the failure in the command's JSON output and
+ *                extract its details, so the task fails with a useful error.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import Internal Classes & Functions
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:ResultEvaluators';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Built-in evaluators for command families whose failures can hide behind exit code 0. The first
+ * evaluator whose `commandPattern` matches a command is used. Each `evaluate` function receives the
+ * command's parsed `stdout` JSON and returns `null` if the command succeeded. Otherwise it returns
+ * a result failure with a `name`, a `message`, and an array of `failures` describing each problem.
+ */
+export const resultEvaluators = [
+  {
+    name:           `deploy`,
+    commandPattern: /(?:\bproject deploy (?:start|validate|resume|report|quick)\b|\bforce:(?:source|mdapi):deploy\b)/,
+    evaluate:       evaluateDeployResult
+  },
+  {
+    name:           `apex test`,
+    commandPattern: /(?:\bapex (?:run|get) test\b|\bforce:apex:test:(?:run|report)\b)/,
+    evaluate:       evaluateApexTestResult
+  },
+  {
+    name:           `anonymous apex`,
+    commandPattern: /(?:\bapex run\b(?! test)|\bforce:apex:execute\b)/,
+    evaluate:       evaluateAnonymousApexResult
+  }
+];
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    evaluateResult
+ * @param       {String}    commandString Required. The command that was run.
+ * @param       {Object}    resultJson    Required. JSON returned by the command, eg. `stdoutJson`.
+ *                                        May be `null` if it didn't return any.
+ * @param       {function}  [isSuccess]   Optional. The task's own check. Receives `resultJson` and
+ *                                        returns `true` if the command succeeded. May be async.
+ *                                        Replaces the built-in evaluator for the command.
+ * @returns     {Promise<Object>} `null` if the command succeeded, otherwise a result failure with
+ *                                a `name`, a `message`, and an array of `failures`.
+ * @description A non-zero `status` in `resultJson` is always a failure. Otherwise `isSuccess`, or
+ *              the built-in evaluator for the command's family, decides. When `isSuccess` says the
+ *              command failed, the built-in evaluator still supplies the details, if it finds any.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function evaluateResult(commandString, resultJson, isSuccess) {
+  const localDbgNs = `${dbgNs}:evaluateResult`;
+  if (typeof resultJson?.status === 'number' && resultJson.status !== 0) {
+    return {
+      name:     `${resultJson.name ?? 'NonZeroStatus'}`,
+      message:  `${resultJson.message ?? `The command returned status ${resultJson.status}.`}`,
+      failures: []
+    };
+  }
+  const evaluator     = resultEvaluators.find(resultEvaluator => resultEvaluator.commandPattern.test(commandString)) ?? null;
+  const builtInResult = evaluator === null || resultJson === null || typeof resultJson !== 'object' ? null : evaluator.evaluate(resultJson);
+  SfdxFalconDebug.obj(`ASYNC:${localDbgNs}:builtInResult`, builtInResult, `Built-in ${evaluator?.name ?? 'no'} evaluator returned: `);
+  if (typeof isSuccess !== 'function') {
+    return builtInResult;
+  }
+  if (await isSuccess(resultJson) === true) {
+    return null;
+  }
+  return {
+    name:     builtInResult?.name ?? `ResultCheckFailed`,
+    message:  builtInResult?.message ?? `The command finished, but its result didn't pass the task's isSuccess check.`,
+    failures: builtInResult?.failures ?? []
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    evaluateDeployResult
+ * @param       {Object}  resultJson  Required. JSON returned by a deploy command.
+ * @returns     {Object}  `null` if the deployment succeeded, otherwise a result failure listing
+ *                        every component and Apex test that failed.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function evaluateDeployResult(resultJson) {
+  const result            = resultJson.result ?? {};
+  const componentFailures = toArray(result.details?.componentFailures);
+  const testFailures      = toArray(result.details?.runTestResult?.failures);
+  const failedStatus      = [`Failed`, `SucceededPartial`, `Canceled`].includes(result.status);
+  if (result.success !== false && failedStatus !== true && componentFailures.length === 0 && testFailures.length === 0) {
+    return null;
+  }
+  return {
+    name:     `DeployFailed`,
+    message:  `The deployment finished with status ${result.status ?? 'Unknown'}, ` +
+              `${componentFailures.length} component ${componentFailures.length === 1 ? 'failure' : 'failures'}, and ` +
+              `${testFailures.length} test ${testFailures.length === 1 ? 'failure' : 'failures'}.`,
+    failures: [
+      ...componentFailures.map(failure => `${failure.componentType ?? 'Component'} ${failure.fullName ?? ''}` +
+                                          `${failure.lineNumber ? ` (line ${failure.lineNumber}, column ${failure.columnNumber})` : ''}: ` +
+                                          `${failure.problem ?? 'Unknown problem'}`),
+      ...testFailures.map(failure => `${failure.name}.${failure.methodName}: ${failure.message}`)
+    ]
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    evaluateApexTestResult
+ * @param       {Object}  resultJson  Required. JSON returned by an Apex test command.
+ * @returns     {Object}  `null` if every test passed, otherwise a result failure listing every
+ *                        test that failed.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function evaluateApexTestResult(resultJson) {
+  const result        = resultJson.result ?? {};
+  const failedTests   = toArray(result.tests).filter(test => test.Outcome === `Fail` || test.Outcome === `CompileFail`);
+  const failingCount  = Number(result.summary?.failing ?? failedTests.length);
+  if (result.summary?.outcome !== `Failed` && failingCount === 0 && failedTests.length === 0) {
+    return null;
+  }
+  return {
+    name:     `ApexTestsFailed`,
+    message:  `${failingCount} Apex ${failingCount === 1 ? 'test' : 'tests'} failed.`,
+    failures: failedTests.map(test => `${test.FullName ?? test.MethodName}: ${test.Message ?? 'Unknown failure'}`)
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    evaluateAnonymousApexResult
+ * @param       {Object}  resultJson  Required. JSON returned by `sf apex run`.
+ * @returns     {Object}  `null` if the Apex compiled and ran without an exception, otherwise a
+ *                        result failure with the compile problem or the exception.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function evaluateAnonymousApexResult(resultJson) {
+  const result = resultJson.result ?? {};
+  if (result.success !== false) {
+    return null;
+  }
+  if (result.compiled === false) {
+    return {
+      name:     `ApexCompileFailed`,
+      message:  `The anonymous Apex didn't compile.`,
+      failures: [`Line ${result.line}, column ${result.column}: ${result.compileProblem}`]
+    };
+  }
+  return {
+    name:     `ApexExecutionFailed`,
+    message:  `The anonymous Apex threw an exception.`,
+    failures: [result.exceptionMessage, result.exceptionStackTrace].filter(detail => typeof detail === 'string' && detail !== '')
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    toArray
+ * @param       {unknown} value Required. The CLI returns a lone object instead of an array when
+ *                              there's only one item.
+ * @returns     {Array}   The value as an array. Empty if the value is missing.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function toArray(value) {
+  if (value === null || typeof value === 'undefined') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
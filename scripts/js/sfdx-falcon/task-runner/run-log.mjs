@@ -0,0 +1,194 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/run-log.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Saves the output of every task in a pipeline run to disk.
+ * @description   Each run gets its own timestamped directory with one log file per task, holding
+ *                the command, its raw stdout and stderr, any JSON it returned, and its timing.
+ *                Lets a failed build be diagnosed after its terminal output is gone.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { fs, path }                       from "zx";
+import { isEmpty }                        from "lodash-es";
+
+// Import Internal Classes & Functions
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { redactSecrets }                  from "../utilities/general.mjs";
+import { stdioToJson }                    from "../utilities/json.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:RunLog';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Directory the current run's task logs are written to, or `null` if they aren't being saved.
+ */
+let activeRunLogDir = null;
+/**
+ * Number of task logs written to `activeRunLogDir`. Used to keep the log files in task order.
+ */
+let taskLogCount = 0;
+/**
+ * Matches the names of the run directories created by `startRunLog()`, so pruning never removes
+ * anything else.
+ */
+const runDirPattern = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z-/;
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    startRunLog
+ * @param       {String}  logRootDir    Required. Directory that holds the logs of every run, eg.
+ *                                      `.sfdx-falcon/logs`.
+ * @param       {String}  pipelineName  Required. Name of the pipeline that's about to run.
+ * @returns     {String}  Path to the new run's log directory, eg.
+ *                        `.sfdx-falcon/logs/2023-05-01T09-30-00-000Z-build-dev`.
+ * @description Task logs are written to the new directory until the next run log is started.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function startRunLog(logRootDir, pipelineName) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  activeRunLogDir = path.join(logRootDir, `${timestamp}-${toFileName(pipelineName)}`);
+  taskLogCount    = 0;
+  fs.ensureDirSync(activeRunLogDir);
+  SfdxFalconDebug.str(`${dbgNs}:startRunLog:activeRunLogDir`, activeRunLogDir);
+  return activeRunLogDir;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    stopRunLog
+ * @returns     {void}
+ * @description Stops saving task logs, eg. after the pipeline finishes.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function stopRunLog() {
+  activeRunLogDir = null;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    pruneRunLogs
+ * @param       {String}  logRootDir    Required. Directory that holds the logs of every run.
+ * @param       {Number}  retainedRuns  Required. How many of the most recent runs to keep.
+ * @returns     {Array<String>} Paths to the run directories that were removed.
+ * @description Only removes directories created by `startRunLog()`. Never throws, since old logs
+ *              that can't be removed shouldn't stop a pipeline from running.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function pruneRunLogs(logRootDir, retainedRuns) {
+  const localDbgNs = `${dbgNs}:pruneRunLogs`;
+  const prunedDirs = [];
+  try {
+    if (fs.existsSync(logRootDir) !== true) {
+      return prunedDirs;
+    }
+    const runDirs = fs.readdirSync(logRootDir, {withFileTypes: true})
+                      .filter(dirEntry => dirEntry.isDirectory() && runDirPattern.test(dirEntry.name))
+                      .map(dirEntry => dirEntry.name)
+                      .sort();
+    for (const runDir of runDirs.slice(0, Math.max(runDirs.length - retainedRuns, 0))) {
+      fs.removeSync(path.join(logRootDir, runDir));
+      prunedDirs.push(path.join(logRootDir, runDir));
+    }
+  } catch (pruneError) {
+    SfdxFalconDebug.obj(`${localDbgNs}:pruneError`, pruneError, `Failed to prune run logs: `);
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:prunedDirs`, prunedDirs);
+  return prunedDirs;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    recordTaskOutput
+ * @param       {Object}  entry         Required. A run report entry.
+ * @param       {Object}  processOutput Required. The result, or error, returned by `ZX` when the
+ *                                      task's command was run.
+ * @param       {Object}  [secrets]     Optional. Secret values to redact from the output, keyed
+ *                                      by environment variable name.
+ * @returns     {void}
+ * @description Keeps the raw output of the command with the entry, so `writeTaskLog()` can save it.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function recordTaskOutput(entry, processOutput, secrets) {
+  const stdout = redactSecrets(`${processOutput?.stdout ?? ''}`, secrets);
+  const stderr = redactSecrets(`${processOutput?.stderr ?? ''}`, secrets);
+  entry.output = {
+    stdout,
+    stderr,
+    stdoutJson: stdioToJson(stdout),
+    stderrJson: stdioToJson(stderr)
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    writeTaskLog
+ * @param       {Object}  entry Required. A finished run report entry.
+ * @returns     {String}  Path to the log file, or `null` if task logs aren't being saved.
+ * @description Never throws, so a problem saving a log can't change the outcome of a task.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function writeTaskLog(entry) {
+  const localDbgNs = `${dbgNs}:writeTaskLog`;
+  if (activeRunLogDir === null) {
+    return null;
+  }
+  taskLogCount++;
+  const logFile = path.join(activeRunLogDir, `${String(taskLogCount).padStart(2, '0')}-${toFileName(entry.title)}.log`);
+  try {
+    fs.outputFileSync(logFile, renderTaskLog(entry));
+  } catch (writeError) {
+    SfdxFalconDebug.obj(`${localDbgNs}:writeError`, writeError, `Failed to write ${logFile}: `);
+    return null;
+  }
+  SfdxFalconDebug.str(`${localDbgNs}:logFile`, logFile);
+  return logFile;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    renderTaskLog
+ * @param       {Object}  entry Required. A finished run report entry.
+ * @returns     {String}  Contents of the entry's log file.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function renderTaskLog(entry) {
+  const output = entry.output ?? {};
+  const lines  = [
+    `Task:       ${entry.title}`,
+    `Type:       ${entry.type}`,
+    `Command:    ${entry.commandString ?? '(none)'}`,
+    `Started:    ${entry.startedAt}`,
+    `Finished:   ${entry.finishedAt}`,
+    `Duration:   ${entry.durationMs} ms`,
+    `Exit code:  ${entry.exitCode ?? '(none)'}`,
+    `Status:     ${entry.status}`
+  ];
+  if (entry.error) {
+    lines.push(`Error:      ${entry.error.name}: ${entry.error.message}`);
+  }
+  lines.push(``, `──── STDOUT ────`, output.stdout ?? '');
+  lines.push(``, `──── STDERR ────`, output.stderr ?? '');
+  const parsedJson = isEmpty(output.stdoutJson) ? output.stderrJson : output.stdoutJson;
+  if (isEmpty(parsedJson) !== true) {
+    lines.push(``, `──── PARSED JSON ────`, JSON.stringify(parsedJson, null, 2));
+  }
+  return `${lines.join('\n')}\n`;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    toFileName
+ * @param       {String}  text  Required. Any text, eg. a task title.
+ * @returns     {String}  A lowercase version of the text that's safe to use in a file name.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function toFileName(text) {
+  return `${text ?? ''}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || `task`;
+}
@@ -0,0 +1,399 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/run-report.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Records what happened to every task in a pipeline run.
+ * @description   Builds a machine-readable report of a `TaskRunner` run that can be saved as JSON
+ *                or as JUnit XML, so CI systems can show each pipeline step as a test case.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { isEmpty }                        from "lodash-es";
+
+// Import Internal Classes & Functions
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { findRemediation }                from "../error/remediations.mjs";
+import { writeTaskLog }                   from "./run-log.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:RunReport';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * The report for the pipeline that's currently running, or `null` if no pipeline is running.
+ */
+let activeRunReport = null;
+/**
+ * When `true`, tasks fail even if their errors are suppressed.
+ */
+let strictMode = false;
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       RunReport
+ * @description Collects one entry per task as a pipeline runs. Each entry has the task's `title`,
+ *              `type`, redacted `commandString`, `startedAt` and `finishedAt` times, `durationMs`,
+ *              `exitCode`, `status`, `skipReason`, and the parsed `error` that failed it. The
+ *              `status` of an entry is one of `success`, `failed`, `suppressed-failure`, or
+ *              `skipped`.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class RunReport {
+  /**
+   * @type      {String}
+   * @summary   Name of the pipeline that was run, eg. `build-dev`.
+   */
+  pipelineName = null;
+  /**
+   * @type      {String}
+   * @summary   When the run started, as an ISO 8601 timestamp.
+   */
+  startedAt = null;
+  /**
+   * @type      {String}
+   * @summary   When the run finished, as an ISO 8601 timestamp, or `null` while it's running.
+   */
+  finishedAt = null;
+  /**
+   * @type      {String}
+   * @summary   `running`, `succeeded`, `failed`, or `cancelled`.
+   */
+  status = null;
+  /**
+   * @type      {Array<Object>}
+   * @summary   One entry per task, in the order the tasks started or were skipped.
+   */
+  tasks = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {String}  pipelineName  Required. Name of the pipeline, eg.
+   *                                      `build-dev`.
+   * @returns     {RunReport}
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(pipelineName) {
+    this.pipelineName = pipelineName;
+    this.startedAt    = new Date().toISOString();
+    this.finishedAt   = null;
+    this.status       = `running`;
+    this.tasks        = [];
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      finish
+   * @param       {String}  status  Required. `succeeded`, `failed`, or
+   *                                `cancelled`.
+   * @returns     {void}
+   * @description Marks every task that's still running as failed, since it
+   *              was interrupted.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  finish(status) {
+    for (const entry of this.tasks.filter(entry => entry.status === `running`)) {
+      finishEntry(entry, `failed`, {name: `Interrupted`, message: `The run ended before this task finished.`});
+    }
+    this.status     = status;
+    this.finishedAt = new Date().toISOString();
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      toJSON
+   * @returns     {Object}  The report as a plain object, with a `summary` of
+   *              how many tasks ended with each status.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  toJSON() {
+    const summary = {total: this.tasks.length, success: 0, failed: 0, 'suppressed-failure': 0, skipped: 0};
+    for (const entry of this.tasks) {
+      if (entry.status in summary) {
+        summary[entry.status]++;
+      }
+    }
+    return {
+      pipelineName: this.pipelineName,
+      status:       this.status,
+      startedAt:    this.startedAt,
+      finishedAt:   this.finishedAt,
+      durationMs:   this.finishedAt === null ? null : Date.parse(this.finishedAt) - Date.parse(this.startedAt),
+      summary,
+      tasks:        this.tasks.map(({output, ...entry}) => entry)
+    };
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      listWarnings
+   * @returns     {Array<Object>} One warning per task that failed but had its
+   *              errors suppressed, with the task's `title`, `commandString`,
+   *              `exitCode`, and parsed `error`.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  listWarnings() {
+    return this.tasks.filter(entry => entry.status === `suppressed-failure`)
+                     .map(entry => ({
+                       title:         entry.title,
+                       commandString: entry.commandString,
+                       exitCode:      entry.exitCode,
+                       error:         entry.error
+                     }));
+  }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      renderJUnitXml
+   * @returns     {String}  The report as a JUnit XML document.
+   * @description The pipeline is a `testsuite` and every task is a
+   *              `testcase`. Failed tasks have a `failure`, skipped tasks have
+   *              a `skipped` element with the reason, and tasks whose errors
+   *              were suppressed pass, with the failure noted in `system-out`.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  renderJUnitXml() {
+    const report    = this.toJSON();
+    const seconds   = ms => ((ms ?? 0) / 1000).toFixed(3);
+    const suiteAttrs = `tests="${report.summary.total}" failures="${report.summary.failed}" errors="0" skipped="${report.summary.skipped}" time="${seconds(report.durationMs)}"`;
+    let xml  = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xml     += `<testsuites name="SFDX-Falcon Toolbelt" ${suiteAttrs}>\n`;
+    xml     += `  <testsuite name="${escapeXml(report.pipelineName)}" timestamp="${report.startedAt}" ${suiteAttrs}>\n`;
+    for (const entry of report.tasks) {
+      xml   += `    <testcase name="${escapeXml(entry.title)}" classname="${escapeXml(report.pipelineName)}" time="${seconds(entry.durationMs)}">\n`;
+      if (entry.status === `skipped`) {
+        xml += `      <skipped message="${escapeXml(entry.skipReason ?? '')}"/>\n`;
+      }
+      if (entry.status === `failed`) {
+        xml += `      <failure message="${escapeXml(entry.error?.message ?? '')}" type="${escapeXml(entry.error?.name ?? 'Error')}">${escapeXml(describeEntry(entry))}</failure>\n`;
+      }
+      if (entry.status !== `skipped`) {
+        const suppressedNote = entry.status === `suppressed-failure`
+                             ? `\nFailed, but errors are suppressed for this task. ${entry.error?.name ?? 'Error'}: ${entry.error?.message ?? ''}`
+                             : ``;
+        xml += `      <system-out>${escapeXml(describeEntry(entry) + suppressedNote)}</system-out>\n`;
+      }
+      xml   += `    </testcase>\n`;
+    }
+    xml     += `  </testsuite>\n`;
+    xml     += `</testsuites>\n`;
+    return xml;
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    startRunReport
+ * @param       {String}  pipelineName  Required. Name of the pipeline that's about to run.
+ * @returns     {RunReport} A new report, which tasks will add their entries to until the next
+ *                          report is started.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function startRunReport(pipelineName) {
+  activeRunReport = new RunReport(pipelineName);
+  return activeRunReport;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    setStrictMode
+ * @param       {Boolean} strict  Required. Whether tasks should fail even if their errors are
+ *                                suppressed.
+ * @returns     {void}
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function setStrictMode(strict) {
+  strictMode = strict === true;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isStrictMode
+ * @returns     {Boolean} True if tasks should fail even if their errors are suppressed. Tasks
+ *                        check this before calling `reportSuppressedFailure()`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isStrictMode() {
+  return strictMode;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    runReportedTask
+ * @param       {String}    title         Required. Title of the task.
+ * @param       {String}    type          Required. `sfdx`, `cli`, `function`, or `custom`.
+ * @param       {String}    commandString Required. The redacted command, or `null`.
+ * @param       {function}  runTask       Required. Async function that runs the task. It receives
+ *                                        the report entry, and can update its `commandString` and
+ *                                        `exitCode`, or call `reportSuppressedFailure()` with it.
+ * @returns     {Promise<unknown>}  Resolves or rejects the same way as `runTask`.
+ * @description If `runTask` rejects, its entry is marked `failed`. Unless `runTask` already set
+ *              the entry's `error`, it's parsed from the rejection. Either way, the finished entry
+ *              is saved to the run log.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function runReportedTask(title, type, commandString, runTask) {
+  const entry = createEntry(title, type, commandString, `running`);
+  activeRunReport?.tasks.push(entry);
+  try {
+    const result = await runTask(entry);
+    finishEntry(entry, entry.status === `suppressed-failure` ? `suppressed-failure` : `success`, entry.error);
+    return result;
+  } catch (taskError) {
+    finishEntry(entry, `failed`, entry.error ?? describeTaskError(taskError));
+    throw taskError;
+  } finally {
+    writeTaskLog(entry);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    reportSuppressedFailure
+ * @param       {Object}  entry       Required. The entry passed to `runTask` by `runReportedTask()`.
+ * @param       {Error}   taskError   Required. The error that was suppressed.
+ * @returns     {void}
+ * @description An exit code the task already recorded is kept, since errors like `ShellError`
+ *              default their own `exitCode` to `1`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function reportSuppressedFailure(entry, taskError) {
+  entry.status    = `suppressed-failure`;
+  entry.error     = describeTaskError(taskError);
+  entry.exitCode  = entry.exitCode ?? taskError?.exitCode ?? null;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    reportSkippedTask
+ * @param       {String}  title       Required. Title of the task.
+ * @param       {String}  type        Required. `sfdx`, `cli`, `function`, `group`, or `custom`.
+ * @param       {String}  skipReason  Required. Why the task was skipped.
+ * @returns     {void}
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function reportSkippedTask(title, type, skipReason) {
+  const entry = createEntry(title, type, null, `skipped`);
+  entry.skipReason = skipReason;
+  finishEntry(entry, `skipped`, null);
+  activeRunReport?.tasks.push(entry);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    describeTaskError
+ * @param       {Error}   taskError Required. Anything thrown by a task.
+ * @returns     {Object}  The error's `name`, `message`, and, for Salesforce CLI errors, the
+ *                        `status` and `actions` from the CLI's JSON output, plus the actions of
+ *                        any known remediation for the error. Commands that failed
+ *                        a result evaluator also have the `failures` it found.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function describeTaskError(taskError) {
+  if (taskError?.resultFailure) {
+    return {
+      name:     taskError.resultFailure.name,
+      message:  taskError.resultFailure.message,
+      status:   taskError.stdoutJson?.status ?? null,
+      actions:  [],
+      failures: taskError.resultFailure.failures
+    };
+  }
+  const errorJson = [taskError?.stdoutJson, taskError?.stderrJson].find(json => isEmpty(json) !== true && (json.name || json.message));
+  if (errorJson) {
+    const remediation = findRemediation(errorJson.name, errorJson.message);
+    return {
+      name:     `${errorJson.name ?? 'UnknownCliError'}`,
+      message:  `${errorJson.message ?? ''}`,
+      status:   errorJson.status ?? null,
+      actions:  [...(Array.isArray(errorJson.actions) ? errorJson.actions : []), ...(remediation?.actions ?? [])]
+    };
+  }
+  const message = `${taskError?.message ?? taskError ?? ''}`.trim().split('\n')[0];
+  return {
+    name:     `${taskError?.name ?? 'Error'}`,
+    message:  message
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    createEntry
+ * @param       {String}  title         Required. Title of the task.
+ * @param       {String}  type          Required. Type of the task.
+ * @param       {String}  commandString Required. The redacted command, or `null`.
+ * @param       {String}  status        Required. Status of the new entry.
+ * @returns     {Object}  A new report entry that started now.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function createEntry(title, type, commandString, status) {
+  return {
+    title,
+    type,
+    commandString,
+    startedAt:  new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    exitCode:   null,
+    status,
+    skipReason: null,
+    error:      null
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    finishEntry
+ * @param       {Object}  entry   Required. A report entry.
+ * @param       {String}  status  Required. Final status of the entry.
+ * @param       {Object}  error   Required. Parsed error, or `null`.
+ * @returns     {void}
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function finishEntry(entry, status, error) {
+  entry.status      = status;
+  entry.error       = error ?? null;
+  entry.finishedAt  = new Date().toISOString();
+  entry.durationMs  = Date.parse(entry.finishedAt) - Date.parse(entry.startedAt);
+  SfdxFalconDebug.obj(`${dbgNs}:finishEntry`, entry, `Finished report entry: `);
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    describeEntry
+ * @param       {Object}  entry Required. A report entry.
+ * @returns     {String}  The entry's command and exit code, as shown in JUnit XML.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function describeEntry(entry) {
+  const lines = [];
+  if (entry.commandString) lines.push(`Command: ${entry.commandString}`);
+  if (entry.exitCode !== null) lines.push(`Exit code: ${entry.exitCode}`);
+  if (entry.status === `failed` && entry.error) lines.push(`${entry.error.name}: ${entry.error.message}`);
+  for (const action of entry.error?.actions ?? []) lines.push(`Action: ${action}`);
+  return lines.join('\n');
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    escapeXml
+ * @param       {String}  stringToEscape  Required. Any string.
+ * @returns     {String}  The string, safe to use as XML text or an attribute value.
+ * @description Also removes control characters, which aren't allowed in XML 1.0 at all.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function escapeXml(stringToEscape) {
+  return `${stringToEscape ?? ''}`
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -10,17 +10,34 @@
  */
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
 // Import External Libraries & Modules
-import { $, chalk }                       from "zx";
+import { chalk, sleep }                   from "zx";
 import { isEmpty }                        from "lodash-es";
 
 // Import Internal Classes & Functions
-import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconError,
+         SfdxCliError }                   from "../error/index.mjs";
 import { SfdxFalconDebug }                from "../debug/index.mjs";
 import { throwOnNullInvalidObject, 
          throwOnEmptyNullInvalidString, 
          throwOnEmptyNullInvalidObject,
          throwOnInvalidFunction}          from "../validators/type-validator.mjs";
-import { isSfCliCommandString }           from "../utilities/sfdx.mjs";
+import { isSfCliCommandString,
+         transientSfCliErrorPatterns }    from "../utilities/sfdx.mjs";
+import { redactSecrets }                  from "../utilities/general.mjs";
+import { trackProcess,
+         getCancellationSignal }          from "./process-tracker.mjs";
+import { validateTaskConditions,
+         buildSkipFunction }              from "./task-conditions.mjs";
+import { validateCapture,
+         captureResults,
+         resolveCommandString }           from "./task-context.mjs";
+import { runReportedTask,
+         reportSuppressedFailure,
+         describeTaskError,
+         isStrictMode }                   from "./run-report.mjs";
+import { recordTaskOutput }               from "./run-log.mjs";
+import { executeCommand }                 from "./command-executor.mjs";
+import { evaluateResult }                 from "./result-evaluators.mjs";
 import { stdioToJson }                    from "../utilities/json.mjs";
 
 // Set the File Local Debug Namespace
@@ -28,7 +45,11 @@ const dbgNs = 'TaskRunner:SfdxTask';
 SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
-
+/**
+ * Longest timeout an `SfdxTask` accepts, in milliseconds. `setTimeout()` fires almost immediately
+ * for anything longer.
+ */
+export const maxTaskTimeout = 2147483647;
 
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
 /**
@@ -44,8 +65,10 @@ export class SfdxTask {
    */
   title = null;
   /**
-   * @type      {String}
-   * @summary   The `sf` or `sfdx` command that will be executed when this task is run.
+   * @type        {String}
+   * @summary     The `sf` or `sfdx` command that will be executed when this task is run.
+   * @description May contain `{{name}}` placeholders. They're replaced by values from the `Listr`
+   *              context object, eg. ones captured by earlier tasks, right before the command runs.
    */
   commandString = null;
   /**
@@ -105,6 +128,99 @@ export class SfdxTask {
    *              tasks marked as concurrent.
    */
   concurrent = null;
+  /**
+   * @type        {Object}
+   * @summary     Secret values that appear in `commandString`, keyed by the name of an
+   *              environment variable that can provide them.
+   * @description Secrets are replaced by references to their environment variables whenever the
+   *              command is shown or saved, eg. by a dry run. They're never replaced in the
+   *              command that's actually executed.
+   * @example
+   * ```
+   * {SFDX_FALCON_INSTALL_KEY_MY_PACKAGE: 'the-actual-key'}
+   * ```
+   */
+  secrets = null;
+  /**
+   * @type        {Object}
+   * @summary     Retry policy for errors that are likely to be transient, or `null` to never retry.
+   * @description Built from the `retry` option, which can have these keys.
+   *              - `maxAttempts`   Total number of attempts, including the first. Default `3`.
+   *              - `delay`         Milliseconds to wait before the second attempt. Default `10000`.
+   *              - `backoffFactor` Multiplies the delay after every failed attempt. Default `2`.
+   *              - `retryOn`       Decides which errors are retryable. Either an array of strings
+   *                                and RegExps, or a function that gets the error JSON from
+   *                                `stdout` and returns `true` to retry. A string matches if it's
+   *                                the error's `name` or appears in its `message`. A RegExp matches
+   *                                if it tests `true` against either. Defaults to
+   *                                `transientSfCliErrorPatterns`.
+   *              Errors that aren't retryable fail the task immediately.
+   * @example
+   * ```
+   * {maxAttempts: 3, delay: 30000, retryOn: ['GenericTimeoutError', /not yet available/i]}
+   * ```
+   */
+  retry = null;
+  /**
+   * @type        {Number}
+   * @summary     Milliseconds each attempt may run before its command is killed, or `null` for no
+   *              limit.
+   * @description A command that times out fails the task, or is ignored if errors are suppressed.
+   *              Timeouts are never retried.
+   */
+  timeout = null;
+  /**
+   * @type        {function|boolean}
+   * @summary     Runs the task only if this is `true`, or if this function returns a truthy value.
+   * @description The function receives the `Listr` context object and may be async. Anything else
+   *              it needs, eg. toolbelt config or command flags, can be captured by a closure.
+   *              When the task doesn't run it's shown as skipped with the reason
+   *              "Condition not met". `null` means the task always runs.
+   * @example
+   * ```
+   * this.when = async (ctx) => ctx.orgWasCreated === true;
+   * ```
+   */
+  when = null;
+  /**
+   * @type        {function|boolean|String}
+   * @summary     Skips the task if this is `true` or a non-empty string, or if this function
+   *              returns one.
+   * @description A string is the reason shown in the task list. The function receives the `Listr`
+   *              context object and may be async. Checked before `when`.
+   * @example
+   * ```
+   * this.skip = () => isCiEnvironment() ? `Can't open a browser in CI` : false;
+   * ```
+   */
+  skip = null;
+  /**
+   * @type        {Object}
+   * @summary     Values to copy from the command's JSON output into the `Listr` context object.
+   * @description Maps context keys to property paths in `stdoutJson`. Values are captured as soon
+   *              as the command succeeds, before `onSuccess` runs. Later tasks can use them in
+   *              their commands via `{{name}}` placeholders. A path that doesn't exist fails the
+   *              task, even if errors are suppressed.
+   * @example
+   * ```
+   * {orgUsername: 'result.username', orgId: 'result.orgId'}
+   * ```
+   */
+  capture = null;
+  /**
+   * @type        {function}
+   * @summary     Decides whether the command succeeded by looking at its JSON output, or `null` to
+   *              use the built-in evaluator for the command.
+   * @description Receives the command's parsed `stdout` JSON and returns `true` if the command
+   *              succeeded. May be async. Only runs when the command exits with code 0 and a
+   *              `status` of 0. When it returns anything else, the task fails the same way it
+   *              would if the command had failed. See `result-evaluators.mjs`.
+   * @example
+   * ```
+   * this.isSuccess = (resultJson) => resultJson.result.numberRecordsFailed === 0;
+   * ```
+   */
+  isSuccess = null;
   /**
    * @summary     A `Listr` task constructed using the values passed to the `constructor`.
    */
@@ -151,6 +267,15 @@ export class SfdxTask {
     throwOnNullInvalidObject     (options,        `${localDbgNs}`, 'options', true);
     if (options.onSuccess) throwOnInvalidFunction(options.onSuccess,  `${localDbgNs}`, 'options.onSuccess');
     if (options.onError)   throwOnInvalidFunction(options.onError,    `${localDbgNs}`, 'options.onError');
+    if (options.isSuccess) throwOnInvalidFunction(options.isSuccess,  `${localDbgNs}`, 'options.isSuccess');
+    if (options.secrets)   throwOnNullInvalidObject(options.secrets,  `${localDbgNs}`, 'options.secrets', true);
+    if (options.retry)     throwOnNullInvalidObject(options.retry,    `${localDbgNs}`, 'options.retry', true);
+    if (options.timeout !== null && typeof options.timeout !== 'undefined' && isValidTimeout(options.timeout) !== true) {
+      throw new SfdxFalconError(`Invalid Timeout: ${options.timeout}   The timeout of an SfdxTask must be a whole number of milliseconds from 1 to ${maxTaskTimeout}.`,
+                                `Invalid Task Timeout`,
+                                `${localDbgNs}`);
+    }
+    validateTaskConditions(options, `${localDbgNs}`);
     if (isSfCliCommandString(commandString) !== true) {
       throw new SfdxFalconError(`Invalid Command String: |-->${commandString}<--|   SfdxTask objects can only be constructed with 'sf' or 'sfdx' command strings. For other commands, please construct a CliTask object.`,
                                 `Invalid SFDX Command String`,
@@ -165,7 +290,14 @@ export class SfdxTask {
                                   renderStdioOnError: false,
                                   concurrent: false,
                                   onSuccess: null,
-                                  onError: null
+                                  onError: null,
+                                  secrets: {},
+                                  retry: null,
+                                  timeout: null,
+                                  when: null,
+                                  skip: null,
+                                  capture: null,
+                                  isSuccess: null
                                 },
                                 ...options};
     this.onSuccess            = this.options.onSuccess;
@@ -173,6 +305,13 @@ export class SfdxTask {
     this.suppressErrors       = this.options.suppressErrors ? true : false;       // Ensure "truthy" values become TRUE.
     this.renderStdioOnError   = this.options.renderStdioOnError ? true : false;   // Ensure "truthy" values become TRUE.
     this.concurrent           = this.options.concurrent ? true : false;           // Ensure "truthy" values become TRUE.
+    this.secrets              = this.options.secrets ?? {};
+    this.retry                = buildRetryPolicy(this.options.retry, localDbgNs);
+    this.timeout              = this.options.timeout ?? null;
+    this.when                 = this.options.when ?? null;
+    this.skip                 = this.options.skip ?? null;
+    this.capture              = validateCapture(this.options.capture, localDbgNs);
+    this.isSuccess            = this.options.isSuccess ?? null;
     this.lisrTask             = buildListrTask(this);
 
     // Debug member variables.
@@ -185,6 +324,149 @@ export class SfdxTask {
     SfdxFalconDebug.obj(`${localDbgNs}:this.suppressErrors`,  this.suppressErrors);
     SfdxFalconDebug.obj(`${localDbgNs}:this.lisrTask`,        this.lisrTask);
   }
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @method      getRedactedCommandString
+   * @returns     {String}  The command string with every secret replaced by a
+   *              reference to its environment variable, eg.
+   *              `-k "${SFDX_FALCON_INSTALL_KEY_MY_PACKAGE}"`.
+   * @description Use this whenever the command is shown to users or saved to
+   *              a file. The result can still be run by a shell that has the
+   *              environment variables set.
+   * @public
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  getRedactedCommandString() {
+    return redactSecrets(this.commandString, this.secrets);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildRetryPolicy
+ * @param       {Object}  retry     Optional. The `retry` option passed to the constructor.
+ * @param       {String}  dbgNsExt  Required. Debug namespace of the caller.
+ * @returns     {Object}  The retry policy with defaults applied, or `null` if there's no policy.
+ * @description Throws if any part of the policy is invalid.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildRetryPolicy(retry, dbgNsExt) {
+  if (retry === null || typeof retry === 'undefined') {
+    return null;
+  }
+  const retryPolicy = {
+    maxAttempts:    3,
+    delay:          10000,
+    backoffFactor:  2,
+    retryOn:        transientSfCliErrorPatterns,
+    ...retry
+  };
+  if (Number.isInteger(retryPolicy.maxAttempts) !== true || retryPolicy.maxAttempts < 1) {
+    throw new SfdxFalconError(`The retry policy's maxAttempts must be a whole number greater than zero. Got: ${retryPolicy.maxAttempts}`,
+                              `Invalid Retry Policy`,
+                              `${dbgNsExt}`);
+  }
+  for (const numericKey of ['delay', 'backoffFactor']) {
+    if (typeof retryPolicy[numericKey] !== 'number' || retryPolicy[numericKey] < 0) {
+      throw new SfdxFalconError(`The retry policy's ${numericKey} must be a number that isn't negative. Got: ${retryPolicy[numericKey]}`,
+                                `Invalid Retry Policy`,
+                                `${dbgNsExt}`);
+    }
+  }
+  const isValidMatcher = matcher => typeof matcher === 'string' || matcher instanceof RegExp;
+  if (typeof retryPolicy.retryOn !== 'function' && (Array.isArray(retryPolicy.retryOn) !== true || retryPolicy.retryOn.every(isValidMatcher) !== true)) {
+    throw new SfdxFalconError(`The retry policy's retryOn must be a function or an array of strings and RegExps.`,
+                              `Invalid Retry Policy`,
+                              `${dbgNsExt}`);
+  }
+  return retryPolicy;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isValidTimeout
+ * @param       {unknown} timeout Required. The timeout to check.
+ * @returns     {Boolean} True if the timeout is a whole number of milliseconds from 1 to
+ *                        `maxTaskTimeout`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isValidTimeout(timeout) {
+  return Number.isInteger(timeout) && timeout >= 1 && timeout <= maxTaskTimeout;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isRetryableError
+ * @param       {Object}  retryPolicy   Required. Retry policy of the task that failed.
+ * @param       {Object}  processError  Required. The error thrown by `ZX`, with `stdoutJson` and
+ *                                      `stderrJson` already parsed.
+ * @returns     {Boolean} True if the policy says the error is retryable.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function isRetryableError(retryPolicy, processError) {
+  const errorJson = processError.stdoutJson ?? processError.stderrJson ?? {};
+  if (typeof retryPolicy.retryOn === 'function') {
+    return retryPolicy.retryOn(errorJson) === true;
+  }
+  const errorName     = `${errorJson.name ?? ''}`;
+  const errorMessage  = `${errorJson.message ?? processError.stderr ?? ''}`;
+  return retryPolicy.retryOn.some(matcher => {
+    if (matcher instanceof RegExp) {
+      return matcher.test(errorName) || matcher.test(errorMessage);
+    }
+    return errorName === matcher || errorMessage.includes(matcher);
+  });
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    executeWithRetries
+ * @param       {SfdxTask}  sfdxTask      Required. The SfdxTask whose command will be executed.
+ * @param       {String}    commandString Required. The task's command, with placeholders resolved.
+ * @param       {ListrTask} task          Required. The running `Listr` task, used to show progress.
+ * @returns     {Promise<ProcessOutput>}  Resolves with the result of the first successful attempt.
+ * @description Executes the command with the active executor. If it fails with an error that the task's retry
+ *              policy says is retryable, waits and tries again until it runs out of attempts.
+ *              Rejects with the last error, with its `stdoutJson` and `stderrJson` already parsed.
+ *              If an attempt runs longer than the task's timeout, its command is killed and the
+ *              error is flagged with `timedOut`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+async function executeWithRetries(sfdxTask, commandString, task) {
+  const localDbgNs  = `${dbgNs}:executeWithRetries`;
+  const maxAttempts = sfdxTask.retry?.maxAttempts ?? 1;
+  let   delay       = sfdxTask.retry?.delay ?? 0;
+
+  for (let attempt = 1; ; attempt++) {
+    if (attempt > 1) {
+      task.title = `${sfdxTask.title} (attempt ${attempt}/${maxAttempts})`;
+    }
+    const processPromise  = executeCommand(commandString, {secrets: sfdxTask.secrets});
+    const untrackProcess  = trackProcess(processPromise);
+    let   timedOut        = false;
+    const timeoutId       = sfdxTask.timeout === null ? null : setTimeout(() => {
+      timedOut = true;
+      processPromise.kill().catch(() => {});
+    }, sfdxTask.timeout);
+    try {
+      return await processPromise;
+    } catch (processError) {
+      processError.stderrJson = stdioToJson(processError.stderr ?? '');
+      processError.stdoutJson = stdioToJson(processError.stdout ?? '');
+      processError.timedOut   = timedOut;
+      if (attempt >= maxAttempts || timedOut || getCancellationSignal() !== null || isRetryableError(sfdxTask.retry, processError) !== true) {
+        throw processError;
+      }
+      const errorJson = processError.stdoutJson ?? processError.stderrJson ?? {};
+      SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, errorJson, `Attempt ${attempt}/${maxAttempts} failed with a retryable error. Retrying in ${delay}ms: `);
+      task.output = `Attempt ${attempt}/${maxAttempts} failed (${errorJson.name ?? `Exit Code=${processError.exitCode}`}). Retrying in ${Math.round(delay / 1000)}s.`;
+      await sleep(delay);
+      delay = delay * sfdxTask.retry.backoffFactor;
+    } finally {
+      clearTimeout(timeoutId);
+      untrackProcess();
+    }
+  }
 }
 // ────────────────────────────────────────────────────────────────────────────────────────────────┐
 /**
@@ -208,12 +490,18 @@ function buildListrTask(sfdxTask) {
   const newListrTask = {
     title:        sfdxTask.title,
     concurrent:   sfdxTask.concurrent,
-    task: async (ctx, task) => { 
-      SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, sfdxTask.commandString, `About to Execute SFDX Command String:\n`);
+    skip:         buildSkipFunction(sfdxTask, `sfdx`),
+    task: async (ctx, task, reportEntry) => { 
+      const commandString = resolveCommandString(sfdxTask.commandString, ctx, `ASYNC:${localDbgNs}`);
+      reportEntry.commandString = redactSecrets(commandString, sfdxTask.secrets);
+      SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, commandString, `About to Execute SFDX Command String:\n`);
 
-      // Use ZX to execute the Salesfoce CLI command.
+      // Execute the Salesforce CLI command with the active executor, retrying transient errors if allowed.
+      let handlingResults = false;
       try {
-        const processPromise = await $`${sfdxTask.commandString}`;
+        const processPromise = await executeWithRetries(sfdxTask, commandString, task);
+        reportEntry.exitCode = processPromise.exitCode;
+        recordTaskOutput(reportEntry, processPromise, sfdxTask.secrets);
 
         // Convert any JSON found in stdout/stderr buffers to actual objects.
         processPromise.stderrJson = stdioToJson(processPromise.stderr);
@@ -227,28 +515,68 @@ function buildListrTask(sfdxTask) {
         SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, processPromise.stdout, `STDOUT:`);
         SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, processPromise.stderr, `STDERR:`);
 
+        // Some commands exit with code 0 even though they failed, so check the result they returned.
+        handlingResults = true;
+        const resultFailure = await evaluateResult(commandString, processPromise.stdoutJson, sfdxTask.isSuccess);
+        handlingResults = false;
+        if (resultFailure !== null) {
+          SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, resultFailure, `Result Evaluation Failure:`);
+          processPromise.resultFailure = resultFailure;
+          throw processPromise;
+        }
+
+        // Copy captured values into the context, so the success handler and later tasks can use them.
+        handlingResults = true;
+        captureResults(sfdxTask.capture, processPromise.stdoutJson, ctx, `ASYNC:${localDbgNs}`);
+        handlingResults = false;
+
         // Call success handler, if present.
         if (typeof sfdxTask.onSuccess === 'function') {
+          handlingResults = true;
           await sfdxTask.onSuccess(processPromise, ctx, task);
+          handlingResults = false;
         }
       } catch (processError) {
+        // Later tasks depend on captured values, and a broken isSuccess check or success handler is
+        // a bug, so none of them is a suppressible CLI error.
+        if (handlingResults) {
+          throw processError;
+        }
         SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Salesforce CLI Command Execution Failure`);
         SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, processError, `processError:`);
+        reportEntry.exitCode = processError.exitCode ?? null;
+        recordTaskOutput(reportEntry, processError, sfdxTask.secrets);
+        // A cancelled command always stops the pipeline, even if errors are suppressed.
+        if (getCancellationSignal() !== null) {
+          throw new SfdxFalconError(`Cancelled by ${getCancellationSignal()}.`,
+                                    `Task Cancelled`,
+                                    `${localDbgNs}`,
+                                    processError);
+        }
+        // Convert any JSON found in stdout/stderr buffers to actual objects.
+        processError.stderrJson = stdioToJson(processError.stderr ?? '');
+        processError.stdoutJson = stdioToJson(processError.stdout ?? '');
+
         // Call error handler, if present.
         if (typeof sfdxTask.onError === 'function') {
           await sfdxTask.onError(processError, ctx, task);
         }  
-        // Throw error if errors are not suppressed for this task.
-        if (sfdxTask.suppressErrors === false) {
-          // Convert any JSON found in stdout/stderr buffers to actual objects.
-          processError.stderrJson = stdioToJson(processError.stderr);
-          processError.stdoutJson = stdioToJson(processError.stdout);
-
+        // A killed command has no exit code, so report a timeout with 124, like the timeout command.
+        const timeoutError = processError.timedOut !== true ? null :
+                             new SfdxFalconError(`Salesforce CLI command timed out after ${Math.round(sfdxTask.timeout / 1000)} seconds.`,
+                                                 `SFDX CLI Command Timed Out`,
+                                                 `${localDbgNs}`,
+                                                 processError);
+        if (timeoutError !== null) {
+          reportEntry.exitCode = processError.exitCode ?? 124;
+        }
+        // Throw error if errors are not suppressed for this task, or if strict mode ignores suppression.
+        if (sfdxTask.suppressErrors === false || isStrictMode()) {
           // Optionally render STDERR and STDOUT.
           if (sfdxTask.renderStdioOnError === true) {
             SfdxFalconDebug.debugMessage(`SfdxTask:ERROR`,    chalk.red(`Salesforce CLI command terminated with errors (Exit Code=${processError.exitCode}).`) +
                                                               `\nThe command and the contents of STDERR and STDOUT are rendered below.`);
-            SfdxFalconDebug.debugString(`SfdxTask:COMMAND`,   sfdxTask.commandString);
+            SfdxFalconDebug.debugString(`SfdxTask:COMMAND`,   redactSecrets(commandString, sfdxTask.secrets));
             if (isEmpty(processError.stderrJson)) {
               SfdxFalconDebug.debugString(`SfdxTask:STDERR`,  processError.stderr);
             } else {
@@ -263,20 +591,32 @@ function buildListrTask(sfdxTask) {
 
           // Debug.
           SfdxFalconDebug.msg(`ASYNC:${localDbgNs}`, `Errors are not suppressed for this SfdxTask`);
-          SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, `CommandString:\n${sfdxTask.commandString}`);
+          SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, `CommandString:\n${commandString}`);
           SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, processError.stderr, `STDERR:`);
           SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, processError.stdout, `STDOUT:`);
           SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, processError.stderrJson, `STDERR_JSON:`);
           SfdxFalconDebug.obj(`ASYNC:${localDbgNs}`, processError.stdoutJson, `STDOUT_JSON:`);
 
-          throw new SfdxFalconError(`Salesforce CLI command execution failed.`,
-                                    `SFDX CLI Command Failed`,
-                                    `${localDbgNs}`,
-                                    processError);
+          if (timeoutError !== null) {
+            reportEntry.error = describeTaskError(timeoutError);
+            throw timeoutError;
+          }
+          reportEntry.error = describeTaskError(processError);
+          throw new SfdxCliError(redactSecrets(commandString, sfdxTask.secrets),
+                                 redactSecrets(`${processError.stdout ?? ''}`, sfdxTask.secrets),
+                                 redactSecrets(`${processError.stderr ?? ''}`, sfdxTask.secrets),
+                                 processError.resultFailure ? `Salesforce CLI command returned a failed result` : `Salesforce CLI command execution failed`,
+                                 `${localDbgNs}`,
+                                 processError.resultFailure ?? null);
         }
+        reportSuppressedFailure(reportEntry, timeoutError ?? processError);
       }
     }
   }
+
+  // Record the outcome of every run of the task in the run report.
+  const runTask     = newListrTask.task;
+  newListrTask.task = (ctx, task) => runReportedTask(sfdxTask.title, `sfdx`, sfdxTask.getRedactedCommandString(), reportEntry => runTask(ctx, task, reportEntry));
   SfdxFalconDebug.obj(`${localDbgNs}:newListrTask`, newListrTask);
   return newListrTask;
 }
\ No newline at end of file
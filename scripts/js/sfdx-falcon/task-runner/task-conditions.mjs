@@ -0,0 +1,150 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/task-conditions.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Evaluates the `when` and `skip` options shared by every kind of task.
+ * @description   Lets a task decide whether it should run, eg. only when there's something to
+ *                install or only when a browser can be opened, and explain why it was skipped.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { reportSkippedTask }              from "./run-report.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:TaskConditions';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Reason shown when a task's `skip` option is `true` or returns `true`.
+ */
+const defaultSkipReason = `Skipped`;
+/**
+ * Reason shown when a task's `when` option is `false` or returns a falsy value.
+ */
+const defaultWhenReason = `Condition not met`;
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    validateTaskConditions
+ * @param       {Object}  options   Required. Options passed to a task's constructor.
+ * @param       {String}  dbgNsExt  Required. Debug namespace of the caller.
+ * @returns     {void}
+ * @description Throws unless `options.when` is a function or boolean, and `options.skip` is a
+ *              function, boolean, or string.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function validateTaskConditions(options, dbgNsExt) {
+  const when = options.when;
+  const skip = options.skip;
+  if (typeof when !== 'undefined' && when !== null && ['function', 'boolean'].includes(typeof when) !== true) {
+    throw new SfdxFalconError(`The 'when' option of a task must be a function or a boolean. Got: ${typeof when}`,
+                              `Invalid Task Condition`,
+                              `${dbgNsExt}`);
+  }
+  if (typeof skip !== 'undefined' && skip !== null && ['function', 'boolean', 'string'].includes(typeof skip) !== true) {
+    throw new SfdxFalconError(`The 'skip' option of a task must be a function, a boolean, or a string. Got: ${typeof skip}`,
+                              `Invalid Task Condition`,
+                              `${dbgNsExt}`);
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getStaticSkipReason
+ * @param       {Object}  taskToCheck Required. Any task with `when` and `skip` members.
+ * @returns     {String}  Why the task will be skipped, or `null` if that can only be known when it
+ *                        runs, or if it won't be skipped.
+ * @description Only looks at conditions that aren't functions, so it's safe to call before the
+ *              pipeline runs, eg. by a dry run.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getStaticSkipReason(taskToCheck) {
+  if (typeof taskToCheck.skip === 'string' && taskToCheck.skip !== '') {
+    return taskToCheck.skip;
+  }
+  if (taskToCheck.skip === true) {
+    return defaultSkipReason;
+  }
+  if (taskToCheck.when === false) {
+    return defaultWhenReason;
+  }
+  return null;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    hasRuntimeConditions
+ * @param       {Object}  taskToCheck Required. Any task with `when` and `skip` members.
+ * @returns     {Boolean} True if whether the task runs is decided by a function when it runs.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function hasRuntimeConditions(taskToCheck) {
+  return typeof taskToCheck.when === 'function' || typeof taskToCheck.skip === 'function';
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildSkipFunction
+ * @param       {Object}  taskToCheck Required. Any task with `title`, `when`, and `skip` members.
+ * @param       {String}  taskType    Required. Type of the task in the run report, eg. `sfdx`.
+ * @returns     {function}  An async `Listr` skip function. It resolves to the reason the task was
+ *                          skipped, or to `false` if the task should run. Skipped tasks are added
+ *                          to the run report.
+ * @description `skip` is checked first. If it returns a non-empty string, that's the reason shown
+ *              in the task list. Then `when` is checked, and the task only runs if it returns a
+ *              truthy value. Both functions receive the `Listr` context object.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function buildSkipFunction(taskToCheck, taskType) {
+  const localDbgNs = `${dbgNs}:buildSkipFunction`;
+  return async (ctx) => {
+    const skipReason = await findSkipReason(taskToCheck, ctx, localDbgNs);
+    if (skipReason !== false) {
+      reportSkippedTask(taskToCheck.title, taskType, skipReason);
+    }
+    return skipReason;
+  };
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findSkipReason
+ * @param       {Object}  taskToCheck Required. Any task with `title`, `when`, and `skip` members.
+ * @param       {Object}  ctx         Required. The `Listr` context object.
+ * @param       {String}  dbgNsExt    Required. Debug namespace of the caller.
+ * @returns     {Promise<String|Boolean>} The reason the task should be skipped, or `false`.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+async function findSkipReason(taskToCheck, ctx, dbgNsExt) {
+  const staticSkipReason = getStaticSkipReason(taskToCheck);
+  if (staticSkipReason !== null) {
+    return staticSkipReason;
+  }
+  if (typeof taskToCheck.skip === 'function') {
+    const skipResult = await taskToCheck.skip(ctx);
+    SfdxFalconDebug.obj(`ASYNC:${dbgNsExt}`, skipResult, `Result of the skip condition for "${taskToCheck.title}": `);
+    if (typeof skipResult === 'string' && skipResult !== '') {
+      return skipResult;
+    }
+    if (skipResult === true) {
+      return defaultSkipReason;
+    }
+  }
+  if (typeof taskToCheck.when === 'function') {
+    const whenResult = await taskToCheck.when(ctx);
+    SfdxFalconDebug.obj(`ASYNC:${dbgNsExt}`, whenResult, `Result of the when condition for "${taskToCheck.title}": `);
+    if (!whenResult) {
+      return defaultWhenReason;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,108 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/task-context.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Moves data between tasks through the shared `Listr` context object.
+ * @description   Lets a task capture values from the JSON returned by its command, and lets later
+ *                tasks use those values in their commands via `{{name}}` placeholders.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+import { get }                            from "lodash-es";
+
+// Import Internal Classes & Functions
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { resolvePlaceholders,
+         findPlaceholders }               from "../utilities/general.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:TaskContext';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    validateCapture
+ * @param       {Object}  capture   Optional. The `capture` option passed to a task's constructor.
+ * @param       {String}  dbgNsExt  Required. Debug namespace of the caller.
+ * @returns     {Object}  The capture map, or an empty object if there isn't one.
+ * @description Throws unless every key is a valid placeholder name and every value is a
+ *              non-empty property path, eg. `result.username`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function validateCapture(capture, dbgNsExt) {
+  if (capture === null || typeof capture === 'undefined') {
+    return {};
+  }
+  if (typeof capture !== 'object' || Array.isArray(capture)) {
+    throw new SfdxFalconError(`The 'capture' option of a task must be an object that maps context keys to property paths, eg. {orgUsername: 'result.username'}.`,
+                              `Invalid Result Capture`,
+                              `${dbgNsExt}`);
+  }
+  for (const [ctxKey, propertyPath] of Object.entries(capture)) {
+    if (/^[\w.-]+$/.test(ctxKey) !== true) {
+      throw new SfdxFalconError(`Can't capture a value as '${ctxKey}'. Context keys can only contain letters, numbers, '_', '.', and '-'.`,
+                                `Invalid Result Capture`,
+                                `${dbgNsExt}`);
+    }
+    if (typeof propertyPath !== 'string' || propertyPath.trim() === '') {
+      throw new SfdxFalconError(`The value captured as '${ctxKey}' must come from a property path, eg. 'result.username'.`,
+                                `Invalid Result Capture`,
+                                `${dbgNsExt}`);
+    }
+  }
+  return {...capture};
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    captureResults
+ * @param       {Object}  capture     Required. Context keys mapped to property paths.
+ * @param       {Object}  resultJson  Required. JSON returned by the command, eg. `stdoutJson`.
+ * @param       {Object}  ctx         Required. The `Listr` context object to copy values into.
+ * @param       {String}  dbgNsExt    Required. Debug namespace of the caller.
+ * @returns     {void}
+ * @description Throws if a property path doesn't exist in `resultJson`, since later tasks that
+ *              use the value would fail in less obvious ways.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function captureResults(capture, resultJson, ctx, dbgNsExt) {
+  for (const [ctxKey, propertyPath] of Object.entries(capture)) {
+    const capturedValue = get(resultJson, propertyPath);
+    if (typeof capturedValue === 'undefined') {
+      throw new SfdxFalconError(`Couldn't capture '${ctxKey}'. The command's JSON output has no value at '${propertyPath}'.`,
+                                `Result Capture Failed`,
+                                `${dbgNsExt}`);
+    }
+    SfdxFalconDebug.obj(`ASYNC:${dbgNs}:captureResults`, capturedValue, `Captured ${ctxKey} from ${propertyPath}: `);
+    ctx[ctxKey] = capturedValue;
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    resolveCommandString
+ * @param       {String}  commandString Required. Command that may contain `{{name}}` placeholders.
+ * @param       {Object}  ctx           Required. The `Listr` context object.
+ * @param       {String}  dbgNsExt      Required. Debug namespace of the caller.
+ * @returns     {String}  The command with every placeholder replaced by its value in `ctx`,
+ *                        quoted for bash so captured values can't split or inject arguments.
+ * @description Throws if a placeholder has no value in `ctx`, so a command is never run with a
+ *              literal `{{name}}` in it.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function resolveCommandString(commandString, ctx, dbgNsExt) {
+  const unresolvedNames = findPlaceholders(commandString).filter(name => ctx[name] === null || typeof ctx[name] === 'undefined');
+  if (unresolvedNames.length > 0) {
+    throw new SfdxFalconError(`The command uses ${unresolvedNames.map(name => `{{${name}}}`).join(', ')}, but no earlier task captured a value for it.`,
+                              `Unresolved Placeholder`,
+                              `${dbgNsExt}`);
+  }
+  return resolvePlaceholders(commandString, ctx, {quote: true});
+}
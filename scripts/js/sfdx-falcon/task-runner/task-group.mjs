@@ -0,0 +1,210 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/task-runner/task-group.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Groups tasks under a single title so they run as `Listr` subtasks.
+ * @description   Lets a pipeline run a named stage, eg. "Post-deploy setup", whose tasks run either
+ *                one after another or all at once, with its own policy for handling failures.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { SfdxTask }                       from "./sfdx-task.mjs";
+import { CliTask }                        from "./cli-task.mjs";
+import { FunctionTask }                   from "./function-task.mjs";
+import { SfdxFalconError }                from "../error/index.mjs";
+import { SfdxFalconDebug }                from "../debug/index.mjs";
+import { throwOnNullInvalidObject,
+         throwOnNullInvalidArray,
+         throwOnEmptyNullInvalidString }  from "../validators/type-validator.mjs";
+import { validateTaskConditions,
+         buildSkipFunction }              from "./task-conditions.mjs";
+import { reportSkippedTask }              from "./run-report.mjs";
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TaskRunner:TaskGroup';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @class       TaskGroup
+ * @description Defines a named group of `SfdxTask`, `CliTask`, `FunctionTask`, or nested
+ *              `TaskGroup` objects that run as `Listr` subtasks.
+ * @public
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export class TaskGroup {
+  /**
+   * @type      {String}
+   * @summary   Title of the TaskGroup. Appears in the `Listr` task list above its tasks.
+   */
+  title = null;
+  /**
+   * @type      {Array<SfdxTask|CliTask|FunctionTask|TaskGroup>}
+   * @summary   The tasks in this group, in the order they were added.
+   */
+  tasks = null;
+  /**
+   * @type      {Object}
+   * @summary   Options object for this `TaskGroup`.
+   */
+  options = null;
+  /**
+   * @type        {boolean}
+   * @summary     Runs every task in the group at the same time instead of one after another.
+   */
+  concurrent = null;
+  /**
+   * @type        {boolean}
+   * @summary     Stops the group, and the pipeline, as soon as one of its tasks fails.
+   * @description When `false`, every task in the group runs even if some of them fail. Failed
+   *              tasks don't stop the rest of the pipeline, but the run still fails once every
+   *              task has finished. Use `suppressErrors` for tasks that are allowed to fail.
+   */
+  exitOnError = null;
+  /**
+   * @type        {function|boolean}
+   * @summary     Runs the group only if this is `true`, or if this function returns a truthy value.
+   * @description The function receives the `Listr` context object and may be async. When the
+   *              group doesn't run it's shown as skipped with the reason "Condition not met".
+   */
+  when = null;
+  /**
+   * @type        {function|boolean|String}
+   * @summary     Skips the group if this is `true` or a non-empty string, or if this function
+   *              returns one. A string is the reason shown in the task list.
+   */
+  skip = null;
+  /**
+   * @summary     A `Listr` task constructed using the values passed to the `constructor`.
+   */
+  lisrTask = null;
+
+  //───────────────────────────────────────────────────────────────────────────┐
+  /**
+   * @constructor
+   * @param       {String} title      Required. The text that will appear in
+   *                                  the task list above the group's tasks.
+   * @param       {Array}  tasks      Required. `SfdxTask`, `CliTask`,
+   *                                  `FunctionTask`, or `TaskGroup` objects.
+   * @param       {Object} [options]  Optional. Can contain `concurrent`,
+   *                                  `exitOnError`, `when`, and `skip`.
+   * @returns     {TaskGroup}
+   * @description Instantiates a `TaskGroup` object which wraps a `Listr` task
+   *              whose subtasks are the tasks in the group. A group with no
+   *              tasks is skipped, unless `when` or `skip` skips it first.
+   * @public
+   * @example
+   * ```
+   * const postDeploySetup = new TaskGroup(
+   *   `Post-deploy setup`,
+   *   [
+   *     new SfdxTask(`Assign "All Access" perm set`, `sf org assign permset -n All_Access_DEV_TEST`),
+   *     new SfdxTask(`Generate dev/test data`,       `sf apex run -f scripts/apex/create-test-data.apex`),
+   *     new SfdxTask(`Create QA user`,               `sf org create user -f config/qa-user-def.json`)
+   *   ],
+   *   {concurrent: true, exitOnError: false}
+   * );
+   * ```
+   */
+  //───────────────────────────────────────────────────────────────────────────┘
+  constructor(title, tasks, options={}) {
+    // Set local debug namespace.
+    const localDbgNs = `${dbgNs}:constructor`;
+
+    // Debug arguments.
+    SfdxFalconDebug.str(`${localDbgNs}:title`, title);
+    SfdxFalconDebug.obj(`${localDbgNs}:options`, options);
+
+    // Validate arguments.
+    throwOnEmptyNullInvalidString(title,    `${localDbgNs}`, 'title');
+    throwOnNullInvalidArray      (tasks,    `${localDbgNs}`, 'tasks');
+    throwOnNullInvalidObject     (options,  `${localDbgNs}`, 'options', true);
+    validateTaskConditions(options, `${localDbgNs}`);
+    tasks.forEach((taskToGroup, index) => {
+      if (isTaskRunnerTask(taskToGroup) !== true) {
+        throw new SfdxFalconError(`Item ${index} of the "${title}" task group is not an SfdxTask, CliTask, FunctionTask, or TaskGroup.`,
+                                  `Invalid Task Group`,
+                                  `${localDbgNs}`);
+      }
+    });
+
+    // Initialze member variables.
+    this.title                = title;
+    this.tasks                = [...tasks];
+    this.options              = {...{
+                                  concurrent: false,
+                                  exitOnError: true,
+                                  when: null,
+                                  skip: null
+                                },
+                                ...options};
+    this.concurrent           = this.options.concurrent ? true : false;           // Ensure "truthy" values become TRUE.
+    this.exitOnError          = this.options.exitOnError === false ? false : true;
+    this.when                 = this.options.when ?? null;
+    this.skip                 = this.options.skip ?? null;
+    this.lisrTask             = buildListrTask(this);
+
+    // Debug member variables.
+    SfdxFalconDebug.obj(`${localDbgNs}:this.options`,         this.options);
+    SfdxFalconDebug.obj(`${localDbgNs}:this.tasks`,           this.tasks.map(groupedTask => groupedTask.title));
+  }
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isTaskRunnerTask
+ * @param       {unknown} taskToCheck Required. Anything.
+ * @returns     {Boolean} True if the argument is an `SfdxTask`, `CliTask`, `FunctionTask`, or
+ *                        `TaskGroup`.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isTaskRunnerTask(taskToCheck) {
+  return taskToCheck instanceof SfdxTask
+      || taskToCheck instanceof CliTask
+      || taskToCheck instanceof FunctionTask
+      || taskToCheck instanceof TaskGroup;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    buildListrTask
+ * @param       {TaskGroup} taskGroup Required. The TaskGroup used to build a `Listr` task.
+ * @returns     {ListrTask}           A fully-formed `Listr` task object.
+ * @summary     Takes a `TaskGroup` and builds a `Listr` task whose subtasks are its tasks.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function buildListrTask(taskGroup) {
+  // Set local debug namespace.
+  const localDbgNs = `${dbgNs}:buildListrTask`;
+
+  // Define the Listr task.
+  const skipGroup     = buildSkipFunction(taskGroup, `group`);
+  const newListrTask  = {
+    title:  taskGroup.title,
+    skip:   async (ctx) => {
+      const skipReason = await skipGroup(ctx);
+      if (skipReason === false && taskGroup.tasks.length === 0) {
+        reportSkippedTask(taskGroup.title, `group`, `No tasks to run`);
+        return `No tasks to run`;
+      }
+      return skipReason;
+    },
+    task:   (ctx, task) => {
+      SfdxFalconDebug.str(`ASYNC:${localDbgNs}`, taskGroup.title, `About to Run Task Group:\n`);
+      return task.newListr(
+        taskGroup.tasks.map(groupedTask => groupedTask.lisrTask),
+        {concurrent: taskGroup.concurrent, exitOnError: taskGroup.exitOnError}
+      );
+    }
+  }
+  SfdxFalconDebug.obj(`${localDbgNs}:newListrTask`, newListrTask);
+  return newListrTask;
+}
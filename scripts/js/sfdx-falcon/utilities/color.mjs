@@ -0,0 +1,82 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/utilities/color.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Decides whether the toolbelt's output uses color.
+ * @description   Follows the `NO_COLOR` and `FORCE_COLOR` conventions, and otherwise only uses
+ *                color when writing to a terminal. Every module that colors its output, including
+ *                `SfdxFalconDebug` and `SfdxFalconError`, uses the same setting.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries, Modules, and Types.
+import { chalk as zxChalk }  from "zx";
+import chalk                from "chalk";
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Color level supported by the terminal, as detected by `chalk`. Used when color is turned back
+ * on after being turned off.
+ */
+const supportedColorLevel = Math.max(chalk.level, 1);
+/**
+ * Whether output should use color. Decided once when the toolbelt starts.
+ */
+let colorEnabled = detectColorSupport(process.env, process.stdout);
+setColorEnabled(colorEnabled);
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    detectColorSupport
+ * @param       {Object}  env     Required. Environment variables, eg. `process.env`.
+ * @param       {Object}  stream  Required. The stream output is written to, eg. `process.stdout`.
+ * @returns     {Boolean} True if output written to the stream should use color.
+ * @description `NO_COLOR` turns color off and `FORCE_COLOR` turns it on, unless it's `0` or
+ *              `false`. Otherwise color is only used when the stream is a terminal that isn't
+ *              `dumb`, so CI logs and redirected output don't fill up with escape codes.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function detectColorSupport(env, stream) {
+  if (typeof env.NO_COLOR === 'string' && env.NO_COLOR !== '') {
+    return false;
+  }
+  if (typeof env.FORCE_COLOR === 'string') {
+    return ['0', 'false'].includes(env.FORCE_COLOR.toLowerCase()) !== true;
+  }
+  return stream?.isTTY === true && env.TERM !== 'dumb';
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isColorEnabled
+ * @returns     {Boolean} True if output should use color.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isColorEnabled() {
+  return colorEnabled;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    setColorEnabled
+ * @param       {Boolean} enabled Required. Whether output should use color.
+ * @returns     {void}
+ * @description Updates both copies of `chalk` used by the toolbelt. When color is turned off,
+ *              `NO_COLOR` is also set so libraries that check it when they load (eg. `listr2`)
+ *              and commands run by the toolbelt leave out color too.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function setColorEnabled(enabled) {
+  colorEnabled    = enabled === true;
+  chalk.level     = colorEnabled ? supportedColorLevel : 0;
+  zxChalk.level   = colorEnabled ? supportedColorLevel : 0;
+  if (colorEnabled) {
+    delete process.env.NO_COLOR;
+  } else {
+    process.env.NO_COLOR = '1';
+  }
+}
@@ -18,4 +18,95 @@ import { SfdxFalconDebug }  from "../debug/index.mjs";              // Internal
 const dbgNs = 'UTILITY:general';
 SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
 
-//TODO: Consider deleting this file if no general utilities are added.
\ No newline at end of file
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+/**
+ * Matches `{{name}}` placeholders. Names can contain letters, numbers, `_`, `.`, and `-`.
+ */
+const placeholderPattern = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    redactSecrets
+ * @param       {String}  stringToRedact  Required. String that may contain secret values, eg. a
+ *                                        command string.
+ * @param       {Object}  secrets         Required. Secret values keyed by the name of an
+ *                                        environment variable that can provide them.
+ * @returns     {String}  The string with every secret replaced by a reference to its environment
+ *                        variable, eg. `"${SFDX_FALCON_INSTALL_KEY_MY_PACKAGE}"`.
+ * @description The result of redacting a command string can still be run by a shell that has the
+ *              environment variables set. Secrets quoted with `quoteForBash()` are replaced along
+ *              with their quotes.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function redactSecrets(stringToRedact, secrets) {
+  let redactedString = stringToRedact;
+  for (const [envVarName, secretValue] of Object.entries(secrets ?? {})) {
+    if (typeof secretValue === 'string' && secretValue !== '') {
+      redactedString = redactedString.split(quoteForBash(secretValue)).join(`"\${${envVarName}}"`)
+                                     .split(secretValue).join(`"\${${envVarName}}"`);
+    }
+  }
+  return redactedString;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    quoteForBash
+ * @param       {String}  stringToQuote Required. Any string.
+ * @returns     {String}  The string wrapped in single quotes, safe to use as one bash word.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function quoteForBash(stringToQuote) {
+  return `'${String(stringToQuote).replace(/'/g, `'\\''`)}'`;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    isCiEnvironment
+ * @returns     {Boolean} True if the toolbelt appears to be running on a CI server.
+ * @description Checks the `CI` environment variable, which is set by GitHub Actions, GitLab CI,
+ *              CircleCI, Travis CI, Bitbucket Pipelines, and most other CI services. Values of
+ *              `false` and `0` are treated as not set.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function isCiEnvironment() {
+  const ci = process.env.CI;
+  return typeof ci === 'string' && ci !== '' && ['false', '0'].includes(ci.toLowerCase()) !== true;
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    resolvePlaceholders
+ * @param       {String}  template  Required. String that may contain `{{name}}` placeholders.
+ * @param       {Object}  values    Required. Values for the placeholders, keyed by name.
+ * @param       {Object}  [options] Optional. Set `quote` to `true` when the template is a shell
+ *                                  command, so each value becomes exactly one bash word.
+ * @returns     {String}  The template with every known placeholder replaced. Placeholders that
+ *                        don't match a value are left as-is.
+ * @description Values that aren't strings, numbers, or booleans are rendered as JSON. Quoted
+ *              values are wrapped by `quoteForBash()`, so placeholders in commands shouldn't be
+ *              put inside quotes of their own.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function resolvePlaceholders(template, values, options={}) {
+  return template.replace(placeholderPattern, (placeholder, name) => {
+    if (Object.hasOwn(values ?? {}, name) !== true || values[name] === null || typeof values[name] === 'undefined') {
+      return placeholder;
+    }
+    const value = typeof values[name] === 'object' ? JSON.stringify(values[name]) : `${values[name]}`;
+    return options.quote === true ? quoteForBash(value) : value;
+  });
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    findPlaceholders
+ * @param       {String}  template  Required. String that may contain `{{name}}` placeholders.
+ * @returns     {Array<String>} Names of the placeholders in the template, without duplicates.
+ * @public
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function findPlaceholders(template) {
+  return [...new Set([...template.matchAll(placeholderPattern)].map(match => match[1]))];
+}
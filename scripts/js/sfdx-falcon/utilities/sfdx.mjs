@@ -10,6 +10,7 @@
  */
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
 // Import External Libraries, Modules, and Types.
+import   * as fs                          from 'fs';
 import   * as path                        from 'path';
 import { v4 as uuid }                     from "uuid";                            // Generates a timestamp-based UUID.
 import { createRequire }                  from 'module';
@@ -46,6 +47,31 @@ export const packageVersionIdPattern = /^04t[a-zA-Z0-9]{12}(?:[A-Z0-5]{3}$)?$/;
  * have the `0Ho` prefix. This is the prefix for Salesforce Package2 IDs.
  */
 export const package2IdPattern = /^0Ho[a-zA-Z0-9]{12}(?:[A-Z0-5]{3}$)?$/;
+/**
+ * Prefix for environment variables that hold package installation keys. The rest of the variable
+ * name is the package alias, uppercased, with every non-alphanumeric character replaced by `_`.
+ * For example, the key for `Apex Utilities@2.1.0-1` is read from
+ * `SFDX_FALCON_INSTALL_KEY_APEX_UTILITIES_2_1_0_1`.
+ */
+export const installationKeyEnvPrefix = 'SFDX_FALCON_INSTALL_KEY_';
+/**
+ * Patterns that match the names or messages of Salesforce CLI errors that are usually transient,
+ * eg. timeouts, scratch orgs that aren't available yet, and row locks. Commands that fail with one
+ * of these errors often succeed if they're run again a little later.
+ */
+export const transientSfCliErrorPatterns = [
+  /timeout/i,
+  /timed out/i,
+  /not (?:yet )?available/i,
+  /UNABLE_TO_LOCK_ROW/i,
+  /ECONNRESET|ETIMEDOUT|socket hang up/i
+];
+/**
+ * RegEx used to parse the package version aliases that `sf package version create` adds to 
+ * `packageAliases`, eg. `My Package@1.2.0-3`. Captures the package name, and the major, minor,
+ * patch, and build numbers. Ignores any branch name appended after the build number.
+ */
+export const packageVersionAliasPattern = /^(.+)@(\d+)\.(\d+)\.(\d+)-(\d+)(?:-.+)?$/;
 
 
 
@@ -127,6 +153,157 @@ export function getPackageDependencies(sfdxProjectJson) {
   return packageDependencies;
 }
 //─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getDefaultPackageName
+ * @param       {Object} sfdxProjectJson JSON representation of `sfdx-project.json`
+ * @returns     {String} The value of the first `package` key found in `packageDirectories`, or
+ *                       `null` if no package directory defines a package.
+ * @summary     Gets the name of the package that this SFDX project builds.
+ * @description Iterates over the `packageDirectories` array in `sfdx-project.json` and returns
+ *              the `package` value of the first directory that has one.
+ * @example
+ * ```
+ * const packageName = getDefaultPackageName(sfdxProjectJson);
+ * console.log(packageName);
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getDefaultPackageName(sfdxProjectJson) {
+  const localDbgNs = `${dbgNs}:getDefaultPackageName`;
+
+  throwOnEmptyNullInvalidObject(sfdxProjectJson, `${localDbgNs}`, 'sfdxProjectJson');
+  throwOnEmptyNullInvalidObject(sfdxProjectJson.packageDirectories, `${localDbgNs}`, 'sfdxProjectJson.packageDirectories');
+
+  for (const packageDirectory of sfdxProjectJson.packageDirectories) {
+    if (typeof packageDirectory.package === 'string' && packageDirectory.package !== '') {
+      SfdxFalconDebug.str(`${localDbgNs}:packageName`, packageDirectory.package);
+      return packageDirectory.package;
+    }
+  }
+  return null;
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getInstallationKey
+ * @param       {PackageDependency} packageDependency The package that will be installed.
+ * @param       {String}  [keysFilePath] Optional. Path to a JSON file that maps package aliases
+ *                                       (or `04t` IDs) to installation keys.
+ * @returns     {Object}  The installation key for the package as `installationKey`, and the name
+ *                        of the environment variable that can provide it as `envVarName`, or
+ *                        `null` if no key was found.
+ * @summary     Finds the installation key for a package dependency.
+ * @description Looks for an installation key in an environment variable first, then in the local
+ *              keys file. Both are keyed by the package alias, falling back to the `04t` Package
+ *              Version ID for dependencies that don't have an alias. `envVarName` is built from
+ *              whichever of the two the key was found under. Installation keys should never be
+ *              committed, so the keys file must be git-ignored.
+ * @example
+ * ```
+ * const {installationKey, envVarName} = getInstallationKey(packageDependency, 'config/installation-keys.json') ?? {};
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getInstallationKey(packageDependency, keysFilePath) {
+  // Set local debug namespace.
+  const localDbgNs = `${dbgNs}:getInstallationKey`;
+
+  // Validate arguments. Never debug the keys themselves.
+  throwOnEmptyNullInvalidObject(packageDependency, `${localDbgNs}`, 'packageDependency');
+  const lookupKeys = [packageDependency.name, packageDependency.packageVersionId];
+  SfdxFalconDebug.obj(`${localDbgNs}:lookupKeys`, lookupKeys);
+
+  // Check environment variables first.
+  for (const lookupKey of lookupKeys) {
+    const envVarName = getInstallationKeyEnvVarName(lookupKey);
+    if (typeof process.env[envVarName] === 'string' && process.env[envVarName] !== '') {
+      SfdxFalconDebug.str(`${localDbgNs}:envVarName`, envVarName, `Installation key found in environment variable: `);
+      return {installationKey: process.env[envVarName], envVarName: envVarName};
+    }
+  }
+
+  // Then check the local keys file, if there is one.
+  if (typeof keysFilePath !== 'string' || fs.existsSync(keysFilePath) !== true) {
+    return null;
+  }
+  let installationKeys;
+  try {
+    installationKeys = JSON.parse(fs.readFileSync(keysFilePath, 'utf8'));
+  } catch (parseError) {
+    throw new SfdxFalconError(`The installation keys file "${keysFilePath}" does not contain valid JSON.`,
+                              `Invalid Installation Keys File`,
+                              `${localDbgNs}`,
+                              parseError);
+  }
+  for (const lookupKey of lookupKeys) {
+    if (typeof installationKeys[lookupKey] === 'string' && installationKeys[lookupKey] !== '') {
+      SfdxFalconDebug.str(`${localDbgNs}:lookupKey`, lookupKey, `Installation key found in keys file for: `);
+      return {installationKey: installationKeys[lookupKey], envVarName: getInstallationKeyEnvVarName(lookupKey)};
+    }
+  }
+  return null;
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getInstallationKeyEnvVarName
+ * @param       {String}  lookupKey Package alias or `04t` Package Version ID.
+ * @returns     {String}  Name of the environment variable that holds the installation key for
+ *                        the package, eg. `SFDX_FALCON_INSTALL_KEY_MY_PACKAGE_1_0_0_1`.
+ * @summary     Builds the name of the environment variable checked by `getInstallationKey()`.
+ * @example
+ * ```
+ * getInstallationKeyEnvVarName('My Package@1.0.0-1'); // SFDX_FALCON_INSTALL_KEY_MY_PACKAGE_1_0_0_1
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getInstallationKeyEnvVarName(lookupKey) {
+  return installationKeyEnvPrefix + String(lookupKey).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    getLatestPackageVersionAlias
+ * @param       {Object}  sfdxProjectJson JSON representation of `sfdx-project.json`
+ * @param       {String}  packageName The name of the package, as used in `packageAliases`.
+ * @returns     {String}  The `packageAliases` key for the highest version of the package, or 
+ *                        `null` if no version aliases exist for the package.
+ * @summary     Finds the alias of the most recent package version in `sfdx-project.json`.
+ * @description Inspects every key in `packageAliases` that looks like `<packageName>@x.y.z-b`
+ *              and points to a `04t` Package Version ID, then returns the key with the highest
+ *              major, minor, patch, and build numbers.
+ * @example
+ * ```
+ * const latestAlias = getLatestPackageVersionAlias(sfdxProjectJson, "My Package");
+ * console.log(latestAlias); // My Package@1.2.0-3
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export function getLatestPackageVersionAlias(sfdxProjectJson, packageName) {
+  // Set local debug namespace.
+  const localDbgNs = `${dbgNs}:getLatestPackageVersionAlias`;
+
+  // Validate and debug arguments.
+  throwOnEmptyNullInvalidObject(sfdxProjectJson, `${localDbgNs}`, 'sfdxProjectJson');
+  throwOnEmptyNullInvalidString(packageName,     `${localDbgNs}`, 'packageName');
+  SfdxFalconDebug.str(`${localDbgNs}:packageName`, packageName);
+
+  // Find the alias with the highest version number.
+  const packageAliases = getPackageAliases(sfdxProjectJson);
+  let latestAlias   = null;
+  let latestVersion = null;
+  for (const [alias, id] of Object.entries(packageAliases)) {
+    const match = packageVersionAliasPattern.exec(alias);
+    if (match === null || match[1] !== packageName || isPackageVersionId(id) !== true) {
+      continue;
+    }
+    const version = match.slice(2, 6).map(Number);
+    if (latestVersion === null || compareVersionNumbers(version, latestVersion) > 0) {
+      latestAlias   = alias;
+      latestVersion = version;
+    }
+  }
+  SfdxFalconDebug.str(`${localDbgNs}:latestAlias`, latestAlias);
+  return latestAlias;
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
 /**
  * @function    getSfdxProjectJson
  * @returns     {object} Contents of `sfdx-project.json`.
@@ -378,4 +555,22 @@ export function createUniqueUsername(baseUsername) {
   if (baseUsername.length > usernameMaxLength)
       throw new SfdxFalconError(`Username can not be longer than ${usernameMaxLength} chars to keep room for appending a UUID`, `InvalidUsername`);
   return baseUsername + uuid();
-}
\ No newline at end of file
+}
+// ────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    compareVersionNumbers
+ * @param       {Array<number>} versionA  Version as `[major, minor, patch, build]`.
+ * @param       {Array<number>} versionB  Version as `[major, minor, patch, build]`.
+ * @returns     {number}  Positive if `versionA` is higher, negative if lower, zero if equal.
+ * @description Compares two package version numbers one segment at a time.
+ * @private
+ */
+// ────────────────────────────────────────────────────────────────────────────────────────────────┘
+function compareVersionNumbers(versionA, versionB) {
+  for (let i = 0; i < versionA.length; i++) {
+    if (versionA[i] !== versionB[i]) {
+      return versionA[i] - versionB[i];
+    }
+  }
+  return 0;
+}
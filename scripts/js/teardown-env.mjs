@@ -0,0 +1,71 @@
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @file          sfdx-falcon/teardown-env.mjs
+ * @copyright     Vivek M. Chawla - 2023
+ * @author        Vivek M. Chawla <@VivekMChawla>
+ * @summary       Implements a series of CLI commands that tear down the scratch orgs for this project.
+ * @description   When an SFDX Toolbelt user selects the option to tear down their environments, the
+ *                `teardownEnv()` function is called to delete the DEV and/or QA scratch orgs.
+ * @version       1.0.0
+ * @license       BSD-3-Clause
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+// Import External Libraries & Modules
+
+// Import Internal Classes & Functions
+import { devOrgAlias, qaOrgAlias }  from './toolbelt.mjs';
+import { TaskRunner }               from './sfdx-falcon/task-runner/index.mjs';
+import { SfdxTask }                 from './sfdx-falcon/task-runner/sfdx-task.mjs';
+import { SfdxFalconDebug }          from './sfdx-falcon/debug/index.mjs';
+
+// Set the File Local Debug Namespace
+const dbgNs = 'TeardownEnv';
+SfdxFalconDebug.msg(`${dbgNs}`, `Debugging initialized for ${dbgNs}`);
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    teardownEnv
+ * @param       {String} [target] Optional. Which scratch org to delete. Must be `dev`, `qa`, or
+ *                                `all`. Defaults to `dev`.
+ * @returns     {Promise<void>}
+ * @summary     Deletes the scratch orgs used by this project.
+ * @description Deletes the DEV scratch org, the QA scratch org, or both. Errors are suppressed so
+ *              that a scratch org that was already deleted or expired doesn't fail the teardown.
+ * @public
+ * @example
+ * ```
+ * await teardownEnv('all');
+ * ```
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+export async function teardownEnv(target='dev') {
+
+  const tr  = TaskRunner.getInstance();
+  SfdxFalconDebug.str(`${dbgNs}:target`, target);
+
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  // Delete the DEV scratch org (if present).
+  if (target === 'dev' || target === 'all') {
+    tr.addTask(new SfdxTask(
+      `Delete DEV scratch org`,
+      `sf org delete scratch -p -o ${devOrgAlias}`,
+      {suppressErrors: true}
+    ));
+  }
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+  //───────────────────────────────────────────────────────────────────────────────────────────────┐
+  // Delete the QA scratch org (if present).
+  if (target === 'qa' || target === 'all') {
+    tr.addTask(new SfdxTask(
+      `Delete QA scratch org`,
+      `sf org delete scratch -p -o ${qaOrgAlias}`,
+      {suppressErrors: true}
+    ));
+  }
+  //───────────────────────────────────────────────────────────────────────────────────────────────┘
+
+  // Run the tasks.
+  return tr.runTasks();
+}
@@ -12,9 +12,22 @@
  */
 //─────────────────────────────────────────────────────────────────────────────────────────────────┘
 import { $, argv, cd, chalk, fs, question, path } from "zx";
-import { buildDevEnv }                from './build-dev-env.mjs';
+// Decides whether output uses color. Must load before anything that loads `listr2`.
+import './sfdx-falcon/utilities/color.mjs';
+import { buildDevCommand }            from './commands/build-dev.mjs';
+import { buildQaCommand }             from './commands/build-qa.mjs';
+import { configCommand }              from './commands/config.mjs';
+import { packageVersionCommand }      from './commands/package-version.mjs';
+import { teardownCommand }            from './commands/teardown.mjs';
+import { CommandRouter }              from './sfdx-falcon/command-router/index.mjs';
+import { ToolbeltConfig,
+         parseConfigOverrides }       from './sfdx-falcon/config/index.mjs';
 import { SfdxFalconDebug }            from './sfdx-falcon/debug/index.mjs';
-import { SfdxFalconError }            from './sfdx-falcon/error/index.mjs';
+import { errorFormats,
+         formatError }                from './sfdx-falcon/error/error-formats.mjs';
+import { loadRemediationFile }        from './sfdx-falcon/error/remediations.mjs';
+import { findPipelineFile,
+         loadPipelineDefinitions }    from './sfdx-falcon/task-runner/pipeline-loader.mjs';
 import  * as SfdxUtils                from './sfdx-falcon/utilities/sfdx.mjs';
 
 // Set the File Local Debug Namespace
@@ -47,6 +60,12 @@ $.quote = (arg) => {
  * The "verbose" feature of ZX outputs too much. Turn it off.
  */
 $.verbose = false;
+/**
+ * How errors are printed, set by the global `--error-format` flag. In CI, `json`, `markdown`,
+ * and `github` (workflow command annotations) are easier to consume than the default `text`.
+ * An invalid value is rejected by the command router, and `text` is used until then.
+ */
+const errorFormat = errorFormats.includes(argv['error-format']) ? argv['error-format'] : 'text';
 /**
  * Parsed JSON representation of `sfdx-project.json` in the directory
  * the toolbelt was run in.
@@ -60,34 +79,88 @@ SfdxFalconDebug.obj(`${dbgNs}:sfdxProjectJson`, sfdxProjectJson);
  */
 export const sfdxProjectName = SfdxUtils.getSfdxProjectName(sfdxProjectJson);
 SfdxFalconDebug.str(`${dbgNs}:sfdxProjectName`, sfdxProjectName);
+/**
+ * Settings that developers can change without editing the toolbelt. Each value is resolved
+ * from the following layers, with later layers taking precedence.
+ * 1. The `default` defined here.
+ * 2. `config/toolbelt-config.json`, which is committed and shared by the whole team.
+ * 3. `config/toolbelt-config.local.json`, which is git-ignored and belongs to one developer.
+ * 4. Environment variables, eg. `SFDX_FALCON_ALTERNATIVE_BROWSER=chrome`.
+ * 5. The `--config` flag, eg. `--config alternativeBrowser=chrome`.
+ * Run `./toolbelt config list` to see the current values and where each one came from.
+ */
+export const toolbeltConfigDefinitions = {
+  devOrgAliasPrefix: {
+    default:  'PKG-DEV',
+    summary:  'Prefix of the DEV scratch org alias. The project name is appended after a colon.'
+  },
+  qaOrgAliasPrefix: {
+    default:  'PKG-QA',
+    summary:  'Prefix of the QA scratch org alias. The project name is appended after a colon.'
+  },
+  uatOrgAliasPrefix: {
+    default:  'PKG-UAT',
+    summary:  'Prefix of the UAT org alias. The project name is appended after a colon.'
+  },
+  devOrgConfigFile: {
+    default:  'project-scratch-def.json',
+    summary:  'Scratch org definition file for DEV environments, in the config directory.'
+  },
+  qaOrgConfigFile: {
+    default:  'qa-scratch-def.json',
+    summary:  'Scratch org definition file for QA environments, in the config directory.'
+  },
+  installationKeysFile: {
+    default:  'installation-keys.json',
+    summary:  'Git-ignored file that maps package dependencies to installation keys, in the config directory.'
+  },
+  alternativeBrowser: {
+    default:  'firefox',
+    summary:  'Browser used to open scratch orgs, so they stand apart from production orgs.',
+    options:  ['chrome', 'edge', 'firefox']
+  },
+  deploymentStatusPage: {
+    default:  'lightning/setup/DeployStatus/home',
+    summary:  'Path to the Salesforce Setup page that shows the status of a deployment.'
+  },
+  logRetentionRuns: {
+    default:  '10',
+    summary:  'How many of the most recent runs to keep task logs for, in .sfdx-falcon/logs.',
+    integer:  true
+  }
+};
+/**
+ * The resolved toolbelt configuration. See `toolbeltConfigDefinitions` above.
+ */
+export const toolbeltConfig = loadToolbeltConfig();
 /**
  * The alias for DEV scratch orgs used by this SFDX project.
  */
-export const devOrgAlias = `PKG-DEV:${sfdxProjectName}`;
+export const devOrgAlias = `${toolbeltConfig.get('devOrgAliasPrefix')}:${sfdxProjectName}`;
 SfdxFalconDebug.str(`${dbgNs}:devOrgAlias`, devOrgAlias);
 /**
  * The name of the scratch org configuration file for DEV environments.
  * Please note that the file must be located in the `config` subdirectory
  * at the root of your SFDX project directory.
  */
-export const devOrgConfigFile = "project-scratch-def.json";
+export const devOrgConfigFile = toolbeltConfig.get('devOrgConfigFile');
 SfdxFalconDebug.str(`${dbgNs}:devOrgConfigFile`, devOrgConfigFile);
 /**
  * The alias for QA scratch orgs used by this SFDX project.
  */
-export const qaOrgAlias = `PKG-QA:${sfdxProjectName}`;
+export const qaOrgAlias = `${toolbeltConfig.get('qaOrgAliasPrefix')}:${sfdxProjectName}`;
 SfdxFalconDebug.str(`${dbgNs}:qaOrgAlias`, qaOrgAlias);
 /**
  * The name of the scratch org configuration file for QA environments.
  * Please note that the file must be located in the `config` subdirectory
  * at the root of your SFDX project directory.
  */
-export const qaOrgConfigFile = "qa-scratch-def.json";
+export const qaOrgConfigFile = toolbeltConfig.get('qaOrgConfigFile');
 SfdxFalconDebug.str(`${dbgNs}:qaOrgConfigFile`, qaOrgConfigFile);
 /**
  * The alias for the UAT environment (Trial/Sandbox/Dev) used by this SFDX project.
  */
-export const uatOrgAlias = `PKG-UAT:${sfdxProjectName}`;
+export const uatOrgAlias = `${toolbeltConfig.get('uatOrgAliasPrefix')}:${sfdxProjectName}`;
 SfdxFalconDebug.str(`${dbgNs}:uatOrgAlias`, uatOrgAlias);
 /**
  * The JSON object defined by the `packageAliases` key in `sfdx-project.json`.
@@ -99,24 +172,145 @@ SfdxFalconDebug.obj(`${dbgNs}:packageAliases`, packageAliases);
  * source in this SFDX project can be deployed to an org.
  */
 export const packageDependencies = SfdxUtils.getPackageDependencies(sfdxProjectJson);
+SfdxFalconDebug.obj(`${dbgNs}:packageDependencies`, packageDependencies);
+/**
+ * The name of the git-ignored file that maps package aliases to installation keys.
+ * Please note that the file must be located in the `config` subdirectory at the
+ * root of your SFDX project directory. Keys can also be provided through environment
+ * variables (see `installationKeyEnvPrefix` in `utilities/sfdx.mjs`).
+ */
+export const installationKeysFile = toolbeltConfig.get('installationKeysFile');
+SfdxFalconDebug.str(`${dbgNs}:installationKeysFile`, installationKeysFile);
 /**
  * The name of the developer's non-standard browser. Useful for opening development
  * and QA scratch orgs because it makes it easy for developers to distinguish between
  * working in "production" and "development" environments.
  */
-export const alternativeBrowser = "firefox";
+export const alternativeBrowser = toolbeltConfig.get('alternativeBrowser');
+SfdxFalconDebug.str(`${dbgNs}:alternativeBrowser`, alternativeBrowser);
 /**
  * The path to the Salesforce Setup page that shows the status of a deployment.
  */
-export const deploymentStatusPage = "lightning/setup/DeployStatus/home"
+export const deploymentStatusPage = toolbeltConfig.get('deploymentStatusPage');
+SfdxFalconDebug.str(`${dbgNs}:deploymentStatusPage`, deploymentStatusPage);
+/**
+ * The git-ignored directory, at the root of your SFDX project directory, where the toolbelt
+ * keeps files it generates while running, like the checkpoints used by `--resume` and the
+ * logs of every task.
+ */
+export const toolbeltWorkDir = ".sfdx-falcon";
+SfdxFalconDebug.str(`${dbgNs}:toolbeltWorkDir`, toolbeltWorkDir);
+/**
+ * How many of the most recent pipeline runs to keep task logs for. The logs are saved in
+ * the `logs` subdirectory of `toolbeltWorkDir`, and older logs are removed automatically.
+ */
+export const logRetentionRuns = Number(toolbeltConfig.get('logRetentionRuns'));
+SfdxFalconDebug.str(`${dbgNs}:logRetentionRuns`, `${logRetentionRuns}`);
+/**
+ * Path to the optional pipeline definition file for this SFDX project. The toolbelt
+ * looks for `toolbelt-pipelines.yaml`, `.yml`, or `.json` in the `config` subdirectory
+ * at the root of your SFDX project directory. Is `null` if no such file exists.
+ */
+export const pipelineDefinitionsFile = findPipelineFile('config', 'toolbelt-pipelines');
+SfdxFalconDebug.str(`${dbgNs}:pipelineDefinitionsFile`, `${pipelineDefinitionsFile}`);
+/**
+ * Validated pipeline definitions from `pipelineDefinitionsFile`, keyed by pipeline name.
+ * When a pipeline like `build-dev` is defined here, it replaces the built-in tasks.
+ * Placeholders like `{{devOrgAlias}}` in task titles and commands are resolved using
+ * the values defined above.
+ */
+export const pipelineDefinitions = loadProjectPipelines();
+/**
+ * Number of remediations loaded from `config/toolbelt-remediations.json`, if it exists. They
+ * explain CLI errors that are specific to this project, and suggest how to fix them. They're
+ * checked before the toolbelt's built-in remediations.
+ */
+export const projectRemediationCount = loadProjectRemediations();
+SfdxFalconDebug.str(`${dbgNs}:projectRemediationCount`, `${projectRemediationCount}`);
 
-// Run the process defined in `build-dev-env.mjs`.
+/**
+ * Routes the arguments passed to the toolbelt to the matching command.
+ * Running `./toolbelt` with no command shows an interactive menu, but
+ * only when running in a TTY. Otherwise a command must be specified.
+ */
+const router = new CommandRouter({binName: 'toolbelt', interactive: true});
+router.addCommand(buildDevCommand)
+      .addCommand(buildQaCommand)
+      .addCommand(teardownCommand)
+      .addCommand(packageVersionCommand)
+      .addCommand(configCommand);
+
+// Run the requested command.
 try {
-  await buildDevEnv();
+  await router.route(process.argv.slice(2));
 } catch (buildError) {
   // Something failed.
-  console.log(SfdxFalconError.renderError(buildError));
+  console.error(formatError(buildError, errorFormat));
   process.exit(1);
 }
 // Everything succeded.
 process.exit(0);
+
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    loadToolbeltConfig
+ * @returns     {ToolbeltConfig}  The resolved toolbelt configuration.
+ * @summary     Loads every layer of the toolbelt configuration at startup.
+ * @description An invalid config file, environment variable, or `--config` flag is reported the
+ *              same way as any other toolbelt error, then the toolbelt exits before running any
+ *              commands.
+ * @private
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+function loadToolbeltConfig() {
+  try {
+    return new ToolbeltConfig(toolbeltConfigDefinitions, {
+      projectFile:    'config/toolbelt-config.json',
+      userFile:       'config/toolbelt-config.local.json',
+      envPrefix:      'SFDX_FALCON_',
+      flagOverrides:  parseConfigOverrides(argv.config)
+    }).load();
+  } catch (loadError) {
+    console.error(formatError(loadError, errorFormat));
+    process.exit(1);
+  }
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    loadProjectPipelines
+ * @returns     {Object}  Validated pipeline definitions keyed by pipeline name.
+ * @summary     Loads the pipeline definition file for this SFDX project at startup.
+ * @description An invalid pipeline definition file is reported the same way as any other
+ *              toolbelt error, then the toolbelt exits before running any commands.
+ * @private
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+function loadProjectPipelines() {
+  try {
+    return loadPipelineDefinitions(pipelineDefinitionsFile, {
+      sfdxProjectName, devOrgAlias, devOrgConfigFile, qaOrgAlias, qaOrgConfigFile,
+      uatOrgAlias, alternativeBrowser, deploymentStatusPage
+    });
+  } catch (loadError) {
+    console.error(formatError(loadError, errorFormat));
+    process.exit(1);
+  }
+}
+//─────────────────────────────────────────────────────────────────────────────────────────────────┐
+/**
+ * @function    loadProjectRemediations
+ * @returns     {Number}  How many remediations were loaded.
+ * @summary     Loads the remediation catalog for this SFDX project at startup.
+ * @description An invalid remediation file is reported the same way as any other toolbelt error,
+ *              then the toolbelt exits before running any commands.
+ * @private
+ */
+//─────────────────────────────────────────────────────────────────────────────────────────────────┘
+function loadProjectRemediations() {
+  try {
+    return loadRemediationFile('config/toolbelt-remediations.json');
+  } catch (loadError) {
+    console.error(formatError(loadError, errorFormat));
+    process.exit(1);
+  }
+}